@@ -0,0 +1,213 @@
+/**
+ * /api/_auth.js
+ *
+ * Session tokens and request verification shared by every browser-facing
+ * API route. Not a route itself — Vercel skips files prefixed with "_".
+ *
+ * Token format: base64url(JSON claims) + "." + base64url(HMAC-SHA256 signature)
+ * Claims always include `exp` (ms since epoch); the token is rejected once
+ * it has passed or if the signature doesn't match.
+ *
+ * Staff sessions carry the team_members id as `sub` plus the login's
+ * `session_version`. Disabling a login or resetting its password bumps the
+ * version, which ends every outstanding session for that person within
+ * LOGIN_CACHE_MS.
+ *
+ * Env vars required:
+ *   SESSION_SECRET       — signing key for session tokens (never sent to the browser)
+ *   CRON_SECRET          — also accepted as a bearer token for server-to-server calls
+ *   SUPABASE_URL, SUPABASE_SERVICE_KEY
+ */
+
+import crypto from 'crypto';
+import { selectOne } from './_db.js';
+
+const SESSION_SECRET = process.env.SESSION_SECRET;
+const CRON_SECRET    = process.env.CRON_SECRET;
+
+export const SESSION_TTL_MS = 8 * 60 * 60 * 1000; // 8 hour session
+const LOGIN_CACHE_MS = 60 * 1000;
+
+// ─── Encoding helpers ─────────────────────────────────────────────────────────
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function sign(payload) {
+    return b64url(crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest());
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// ─── Tokens ───────────────────────────────────────────────────────────────────
+
+export function createSessionToken(claims = {}, ttlMs = SESSION_TTL_MS) {
+    if (!SESSION_SECRET) throw new Error('SESSION_SECRET not configured');
+    const now = Date.now();
+    const expires = now + ttlMs;
+    const payload = b64url(JSON.stringify({ ...claims, iat: now, exp: expires }));
+    return { token: `${payload}.${sign(payload)}`, expires };
+}
+
+/** Claims of a correctly signed token, whatever its kind, or null */
+function readToken(token) {
+    if (!SESSION_SECRET || !token || typeof token !== 'string') return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+    if (!safeEqual(signature, sign(payload))) return null;
+    try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+}
+
+export function verifySessionToken(token) {
+    const claims = readToken(token);
+    if (!claims?.exp || Date.now() >= claims.exp) return null;
+    return claims;
+}
+
+// ─── Calendar feed tokens ─────────────────────────────────────────────────────
+// Calendar apps can't send an Authorization header, so a feed URL carries its
+// own token: the member id and login session_version, signed, with no `exp`
+// (so it is never accepted as a session). Resetting the person's password or
+// disabling their login bumps session_version and revokes it.
+
+export function createFeedToken(memberId, sessionVersion = 0) {
+    if (!SESSION_SECRET) throw new Error('SESSION_SECRET not configured');
+    const payload = b64url(JSON.stringify({ sub: memberId, ver: sessionVersion, scope: 'calendar' }));
+    return `${payload}.${sign(payload)}`;
+}
+
+/** The member id a calendar feed token belongs to, or null when it is invalid or revoked */
+export async function verifyFeedToken(token) {
+    const claims = readToken(token);
+    if (!claims || claims.scope !== 'calendar' || !claims.sub) return null;
+    const login = await loadLogin(claims.sub);
+    if (!login || login.disabled || (login.session_version || 0) !== (claims.ver || 0)) return null;
+    return claims.sub;
+}
+
+// ─── Passwords ────────────────────────────────────────────────────────────────
+// Stored as scrypt$<N>$<salt>$<hash>, all base64url except N
+
+const SCRYPT_N = 16384;
+
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, 64, { N: SCRYPT_N });
+    return `scrypt$${SCRYPT_N}$${b64url(salt)}$${b64url(hash)}`;
+}
+
+export function verifyPassword(password, stored) {
+    if (!stored || typeof stored !== 'string') return false;
+    const [scheme, n, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !n || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64url'), expected.length, { N: Number(n) });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// ─── Login lookup ─────────────────────────────────────────────────────────────
+
+const _loginCache = new Map(); // member_id -> { login, fetchedAt }
+
+async function loadLogin(memberId) {
+    const cached = _loginCache.get(memberId);
+    if (cached && Date.now() - cached.fetchedAt < LOGIN_CACHE_MS) return cached.login;
+    const login = await selectOne(
+        `/team_member_logins?member_id=eq.${encodeURIComponent(memberId)}&select=role,disabled,session_version`
+    );
+    _loginCache.set(memberId, { login: login || null, fetchedAt: Date.now() });
+    return login || null;
+}
+
+export function forgetLogin(memberId) {
+    _loginCache.delete(memberId);
+}
+
+// ─── Request verification ─────────────────────────────────────────────────────
+
+function bearerToken(req) {
+    const header = req.headers['authorization'] || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Returns the verified session claims for a request, or null.
+ * Server-to-server callers holding CRON_SECRET get a system session.
+ */
+export function getSession(req) {
+    const token = bearerToken(req);
+    if (!token) return null;
+    if (CRON_SECRET && safeEqual(token, CRON_SECRET)) return { sub: 'system', system: true };
+    return verifySessionToken(token);
+}
+
+/**
+ * Middleware-style guard. Sends a 401 (or 403 when `role` doesn't match) and
+ * returns null when the caller may not proceed, so routes can do:
+ *
+ *   const session = await requireSession(req, res);
+ *   if (!session) return;
+ *
+ * For staff sessions the login row is re-checked so disabled accounts are
+ * locked out without waiting for the token to expire. The returned session's
+ * `role` comes from the database, not the token.
+ */
+export async function requireSession(req, res, { role } = {}) {
+    const session = getSession(req);
+    if (!session) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return null;
+    }
+    if (session.system) return session;
+
+    let login;
+    try {
+        login = await loadLogin(session.sub);
+    } catch (err) {
+        console.error('[auth] Login lookup failed:', err.message);
+        res.status(500).json({ error: 'Could not verify session' });
+        return null;
+    }
+    if (!login || login.disabled || (login.session_version || 0) !== (session.ver || 0)) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return null;
+    }
+    if (role && login.role !== role) {
+        res.status(403).json({ error: 'Forbidden' });
+        return null;
+    }
+    return { ...session, role: login.role };
+}
+
+/** True for Vercel Cron and for callers holding CRON_SECRET */
+export function isCronCaller(req) {
+    return req.headers['x-vercel-cron'] === '1' || !!getSession(req)?.system;
+}
+
+/**
+ * Guard for cron endpoints. Vercel Cron and CRON_SECRET callers always pass.
+ * A dry run (renders, never sends or writes) may also come from a signed-in
+ * admin, which is how the app's report preview calls these endpoints.
+ * Sends the error response and returns false when the caller may not proceed.
+ */
+export async function authorizeCron(req, res, { dryRun = false } = {}) {
+    if (isCronCaller(req)) return true;
+    if (!dryRun) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return false;
+    }
+    return !!(await requireSession(req, res, { role: 'admin' }));
+}
+
+/** True for ?dryRun=1 / ?dryRun=true, or { dryRun: true } in the body */
+export function isDryRun(req) {
+    const value = req.query?.dryRun ?? req.body?.dryRun;
+    return value === true || value === 'true' || value === '1';
+}
@@ -0,0 +1,177 @@
+/**
+ * /api/_cache.js
+ *
+ * Builds lims_bill_cache rows and decides when each one is fetched again.
+ * Not a route itself — Vercel skips files prefixed with "_".
+ *
+ * LIMS numbers legislation <prefix><period>-<number>, e.g. B26-0042 or
+ * CER26-0007, counting up from 1 for each prefix in each council period.
+ * build-bill-cache discovers a period's legislation by probing each prefix
+ * forward from the highest number already cached (highestNumbers).
+ *
+ * billEntities() turns a bill's introducers, co-introducers and committees
+ * into council_members / committees rows keyed by entityKey(), so
+ * "Councilmember Brianne K. Nadeau" and "Brianne K Nadeau" are one member.
+ *
+ * Once a council period's cursor is complete, build-bill-cache keeps the
+ * cache current a batch at a time: every row carries a refresh_after time
+ * set from how recently the bill saw activity (REFRESH_TIERS), and the rows
+ * furthest past it are re-fetched from LIMS first. A bill with a hearing
+ * coming up counts as active.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bills, proposed / ceremonial / adopted resolutions, contracts, acts and laws.
+// Discovery also probes any other prefix already in the cache.
+export const LEGISLATION_PREFIXES = ['B', 'PR', 'CER', 'R', 'CA', 'A', 'L'];
+
+/** { prefix, councilPeriodId, number } for "B26-0042", or null */
+export function parseLegislationNumber(value) {
+    const match = /^([A-Z]+)(\d+)-(\d+)$/.exec(String(value || '').trim().toUpperCase());
+    return match ? { prefix: match[1], councilPeriodId: Number(match[2]), number: Number(match[3]) } : null;
+}
+
+export const legislationNumber = (prefix, councilPeriodId, number) =>
+    `${prefix}${councilPeriodId}-${String(number).padStart(4, '0')}`;
+
+/** The highest number of each prefix among `numbers` in a council period, e.g. { B: 812, PR: 301 } */
+export function highestNumbers(numbers, councilPeriodId) {
+    const highest = {};
+    for (const parsed of numbers.map(parseLegislationNumber)) {
+        if (!parsed || parsed.councilPeriodId !== councilPeriodId) continue;
+        highest[parsed.prefix] = Math.max(highest[parsed.prefix] || 0, parsed.number);
+    }
+    return highest;
+}
+
+// Last activity within `withinDays` → fetch again after `refreshDays`
+export const REFRESH_TIERS = [
+    { withinDays: 30, refreshDays: 2 },
+    { withinDays: 180, refreshDays: 7 },
+    { withinDays: Infinity, refreshDays: 30 }
+];
+
+const parseMembers = (val) =>
+    Array.isArray(val) ? val.map(m => m.memberName || String(m)).join('; ') : (val || null);
+
+// transmittedDate, signedDate, enactedDate, effectiveDate, …
+const reviewDates = (review) => Object.entries(review || {}).filter(([key]) => /Date$/.test(key)).map(([, value]) => value);
+
+// ─── Councilmembers and committees ────────────────────────────────────────────
+
+// "Chairman Phil Mendelson at the request of the Mayor" → "Phil Mendelson"
+const MEMBER_TITLE = /^(?:at-large\s+)?(?:councilmember|council\s+member|chairman|chairperson|chair)\s+/i;
+const AT_THE_REQUEST = /\s+at\s+the\s+request\s+of\b.*$/i;
+
+const cleanName = (name) => String(name || '').replace(/\s+/g, ' ').trim();
+
+/** The id of a councilmember or committee: its name lowercased, without accents or punctuation */
+export const entityKey = (name) => cleanName(name)
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// LIMS sends a literal "null" for some empty fields
+const isName = (name) => !!entityKey(name) && name.toLowerCase() !== 'null';
+
+/** A councilmember's name as LIMS lists it, without titles or "at the request of …" */
+export const memberName = (name) => cleanName(name).replace(AT_THE_REQUEST, '').replace(MEMBER_TITLE, '');
+
+const memberNames = (val) => (Array.isArray(val) ? val.map(m => m?.memberName || m) : String(val || '').split(';'))
+    .map(memberName).filter(isName);
+
+/**
+ * A bill's sponsors ({ id, name, role: 'introducer' | 'co_introducer' }) and
+ * committees ({ id, name }) from its LegislationDetails, one entry each.
+ */
+export function billEntities(details) {
+    const sponsors = new Map();
+    for (const [role, val] of [['introducer', details?.introducers], ['co_introducer', details?.coIntroducers]]) {
+        for (const name of memberNames(val)) {
+            const id = entityKey(name);
+            if (!sponsors.has(`${id}:${role}`)) sponsors.set(`${id}:${role}`, { id, name, role });
+        }
+    }
+    const committeeNames = Array.isArray(details?.committeesReferredTo)
+        ? details.committeesReferredTo
+        : String(details?.referredToCommittees || '').split(';');
+    const committees = new Map();
+    for (const name of committeeNames.map(c => cleanName(c?.committeeName || c)).filter(isName)) {
+        const id = entityKey(name);
+        if (!committees.has(id)) committees.set(id, { id, name });
+    }
+    return { sponsors: [...sponsors.values()], committees: [...committees.values()] };
+}
+
+/** The latest date anything happened (or is scheduled to happen) to a bill, or null */
+export function lastActivityAt(details) {
+    const dates = [
+        details.introductionDate,
+        details.introductionPublicationDate,
+        ...(details.actions || []).map(a => a.actionDate),
+        ...(details.committeeHearing || []).map(h => h.hearingDate),
+        ...(details.committeeMarkup || []).flatMap(m => [m.committeeActionDate, m.reportFiledDate]),
+        ...(details.committeeReReferral || []).map(r => r.reReferralDate),
+        ...reviewDates(details.mayoralReview),
+        ...reviewDates(details.congressionalReview)
+    ]
+        .filter(value => typeof value === 'string' && value)
+        .map(value => new Date(value))
+        .filter(date => !isNaN(date) && date.getFullYear() > 2000);
+    if (dates.length === 0) return null;
+    return new Date(Math.max(...dates)).toISOString();
+}
+
+/** When a bill last active at `lastActivity` should next be fetched */
+export function refreshAfter(lastActivity, now = new Date()) {
+    const ageDays = lastActivity ? (new Date(now) - new Date(lastActivity)) / DAY_MS : Infinity;
+    const { refreshDays } = REFRESH_TIERS.find(t => ageDays <= t.withinDays);
+    return new Date(new Date(now).getTime() + refreshDays * DAY_MS).toISOString();
+}
+
+/** The lims_bill_cache row for a bill's LegislationDetails (first_cached_at is left to the default) */
+export function cacheRow(billNumber, councilPeriodId, details, now = new Date()) {
+    const lastActivity = lastActivityAt(details);
+    return {
+        bill_number: billNumber,
+        council_period_id: councilPeriodId,
+        title: details.title,
+        category: details.category,
+        status: details.status,
+        introduced_by: parseMembers(details.introducers),
+        co_introducers: parseMembers(details.coIntroducers),
+        committees: Array.isArray(details.committeesReferredTo)
+            ? details.committeesReferredTo.join('; ')
+            : (details.referredToCommittees || null),
+        introduction_date: details.introductionDate || null,
+        additional_information: details.additionalInformation || null,
+        link: `https://lims.dccouncil.gov/Legislation/${billNumber}`,
+        raw_details: details,
+        last_activity_at: lastActivity,
+        cached_at: new Date(now).toISOString(),
+        refresh_after: refreshAfter(lastActivity, now)
+    };
+}
+
+/**
+ * How stale the cache is, from rows of { council_period_id, cached_at, refresh_after }:
+ * { bills, due, fetchedThisWeek, oldestCachedAt, periods: [{ councilPeriod, bills, due, oldestCachedAt }] }.
+ * A row without refresh_after predates refresh scheduling and counts as due.
+ */
+export function cacheFreshness(rows, now = new Date()) {
+    const nowMs = new Date(now).getTime();
+    const summarize = (list) => {
+        const cachedAt = list.map(r => r.cached_at).filter(Boolean).sort();
+        return {
+            bills: list.length,
+            due: list.filter(r => !r.refresh_after || new Date(r.refresh_after).getTime() <= nowMs).length,
+            fetchedThisWeek: list.filter(r => r.cached_at && nowMs - new Date(r.cached_at).getTime() <= 7 * DAY_MS).length,
+            oldestCachedAt: cachedAt[0] || null
+        };
+    };
+    const periodIds = [...new Set(rows.map(r => r.council_period_id))].sort((a, b) => b - a);
+    return {
+        ...summarize(rows),
+        periods: periodIds.map(id => ({ councilPeriod: id, ...summarize(rows.filter(r => r.council_period_id === id)) }))
+    };
+}
@@ -0,0 +1,544 @@
+/**
+ * /api/_db.js
+ *
+ * Shared Supabase (PostgREST) data access for every API route and cron job.
+ * Not a route itself — Vercel skips files prefixed with "_".
+ *
+ * - select() pages through results with Range headers, so reads never stop
+ *   silently at the server's max-rows limit (1000 by default on Supabase).
+ * - Errors include the method, path, status and response body.
+ * - insert()/upsert() accept a single row or an array and send arrays in chunks.
+ * - Lists of values go through inList() / selectIn(), which quote each value
+ *   and split long lists over several requests.
+ * - Table-specific helpers below keep query strings out of the handlers.
+ *
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY
+ */
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+const PAGE_SIZE  = 1000; // must not exceed PostgREST max-rows or pages come back short
+const CHUNK_SIZE = 500;  // rows per bulk insert/upsert request
+const IN_SIZE    = 200;  // values per in.(…) filter, keeping URLs well short of server limits
+
+// ─── Core ─────────────────────────────────────────────────────────────────────
+
+const headers = (extra = {}) => ({
+    'apikey': SUPABASE_KEY,
+    'Authorization': `Bearer ${SUPABASE_KEY}`,
+    'Content-Type': 'application/json',
+    ...extra
+});
+
+async function request(method, path, { body, headers: extra } = {}) {
+    const r = await fetch(`${SUPABASE_URL}/rest/v1${path}`, {
+        method,
+        headers: headers(extra),
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+    });
+    if (!r.ok) {
+        const detail = await r.text().catch(() => '');
+        throw Object.assign(new Error(`Supabase ${method} ${path}: ${r.status} ${detail}`.trim()), { status: r.status });
+    }
+    return r;
+}
+
+const json = async (r) => {
+    const text = await r.text();
+    return text ? JSON.parse(text) : null;
+};
+
+/** Builds "a=eq.1&b=eq.x" from { a: 1, b: 'x' }; strings are passed through as-is. */
+export function toFilter(filter) {
+    if (typeof filter === 'string') return filter;
+    return Object.entries(filter)
+        .map(([k, v]) => `${k}=eq.${encodeURIComponent(v)}`)
+        .join('&');
+}
+
+/**
+ * GET every row matching `path` (e.g. "/tracked_items?select=*&order=tracked_at.desc"),
+ * fetching PAGE_SIZE rows at a time. Include an `order` for stable paging on
+ * large tables. Pass `limit` to stop early.
+ */
+export async function select(path, { limit = Infinity } = {}) {
+    const rows = [];
+    for (let from = 0; rows.length < limit; from += PAGE_SIZE) {
+        const to = from + Math.min(PAGE_SIZE, limit - rows.length) - 1;
+        let r;
+        try {
+            r = await request('GET', path, { headers: { 'Range-Unit': 'items', 'Range': `${from}-${to}` } });
+        } catch (err) {
+            if (err.status === 416) break; // range starts past the last row (total was an exact multiple of PAGE_SIZE)
+            throw err;
+        }
+        const page = (await json(r)) || [];
+        rows.push(...page);
+        if (page.length < to - from + 1) break;
+    }
+    return rows;
+}
+
+export async function selectOne(path) {
+    const [row] = await select(path, { limit: 1 });
+    return row || null;
+}
+
+/** An "in.(…)" filter for `values`, each quoted so commas, parentheses and quotes are safe */
+export const inList = (values) =>
+    `in.(${values.map(v => encodeURIComponent(`"${String(v).replace(/["\\]/g, '\\$&')}"`)).join(',')})`;
+
+/**
+ * select() for each IN_SIZE slice of `values`, concatenated. `path` builds the
+ * query for one slice's in.(…) filter, e.g. (only) => `/t?select=*&id=${only}`.
+ * Rows are ordered within each slice only.
+ */
+export async function selectIn(values, path) {
+    const rows = [];
+    for (let i = 0; i < values.length; i += IN_SIZE) {
+        rows.push(...await select(path(inList(values.slice(i, i + IN_SIZE)))));
+    }
+    return rows;
+}
+
+async function writeRows(table, rows, { prefer, query = '', returning }) {
+    const list = Array.isArray(rows) ? rows : [rows];
+    const out = [];
+    for (let i = 0; i < list.length; i += CHUNK_SIZE) {
+        const r = await request('POST', `/${table}${query}`, {
+            body: list.slice(i, i + CHUNK_SIZE),
+            headers: { 'Prefer': [prefer, returning ? 'return=representation' : 'return=minimal'].filter(Boolean).join(',') }
+        });
+        if (returning) out.push(...((await json(r)) || []));
+    }
+    return returning ? out : undefined;
+}
+
+/**
+ * Insert one row or many (every row in a bulk insert must have the same keys).
+ * Returns inserted rows when `returning` is true.
+ */
+export function insert(table, rows, { returning = false } = {}) {
+    return writeRows(table, rows, { returning });
+}
+
+/**
+ * Insert-or-merge on the table's primary key, or on `onConflict`
+ * (comma-separated columns backed by a unique index).
+ */
+export function upsert(table, rows, { onConflict, returning = false, ignoreDuplicates = false } = {}) {
+    return writeRows(table, rows, {
+        prefer: ignoreDuplicates ? 'resolution=ignore-duplicates' : 'resolution=merge-duplicates',
+        query: onConflict ? `?on_conflict=${encodeURIComponent(onConflict)}` : '',
+        returning
+    });
+}
+
+export async function update(table, filter, patch, { returning = false } = {}) {
+    const r = await request('PATCH', `/${table}?${toFilter(filter)}`, {
+        body: patch,
+        headers: { 'Prefer': returning ? 'return=representation' : 'return=minimal' }
+    });
+    return returning ? json(r) : undefined;
+}
+
+export async function remove(table, filter) {
+    await request('DELETE', `/${table}?${toFilter(filter)}`, { headers: { 'Prefer': 'return=minimal' } });
+}
+
+/** Calls a Postgres function (migration.sql) with named arguments and returns its rows */
+export async function rpc(fn, args = {}) {
+    const r = await request('POST', `/rpc/${fn}`, { body: args });
+    return (await json(r)) || [];
+}
+
+// ─── Tracked items ────────────────────────────────────────────────────────────
+
+export function getTrackedItems({ select: columns = '*', filter = '', ids, order = 'tracked_at.desc' } = {}) {
+    const path = (only) => {
+        const filters = [filter, only ? `id=${only}` : ''].filter(Boolean).join('&');
+        return `/tracked_items?select=${columns}${filters ? `&${filters}` : ''}&order=${order},id.asc`;
+    };
+    return ids ? selectIn(ids, path) : select(path(null));
+}
+
+export function updateTrackedItem(id, patch) {
+    return update('tracked_items', { id }, patch);
+}
+
+// ─── Status history ───────────────────────────────────────────────────────────
+
+export function getStatusHistory({ since, itemIds } = {}) {
+    const path = (only) => {
+        const filters = [
+            since ? `changed_at=gte.${encodeURIComponent(new Date(since).toISOString())}` : '',
+            only ? `item_id=${only}` : ''
+        ].filter(Boolean).join('&');
+        return `/bill_status_history?select=*${filters ? `&${filters}` : ''}&order=changed_at.desc,id.asc`;
+    };
+    return itemIds ? selectIn(itemIds, path) : select(path(null));
+}
+
+export function insertStatusHistory(rows) {
+    return insert('bill_status_history', rows);
+}
+
+// ─── Bill hearings ────────────────────────────────────────────────────────────
+
+export function getBillHearings(itemIds) {
+    return selectIn(itemIds, (only) => `/bill_hearings?select=*&item_id=${only}&order=hearing_date.asc,id.asc`);
+}
+
+export function insertBillHearings(rows) {
+    return insert('bill_hearings', rows);
+}
+
+export function updateBillHearing(id, patch) {
+    return update('bill_hearings', { id }, patch);
+}
+
+/** Every bill_hearings row dated on or after `since`, for the calendar feed and reminders */
+export function getHearingsSince(since) {
+    return select(`/bill_hearings?select=*&hearing_date=gte.${encodeURIComponent(new Date(since).toISOString())}&order=hearing_date.asc,id.asc`);
+}
+
+// ─── Reminder log ─────────────────────────────────────────────────────────────
+
+/** "<event_key>::<days>" for each reminder already sent about these events */
+export async function getSentReminderKeys(eventKeys) {
+    const rows = await selectIn(eventKeys, (only) => `/reminder_log?select=event_key,days&event_key=${only}&order=event_key.asc,days.asc`);
+    return new Set(rows.map(r => `${r.event_key}::${r.days}`));
+}
+
+export function logReminders(rows) {
+    return upsert('reminder_log', rows, { onConflict: 'event_key,days', ignoreDuplicates: true });
+}
+
+// ─── Activity log ─────────────────────────────────────────────────────────────
+
+export function getActivity({ action, since, select: columns = '*' } = {}) {
+    const filters = [
+        action ? `action=eq.${encodeURIComponent(action)}` : '',
+        since ? `created_at=gte.${encodeURIComponent(new Date(since).toISOString())}` : ''
+    ].filter(Boolean).join('&');
+    return select(`/activity_log?select=${columns}${filters ? `&${filters}` : ''}&order=created_at.desc,id.asc`);
+}
+
+// ─── Team members ─────────────────────────────────────────────────────────────
+
+/** Active team member name -> email, for members that have one */
+export async function getTeamMemberEmails() {
+    const rows = await select('/team_members?select=name,email&active=eq.true&email=not.is.null&order=name.asc');
+    return Object.fromEntries(rows.map(m => [m.name, m.email]));
+}
+
+/** Emails of admins whose login is enabled, for system alerts */
+export async function getAdminEmails() {
+    const rows = await select('/team_member_logins?select=team_members(email,active)&role=eq.admin&disabled=eq.false');
+    return [...new Set(rows.map(r => r.team_members).filter(m => m?.email && m.active !== false).map(m => m.email))];
+}
+
+// ─── Notification subscriptions ───────────────────────────────────────────────
+
+/**
+ * Every subscription row. Rows linked to a team member take the member's
+ * current name and email, and go quiet when the member is removed.
+ */
+export async function getNotificationSubscriptions() {
+    const rows = await select('/notification_subscriptions?select=*,team_members(name,email,active)&order=email.asc,id.asc');
+    return rows.map(({ team_members: member, ...row }) => member ? {
+        ...row,
+        name: member.name || row.name,
+        email: member.email || row.email,
+        active: row.active && member.active !== false
+    } : row);
+}
+
+export function getNotificationSubscription(filter) {
+    return selectOne(`/notification_subscriptions?select=*&${toFilter(filter)}`);
+}
+
+// ─── Email outbox ─────────────────────────────────────────────────────────────
+
+export async function insertOutboxEmail(row) {
+    const [created] = await insert('email_outbox', row, { returning: true });
+    return created;
+}
+
+export function updateOutboxEmail(id, patch) {
+    return update('email_outbox', { id }, patch);
+}
+
+/**
+ * Marks an outbox row as being sent by this run. The match on status and
+ * attempts makes it a compare-and-set: returns null when another run got there first.
+ */
+export async function claimOutboxEmail(row, patch) {
+    const filter = `id=eq.${encodeURIComponent(row.id)}&status=eq.${row.status}&attempts=eq.${row.attempts}`;
+    const [claimed] = (await update('email_outbox', filter, patch, { returning: true })) || [];
+    return claimed || null;
+}
+
+/** Rows due for another attempt: pending past next_attempt_at, or 'sending' since before `staleBefore` */
+export function getDueOutboxEmails({ now, staleBefore, limit }) {
+    const due = `and(status.eq.pending,next_attempt_at.lte.${new Date(now).toISOString()})`;
+    const stale = `and(status.eq.sending,last_attempt_at.lt.${new Date(staleBefore).toISOString()})`;
+    return select(`/email_outbox?select=*&or=(${encodeURIComponent(`${due},${stale}`)})&order=created_at.asc,id.asc`, { limit });
+}
+
+// ─── Cron runs ────────────────────────────────────────────────────────────────
+
+export async function insertCronRun(row) {
+    const [created] = await insert('cron_runs', row, { returning: true });
+    return created;
+}
+
+export function updateCronRun(id, patch) {
+    return update('cron_runs', { id }, patch);
+}
+
+/** A job's most recent run, or its most recent run with `status` */
+export function getLatestCronRun(job, { status } = {}) {
+    return selectOne(`/cron_runs?select=*&job=eq.${encodeURIComponent(job)}${status ? `&status=eq.${status}` : ''}&order=started_at.desc`);
+}
+
+/** The oldest run on record — when run logging began */
+export function getFirstCronRun() {
+    return selectOne('/cron_runs?select=started_at&order=started_at.asc');
+}
+
+export function getRecentCronRuns(limit) {
+    return select('/cron_runs?select=*&order=started_at.desc,id.asc', { limit });
+}
+
+export function pruneCronRuns(before) {
+    return remove('cron_runs', `started_at=lt.${encodeURIComponent(new Date(before).toISOString())}`);
+}
+
+// ─── Notes ────────────────────────────────────────────────────────────────────
+
+/** item_id -> note_text */
+export async function getNotesMap() {
+    const notes = await select('/item_notes?select=item_id,note_text&order=item_id.asc');
+    return Object.fromEntries(notes.map(n => [n.item_id, n.note_text]));
+}
+
+// ─── Keywords ─────────────────────────────────────────────────────────────────
+
+export async function getKeywords() {
+    const rows = await select('/tracked_keywords?select=keyword&order=keyword.asc');
+    return rows.map(k => k.keyword);
+}
+
+/** Set of "BILL::keyword" pairs already alerted on */
+export async function getKeywordAlertKeys() {
+    const rows = await select('/keyword_alert_log?select=bill_number,keyword&order=bill_number.asc,keyword.asc');
+    return new Set(rows.map(r => `${r.bill_number}::${r.keyword}`));
+}
+
+export function logKeywordAlerts(rows) {
+    return insert('keyword_alert_log', rows);
+}
+
+// ─── Watched committees & sponsors ────────────────────────────────────────────
+
+/** [{ name, id }] — id is the committees row, or null for a free-text watch */
+export async function getWatchedCommittees() {
+    const rows = await select('/tracked_committees?select=committee_name,committee_id&order=committee_name.asc');
+    return rows.map(c => ({ name: c.committee_name, id: c.committee_id || null }));
+}
+
+/** [{ name, id }] — id is the council_members row, or null for a free-text watch */
+export async function getWatchedSponsors() {
+    const rows = await select('/tracked_sponsors?select=sponsor_name,member_id&order=sponsor_name.asc');
+    return rows.map(s => ({ name: s.sponsor_name, id: s.member_id || null }));
+}
+
+/** Set of "BILL::committee|sponsor::name" triples already alerted on */
+export async function getWatchAlertKeys() {
+    const rows = await select('/watch_alert_log?select=bill_number,watch_type,watch_name&order=bill_number.asc,id.asc');
+    return new Set(rows.map(r => `${r.bill_number}::${r.watch_type}::${r.watch_name}`));
+}
+
+export function logWatchAlerts(rows) {
+    return insert('watch_alert_log', rows);
+}
+
+// ─── Bill suggestions (triage inbox) ──────────────────────────────────────────
+
+export function getSuggestions(billNumbers) {
+    return selectIn(billNumbers, (only) => `/bill_suggestions?select=bill_number,state,matches&bill_number=${only}&order=bill_number.asc`);
+}
+
+/** Set of bill numbers someone dismissed from the inbox */
+export async function getDismissedSuggestions() {
+    const rows = await select('/bill_suggestions?select=bill_number&state=eq.dismissed&order=bill_number.asc');
+    return new Set(rows.map(r => r.bill_number));
+}
+
+export function upsertSuggestions(rows) {
+    return upsert('bill_suggestions', rows, { onConflict: 'bill_number' });
+}
+
+/** Applies a decision to one suggestion; resolves to the updated row, or null if there is none */
+export async function updateSuggestion(billNumber, patch) {
+    const [row] = (await update('bill_suggestions', { bill_number: billNumber }, patch, { returning: true })) || [];
+    return row || null;
+}
+
+// ─── LIMS bill cache ──────────────────────────────────────────────────────────
+
+export function getCacheCursor(councilPeriodId) {
+    return selectOne(`/lims_cache_cursor?council_period_id=eq.${encodeURIComponent(councilPeriodId)}`);
+}
+
+export function saveCacheCursor(cursor) {
+    return upsert('lims_cache_cursor', cursor, { onConflict: 'council_period_id' });
+}
+
+export function updateCacheCursor(councilPeriodId, patch) {
+    return update('lims_cache_cursor', { council_period_id: councilPeriodId }, patch);
+}
+
+export function deleteCacheCursor(councilPeriodId) {
+    return remove('lims_cache_cursor', { council_period_id: councilPeriodId });
+}
+
+export function upsertBillCache(rows) {
+    return upsert('lims_bill_cache', rows, { onConflict: 'bill_number' });
+}
+
+export function updateBillCache(billNumber, patch) {
+    return update('lims_bill_cache', { bill_number: billNumber }, patch);
+}
+
+// ─── Councilmembers and committees ────────────────────────────────────────────
+
+/**
+ * Saves the sponsors and committees of cached bills, from
+ * [{ billNumber, sponsors, committees }] (billEntities() in _cache.js): the
+ * council_members and committees rows, then each bill's bill_sponsors and
+ * bill_committees in place of its old ones, then lims_bill_cache.entities_at
+ * (the links IN_SIZE bills at a time).
+ * entities_at is cleared before the old links go, so a bill left half-saved
+ * by a failed write is picked up again by getBillsWithoutEntities().
+ */
+export async function saveBillEntities(bills) {
+    if (bills.length === 0) return;
+    const now = new Date().toISOString();
+    // One row per id; the upsert leaves name as the latest spelling LIMS used
+    const unique = (rows) => [...new Map(rows.map(r => [r.id, { id: r.id, name: r.name, last_seen_at: now }])).values()];
+    const members = unique(bills.flatMap(b => b.sponsors));
+    const committees = unique(bills.flatMap(b => b.committees));
+    if (members.length) await upsert('council_members', members, { onConflict: 'id' });
+    if (committees.length) await upsert('committees', committees, { onConflict: 'id' });
+
+    // IN_SIZE bills at a time, so each in.(…) filter stays short
+    for (let i = 0; i < bills.length; i += IN_SIZE) {
+        const slice = bills.slice(i, i + IN_SIZE);
+        const billNumbers = inList(slice.map(b => b.billNumber));
+        await update('lims_bill_cache', `bill_number=${billNumbers}`, { entities_at: null });
+        await remove('bill_sponsors', `bill_number=${billNumbers}`);
+        await remove('bill_committees', `bill_number=${billNumbers}`);
+        const sponsorLinks = slice.flatMap(b => b.sponsors.map(s => ({ bill_number: b.billNumber, member_id: s.id, role: s.role })));
+        const committeeLinks = slice.flatMap(b => b.committees.map(c => ({ bill_number: b.billNumber, committee_id: c.id })));
+        if (sponsorLinks.length) await insert('bill_sponsors', sponsorLinks);
+        if (committeeLinks.length) await insert('bill_committees', committeeLinks);
+        await update('lims_bill_cache', `bill_number=${billNumbers}`, { entities_at: now });
+    }
+}
+
+/** Cached bills whose sponsors and committees haven't been saved yet, with their raw_details */
+export function getBillsWithoutEntities(limit) {
+    return select('/lims_bill_cache?select=bill_number,raw_details&entities_at=is.null&order=bill_number.asc', { limit });
+}
+
+/** Map of bill number → { members: Set of council_members ids, committees: Set of committees ids } */
+export async function getBillEntityLinks(billNumbers) {
+    const links = new Map(billNumbers.map(n => [n, { members: new Set(), committees: new Set() }]));
+    const [sponsors, committees] = await Promise.all([
+        selectIn(billNumbers, (only) => `/bill_sponsors?select=bill_number,member_id&bill_number=${only}&order=bill_number.asc,member_id.asc`),
+        selectIn(billNumbers, (only) => `/bill_committees?select=bill_number,committee_id&bill_number=${only}&order=bill_number.asc,committee_id.asc`)
+    ]);
+    sponsors.forEach(r => links.get(r.bill_number)?.members.add(r.member_id));
+    committees.forEach(r => links.get(r.bill_number)?.committees.add(r.committee_id));
+    return links;
+}
+
+/** One page of search_bill_cache() (migration.sql) results; `args` are its named arguments */
+export function searchBillCache(args) {
+    return rpc('search_bill_cache', args);
+}
+
+/** Bill numbers cached for a council period — all of them, or just those of `among` */
+export async function getCachedBillNumbers(councilPeriodId, among = null) {
+    const path = (only) => `/lims_bill_cache?select=bill_number&council_period_id=eq.${encodeURIComponent(councilPeriodId)}${only ? `&bill_number=${only}` : ''}&order=bill_number.asc`;
+    const rows = among ? await selectIn(among, path) : await select(path(null));
+    return rows.map(r => r.bill_number);
+}
+
+/** Cached bills whose refresh_after has passed (or was never set), most overdue first */
+export function getBillsDueForRefresh(now, limit) {
+    const at = encodeURIComponent(new Date(now).toISOString());
+    return select(`/lims_bill_cache?select=bill_number,council_period_id&or=(refresh_after.is.null,refresh_after.lte.${at})&order=refresh_after.asc.nullsfirst,bill_number.asc`, { limit });
+}
+
+/** The columns cacheFreshness() (_cache.js) needs, for every cached bill */
+export function getBillCacheFreshness() {
+    return select('/lims_bill_cache?select=council_period_id,cached_at,refresh_after&order=bill_number.asc');
+}
+
+const MATCH_COLUMNS = 'bill_number,title,status,category,introduced_by,co_introducers,committees,introduction_date,additional_information,link,first_cached_at';
+
+/** Cached bills that first appeared in the cache at or after `since` (raw_details left out) */
+export function getNewlyCachedBills(since) {
+    return select(`/lims_bill_cache?select=${MATCH_COLUMNS}&first_cached_at=gte.${encodeURIComponent(new Date(since).toISOString())}&order=first_cached_at.asc,bill_number.asc`);
+}
+
+/**
+ * Bills fetched from LIMS at or after `since` — new to the cache or refreshed —
+ * with only the columns keyword queries read
+ */
+export function getRecentlyCachedBillText(since) {
+    return select(`/lims_bill_cache?select=bill_number,title,additional_information&cached_at=gte.${encodeURIComponent(new Date(since).toISOString())}&order=bill_number.asc`);
+}
+
+/** Cached bills by number, with the same columns as getNewlyCachedBills() */
+export function getCachedBillsByNumber(billNumbers) {
+    return selectIn(billNumbers, (only) => `/lims_bill_cache?select=${MATCH_COLUMNS}&bill_number=${only}&order=bill_number.asc`);
+}
+
+// ─── Hearing check cursor ─────────────────────────────────────────────────────
+
+/** The most recent check-hearings run, finished or not */
+export function getLatestHearingCursor() {
+    return selectOne('/hearing_check_cursor?select=*&order=run_date.desc');
+}
+
+export function saveHearingCursor(cursor) {
+    return upsert('hearing_check_cursor', cursor, { onConflict: 'run_date' });
+}
+
+/**
+ * Locks a run for one invocation until `lockUntil`. Only matches when no
+ * unexpired lock is held, so it returns null if another call has the run.
+ */
+export async function claimHearingCursor(runDate, lockUntil) {
+    const free = `locked_until.is.null,locked_until.lt.${new Date().toISOString()}`;
+    const filter = `run_date=eq.${encodeURIComponent(runDate)}&or=(${encodeURIComponent(free)})`;
+    const [claimed] = (await update('hearing_check_cursor', filter, { locked_until: lockUntil }, { returning: true })) || [];
+    return claimed || null;
+}
+
+export function updateHearingCursor(runDate, patch) {
+    return update('hearing_check_cursor', { run_date: runDate }, patch);
+}
+
+export function deleteHearingCursor(runDate) {
+    return remove('hearing_check_cursor', { run_date: runDate });
+}
+
+export function deleteHearingCursorsBefore(runDate) {
+    return remove('hearing_check_cursor', `run_date=lt.${encodeURIComponent(runDate)}`);
+}
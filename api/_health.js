@@ -0,0 +1,217 @@
+/**
+ * /api/_health.js
+ *
+ * Records every cron job run in cron_runs and judges whether each job is
+ * running on schedule. Not a route itself — Vercel skips files prefixed with "_".
+ *
+ * Each cron handler is exported through recordCronRun():
+ *
+ *   export default recordCronRun('send-daily-report', handler);
+ *
+ * Calls from Vercel Cron or with CRON_SECRET get a cron_runs row that is
+ * inserted as 'running' when the call starts and finished with its status,
+ * counts, emails and errors taken from the handler's JSON response. A row
+ * left 'running' means the function was killed (usually a timeout). Dry runs
+ * and signed-in callers are not recorded.
+ *
+ * jobHealth() compares a job's latest runs with its schedule (CRON_JOBS,
+ * which mirrors vercel.json) for the System Health panel and the stale-job
+ * email sent by /api/system-health.
+ */
+
+import { isCronCaller, isDryRun } from './_auth.js';
+import { insertCronRun, updateCronRun } from './_db.js';
+
+// Mirrors "crons" in vercel.json (times are UTC) — keep the two in sync
+export const CRON_JOBS = [
+    { job: 'build-bill-cache',   label: 'Bill cache build & refresh',  schedule: '*/10 5-6 * * *' },
+    { job: 'check-hearings',     label: 'Morning LIMS check & alerts', schedule: '0-25/5 13 * * 1-5' },
+    { job: 'send-daily-report',  label: 'Daily report',                schedule: '30 13 * * 1-5' },
+    { job: 'send-reminders',     label: 'Hearing reminders',           schedule: '40 13 * * *' },
+    { job: 'send-eod-report',    label: 'End-of-day report',           schedule: '0 22 * * 1-5' },
+    { job: 'send-weekly-report', label: 'Weekly report',               schedule: '0 22 * * 1' },
+    { job: 'system-health',      label: 'System health check',         schedule: '0 14 * * *' }
+];
+
+const START_GRACE_MS = 30 * 60 * 1000;          // a run counts as late once its slot is this old
+const RUN_TIMEOUT_MS = 15 * 60 * 1000;          // still 'running' after this → the function was killed
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+const SEARCH_LIMIT_MS = 8 * 24 * 60 * 60 * 1000; // every schedule above repeats within a week
+const MINUTE = 60 * 1000;
+
+// ─── Recording runs ───────────────────────────────────────────────────────────
+
+const EMAIL_KEYS = ['emails', 'alertEmails'];
+const SKIPPED_KEYS = new Set([...EMAIL_KEYS, 'errors', 'previews', 'stack']);
+
+/** cron_runs columns describing a finished call, from its status code and JSON body */
+function summarize(statusCode, body, thrown) {
+    const counts = {};
+    for (const [key, value] of Object.entries(body || {})) {
+        if (SKIPPED_KEYS.has(key)) continue;
+        if (typeof value === 'number') counts[key] = value;
+        else if (Array.isArray(value)) counts[key] = value.length;
+    }
+    if (body?.outbox?.retried) counts.outboxRetried = body.outbox.retried;
+    if (typeof body?.errors === 'number') counts.errors = body.errors;
+
+    const emails = EMAIL_KEYS.map(key => body?.[key]).find(Array.isArray) || [];
+    const failed = !!thrown || statusCode >= 500;
+    return {
+        status: failed ? 'failed' : 'success',
+        http_status: thrown ? 500 : statusCode,
+        outcome: body?.reason || body?.status || null,
+        counts,
+        emails,
+        emails_sent: emails.reduce((sum, e) => sum + (e.emails ?? 1), 0),
+        errors: Array.isArray(body?.errors) ? body.errors : [],
+        error: thrown?.message || (failed ? body?.error || `HTTP ${statusCode}` : null)
+    };
+}
+
+/** Wraps a cron handler so each scheduled or CRON_SECRET call is logged in cron_runs */
+export function recordCronRun(job, handler) {
+    return async function recordedHandler(req, res) {
+        if (isDryRun(req) || !isCronCaller(req)) return handler(req, res);
+
+        const started = Date.now();
+        let run = null;
+        try {
+            run = await insertCronRun({
+                job,
+                trigger: req.headers['x-vercel-cron'] === '1' ? 'cron' : 'manual',
+                status: 'running',
+                started_at: new Date(started).toISOString()
+            });
+        } catch (err) {
+            // Logging must never stop the job itself (e.g. before the migration is run)
+            console.warn(`[cron-runs] Could not record ${job}:`, err.message);
+        }
+
+        let body;
+        const sendJson = res.json.bind(res);
+        res.json = (value) => { body = value; return sendJson(value); };
+
+        let thrown = null;
+        try {
+            return await handler(req, res);
+        } catch (err) {
+            thrown = err;
+            throw err;
+        } finally {
+            if (run) {
+                const finished = Date.now();
+                await updateCronRun(run.id, {
+                    ...summarize(res.statusCode, body, thrown),
+                    finished_at: new Date(finished).toISOString(),
+                    duration_ms: finished - started
+                }).catch(err => console.warn(`[cron-runs] Could not finish ${job} run ${run.id}:`, err.message));
+            }
+        }
+    };
+}
+
+// ─── Schedules ────────────────────────────────────────────────────────────────
+// Enough of cron syntax for vercel.json: *, numbers, a-b ranges, lists and /steps.
+
+function parseField(field, min, max) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const [range, step] = part.split('/');
+        const [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+        const last = to ?? (step ? max : from);
+        for (let v = from; v <= last; v += Number(step || 1)) values.add(v);
+    }
+    return values;
+}
+
+const _schedules = new Map();
+
+function parseSchedule(expression) {
+    if (!_schedules.has(expression)) {
+        const [minute, hour, day, month, weekday] = expression.trim().split(/\s+/);
+        _schedules.set(expression, {
+            minute: parseField(minute, 0, 59),
+            hour: parseField(hour, 0, 23),
+            day: parseField(day, 1, 31),
+            month: parseField(month, 1, 12),
+            weekday: parseField(weekday, 0, 6)
+        });
+    }
+    return _schedules.get(expression);
+}
+
+// Day-of-month and weekday are never both restricted in vercel.json, so both must match
+function isScheduled(schedule, t) {
+    const d = new Date(t);
+    return schedule.minute.has(d.getUTCMinutes()) && schedule.hour.has(d.getUTCHours())
+        && schedule.day.has(d.getUTCDate()) && schedule.month.has(d.getUTCMonth() + 1)
+        && schedule.weekday.has(d.getUTCDay());
+}
+
+/** The latest scheduled time at or before `at`, or null */
+export function previousRunTime(expression, at) {
+    const schedule = parseSchedule(expression);
+    const start = Math.floor(new Date(at).getTime() / MINUTE) * MINUTE;
+    for (let t = start; t > start - SEARCH_LIMIT_MS; t -= MINUTE) {
+        if (isScheduled(schedule, t)) return new Date(t);
+    }
+    return null;
+}
+
+/** The first scheduled time after `at`, or null */
+export function nextRunTime(expression, at) {
+    const schedule = parseSchedule(expression);
+    const start = Math.floor(new Date(at).getTime() / MINUTE) * MINUTE + MINUTE;
+    for (let t = start; t < start + SEARCH_LIMIT_MS; t += MINUTE) {
+        if (isScheduled(schedule, t)) return new Date(t);
+    }
+    return null;
+}
+
+// ─── Health ───────────────────────────────────────────────────────────────────
+
+/**
+ * How one job is doing:
+ *   state      'ok' | 'running' | 'failed' (last run failed or never finished)
+ *              | 'late' (the run due at `missedRunAt` didn't start) | 'never' (no runs on record)
+ *   staleSince the first scheduled run missed since the last successful one,
+ *              when that was over STALE_AFTER_MS ago; otherwise null
+ * `loggingSince` (the oldest cron_runs row) stands in for the last success
+ * of a job that has never succeeded.
+ */
+export function jobHealth({ job, label, schedule }, { lastRun, lastSuccess, loggingSince }, now = new Date()) {
+    const nowMs = new Date(now).getTime();
+    const due = previousRunTime(schedule, nowMs - START_GRACE_MS);
+
+    let state = 'ok';
+    let problem = null;
+    let missedRunAt = null;
+    if (!lastRun) {
+        state = 'never';
+        problem = 'No runs on record';
+    } else if (lastRun.status === 'failed') {
+        state = 'failed';
+        problem = lastRun.error || 'Last run failed';
+    } else if (lastRun.status === 'running') {
+        const timedOut = nowMs - new Date(lastRun.started_at).getTime() > RUN_TIMEOUT_MS;
+        state = timedOut ? 'failed' : 'running';
+        if (timedOut) problem = 'Last run never finished (timed out or crashed)';
+    }
+    if ((state === 'ok' || state === 'running') && due && new Date(lastRun.started_at) < due) {
+        state = 'late';
+        problem = 'A scheduled run did not start';
+        missedRunAt = due.toISOString();
+    }
+
+    const since = lastSuccess?.started_at || loggingSince;
+    const missed = since ? nextRunTime(schedule, since) : null;
+    const staleSince = missed && nowMs - missed.getTime() > STALE_AFTER_MS ? missed.toISOString() : null;
+
+    return {
+        job, label, schedule, state, problem, missedRunAt, staleSince,
+        lastRun: lastRun || null,
+        lastSuccessAt: lastSuccess?.started_at || null,
+        nextRunAt: nextRunTime(schedule, nowMs)?.toISOString() || null
+    };
+}
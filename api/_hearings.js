@@ -0,0 +1,167 @@
+/**
+ * /api/_hearings.js
+ *
+ * Follows each committee hearing and markup on a tracked bill as its own
+ * bill_hearings row, so check-hearings can tell a rescheduled, cancelled or
+ * moved hearing from a new one. Not a route itself — Vercel skips files
+ * prefixed with "_".
+ *
+ * LIMS gives a hearing no id or committee, only its type, time and
+ * location, so a row's hearing_key is its type and the ET day it was first
+ * listed for (hearingKey); it stays put when the hearing moves. Only upcoming
+ * hearings are stored. reconcileHearings() matches a bill's stored
+ * 'scheduled' rows against what LIMS lists now:
+ *
+ *   same type and time          → unchanged, or 'location_changed'
+ *   date has passed             → row becomes 'held', no event
+ *   the only unmatched row and
+ *   the only new time of a type → 'rescheduled' (the row keeps its id)
+ *   anything else unmatched     → 'cancelled'
+ *   upcoming, no stored row     → 'scheduled'
+ *
+ * With two unmatched hearings of one type there is no telling which moved
+ * where, so they are reported as cancelled and scheduled rather than guessed.
+ *
+ * Witness sign-up / testimony details LIMS lists with a hearing are kept on
+ * the row (testimony_url, testimony_notes) for the reminder emails; they
+ * change quietly, without an event.
+ */
+
+import { TIME_ZONE, parseLimsDate, etDay } from './_time.js';
+
+// bill_status_history.event_type for each kind of change
+export const HEARING_EVENT_TYPES = {
+    scheduled: 'hearing',
+    rescheduled: 'hearing_rescheduled',
+    cancelled: 'hearing_cancelled',
+    location_changed: 'hearing_location'
+};
+
+const committeeNames = (value) => (Array.isArray(value) ? value.join(', ') : (value || ''));
+const shortDate = (iso) => new Date(iso).toLocaleDateString('en-US', { timeZone: TIME_ZONE, month: 'short', day: 'numeric', year: 'numeric' });
+const sameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+const sameType = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+const byDate = (a, b) => new Date(a.date) - new Date(b.date);
+// The next bill_hearings.revision — the calendar feed's SEQUENCE — for a change the feed shows
+const revised = (row) => (row.revision || 0) + 1;
+
+export const hearingKey = (type, date) => `${type}::${etDay(date)}`.toLowerCase();
+
+// LIMS has no documented field for how to testify, so any hearing field whose
+// name mentions witnesses, testimony or sign-up is read: a link, or the text.
+const TESTIMONY_FIELD = /witness|testimon|sign_?up/i;
+const MAX_TESTIMONY_NOTES = 1000;
+
+function testimonyInfo(hearing) {
+    let url = null;
+    const notes = [];
+    for (const [field, value] of Object.entries(hearing || {})) {
+        if (!TESTIMONY_FIELD.test(field) || typeof value !== 'string' || !value.trim()) continue;
+        const text = value.trim();
+        if (/^https?:\/\/\S+$/i.test(text)) url ||= text;
+        else notes.push(text);
+    }
+    const joined = notes.join('\n');
+    return {
+        testimonyUrl: url,
+        testimonyNotes: joined ? (joined.length > MAX_TESTIMONY_NOTES ? `${joined.slice(0, MAX_TESTIMONY_NOTES)}…` : joined) : null
+    };
+}
+
+/** Every hearing and markup LIMS lists for a bill: { key, type, committee, date, location, testimonyUrl, testimonyNotes } */
+export function limsHearings(details) {
+    const hearings = [];
+    const add = (value, type, committee, location, entry) => {
+        const date = parseLimsDate(value);
+        if (!date) return;
+        const name = committeeNames(committee) || null;
+        hearings.push({ key: hearingKey(type, date), type, committee: name, date: date.toISOString(), location: location?.trim() || null, ...testimonyInfo(entry) });
+    };
+    (details.committeeHearing || []).forEach(h => add(h.hearingDate, h.hearingType || 'Committee Hearing', h.committeeName ?? h.committee, h.location, h));
+    (details.committeeMarkup || []).forEach(m => add(m.committeeActionDate, 'Committee Markup', m.committeeName ?? m.committee, m.location, m));
+    return hearings;
+}
+
+// The testimony columns to update when LIMS's details differ from the row's, or null
+function testimonyPatch(row, hearing) {
+    const patch = {};
+    if ((hearing.testimonyUrl || null) !== (row.testimony_url || null)) patch.testimony_url = hearing.testimonyUrl || null;
+    if ((hearing.testimonyNotes || null) !== (row.testimony_notes || null)) patch.testimony_notes = hearing.testimonyNotes || null;
+    return Object.keys(patch).length > 0 ? patch : null;
+}
+
+/**
+ * Compares a bill's bill_hearings rows with limsHearings(). Returns
+ * { events: [{ change, hearing, previous }], inserts, updates: [{ id, patch }] }.
+ * `knownDate` (ET YYYY-MM-DD of tracked_items.next_hearing_date) applies only on a
+ * bill's first reconcile: a hearing on that date was already reported before
+ * bill_hearings existed, so it is stored without an event.
+ */
+export function reconcileHearings(stored, current, { now = new Date(), knownDate = null } = {}) {
+    const events = [];
+    const inserts = [];
+    const updates = [];
+    const claimed = new Set();
+    const stamp = now.toISOString();
+    const asHearing = (row) => ({ key: row.hearing_key, type: row.hearing_type, committee: row.committee, date: row.hearing_date, location: row.location });
+
+    // Exact matches first, so two hearings of one type can't steal each other's date
+    const unmatched = [];
+    for (const row of stored.filter(r => r.status === 'scheduled')) {
+        const same = current.find(h => !claimed.has(h) && sameType(h.type, row.hearing_type) && sameTime(h.date, row.hearing_date));
+        if (!same) { unmatched.push(row); continue; }
+        claimed.add(same);
+        const testimony = testimonyPatch(row, same);
+        if (new Date(same.date) < now) {
+            updates.push({ id: row.id, patch: { status: 'held', updated_at: stamp } });
+        } else if ((same.location || null) !== (row.location || null)) {
+            events.push({ change: 'location_changed', hearing: same, previous: asHearing(row) });
+            updates.push({ id: row.id, patch: { location: same.location, ...testimony, revision: revised(row), updated_at: stamp } });
+        } else if (testimony) {
+            updates.push({ id: row.id, patch: { ...testimony, revision: revised(row), updated_at: stamp } });
+        }
+    }
+
+    const upcoming = unmatched.filter(row => new Date(row.hearing_date) >= now);
+    const newTimes = (type) => current.filter(h => !claimed.has(h) && sameType(h.type, type) && new Date(h.date) >= now);
+    for (const row of unmatched) {
+        if (new Date(row.hearing_date) < now) {
+            updates.push({ id: row.id, patch: { status: 'held', updated_at: stamp } });
+            continue;
+        }
+        const candidates = newTimes(row.hearing_type);
+        const alone = upcoming.filter(r => sameType(r.hearing_type, row.hearing_type)).length === 1;
+        const moved = alone && candidates.length === 1 ? candidates[0] : null;
+        if (moved) {
+            claimed.add(moved);
+            events.push({ change: 'rescheduled', hearing: moved, previous: asHearing(row) });
+            updates.push({ id: row.id, patch: { hearing_date: moved.date, location: moved.location, ...testimonyPatch(row, moved), revision: revised(row), updated_at: stamp } });
+        } else {
+            events.push({ change: 'cancelled', hearing: asHearing(row), previous: asHearing(row) });
+            updates.push({ id: row.id, patch: { status: 'cancelled', revision: revised(row), updated_at: stamp } });
+        }
+    }
+
+    const firstReconcile = stored.length === 0;
+    for (const h of current.filter(h => !claimed.has(h) && new Date(h.date) >= now).sort(byDate)) {
+        inserts.push({
+            hearing_key: h.key, hearing_type: h.type, committee: h.committee, hearing_date: h.date, location: h.location,
+            testimony_url: h.testimonyUrl || null, testimony_notes: h.testimonyNotes || null, status: 'scheduled'
+        });
+        if (firstReconcile && knownDate && etDay(h.date) === knownDate) continue;
+        events.push({ change: 'scheduled', hearing: h });
+    }
+
+    return { events, inserts, updates };
+}
+
+/** bill_status_history.change_label for a reconcile event */
+export function hearingChangeLabel({ change, hearing, previous }) {
+    const type = hearing.type || 'Public Hearing';
+    switch (change) {
+        case 'rescheduled': return `Hearing Rescheduled: ${type} moved from ${shortDate(previous.date)} to ${shortDate(hearing.date)}`;
+        case 'cancelled': return `Hearing Cancelled: ${type} on ${shortDate(hearing.date)}`;
+        case 'location_changed': return `Hearing Location Changed: ${type} on ${shortDate(hearing.date)} now at ${hearing.location || 'no listed location'}`;
+        default: return `Hearing Scheduled: ${type} on ${shortDate(hearing.date)}`;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * /api/_lims.js
+ *
+ * The one server-side LIMS client. Every API route and cron job talks to LIMS
+ * through these helpers — never via our own /api/hello proxy and never with
+ * hand-rolled fetch calls. Not a route itself — Vercel skips files prefixed with "_".
+ *
+ * Every request has a timeout and is retried with exponential backoff (plus
+ * jitter) on 429, 5xx, timeouts and network errors. A Retry-After header from
+ * LIMS is honoured when present. Other 4xx responses fail immediately.
+ *
+ * Errors thrown carry `status` (HTTP status, or 0 for network/timeout) and
+ * `endpoint` so callers can tell a missing bill from an outage.
+ *
+ * For local runs point LIMS_API_BASE at the fake server:
+ *   npm run fake-lims   →   LIMS_API_BASE=http://localhost:4010/api/v2/PublicData
+ *
+ * Env vars:
+ *   LIMS_API_KEY   — sent as a bearer token
+ *   LIMS_API_BASE  — optional, defaults to https://lims.dccouncil.gov/api/v2/PublicData
+ */
+
+const LIMS_API_BASE = (process.env.LIMS_API_BASE || 'https://lims.dccouncil.gov/api/v2/PublicData').replace(/\/+$/, '');
+const LIMS_API_KEY  = process.env.LIMS_API_KEY;
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES    = 3;     // retries after the first attempt
+const BACKOFF_BASE_MS    = 500;   // 500ms, 1s, 2s … plus jitter
+const BACKOFF_MAX_MS     = 8000;
+
+const delay = ms => new Promise(r => setTimeout(r, ms));
+
+const isRetryable = (status) => status === 0 || status === 429 || status >= 500;
+
+function limsError(message, status, endpoint) {
+    return Object.assign(new Error(message), { status, endpoint });
+}
+
+function backoffMs(attempt, retryAfterHeader) {
+    const retryAfter = Number(retryAfterHeader);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, BACKOFF_MAX_MS);
+    const exp = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+    return exp / 2 + Math.random() * exp / 2;
+}
+
+// ─── Core request ─────────────────────────────────────────────────────────────
+
+/**
+ * Calls a LIMS PublicData endpoint and returns the parsed JSON body
+ * (null for an empty body). `endpoint` starts with "/", e.g. "/CouncilPeriods".
+ */
+export async function limsRequest(endpoint, { method = 'GET', body, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+    const url = `${LIMS_API_BASE}${endpoint}`;
+    const options = {
+        method,
+        headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            ...(LIMS_API_KEY ? { 'Authorization': `Bearer ${LIMS_API_KEY}` } : {})
+        },
+        ...(method === 'POST' ? { body: typeof body === 'string' ? body : JSON.stringify(body || {}) } : {})
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        let status = 0;
+        let retryAfter = null;
+        let lastError;
+        try {
+            const r = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+            status = r.status;
+            if (r.ok) {
+                const text = await r.text();
+                return text ? JSON.parse(text) : null;
+            }
+            retryAfter = r.headers.get('retry-after');
+            const detail = (await r.text().catch(() => '')).slice(0, 300);
+            lastError = limsError(`LIMS ${method} ${endpoint}: ${r.status}${detail ? ` ${detail}` : ''}`, r.status, endpoint);
+        } catch (err) {
+            const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+            lastError = limsError(
+                timedOut ? `LIMS ${method} ${endpoint}: timed out after ${timeoutMs}ms` : `LIMS ${method} ${endpoint}: ${err.message}`,
+                0, endpoint
+            );
+        }
+
+        if (!isRetryable(status) || attempt >= retries) throw lastError;
+        const wait = backoffMs(attempt, retryAfter);
+        console.warn(`[lims] ${lastError.message} — retry ${attempt + 1}/${retries} in ${Math.round(wait)}ms`);
+        await delay(wait);
+    }
+}
+
+// ─── Typed helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Full details for one bill, e.g. "B26-0042". Returns null when LIMS has no
+ * such bill (404 or an empty/untitled body) so callers probing number ranges
+ * can skip misses without try/catch.
+ */
+export async function getLegislationDetails(billNumber, options) {
+    try {
+        const details = await limsRequest(`/LegislationDetails/${encodeURIComponent(billNumber)}`, options);
+        return details && details.title ? details : null;
+    } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+    }
+}
+
+/**
+ * SearchLegislation. LIMS caps results at ~100 rows regardless of rowLimit.
+ * Always returns an array.
+ */
+export async function searchLegislation({ keyword = '', councilPeriodId, categoryId = 0, rowLimit = 100, offset = 0 } = {}, options) {
+    const results = await limsRequest('/SearchLegislation', {
+        ...options,
+        method: 'POST',
+        body: { Keyword: keyword, CategoryId: categoryId, CouncilPeriodId: councilPeriodId, RowLimit: rowLimit, OffSet: offset }
+    });
+    return Array.isArray(results) ? results : [];
+}
+
+/** All council periods, newest first as LIMS returns them. */
+export async function getCouncilPeriods(options) {
+    const periods = await limsRequest('/CouncilPeriods', options);
+    return Array.isArray(periods) ? periods : [];
+}
+
+/**
+ * The period in session at `at` — the one whose startDate–endDate covers it.
+ * LIMS can list the next period before it begins, so the newest entry isn't
+ * always current; without matching dates the highest id wins. Null when
+ * `periods` is empty.
+ */
+export function currentCouncilPeriod(periods, at = new Date()) {
+    const time = new Date(at).getTime();
+    const inSession = periods.find(p => new Date(p.startDate).getTime() <= time && time < new Date(p.endDate).getTime());
+    return inSession || [...periods].sort((a, b) => b.councilPeriodId - a.councilPeriodId)[0] || null;
+}
+
+/**
+ * Calls `fn` for every entry of `list` with at most `limit` calls in flight.
+ * Each worker pauses `gapMs` between its calls so a batch doesn't burst LIMS.
+ * `fn` should handle its own errors — one rejection fails the whole call.
+ */
+export async function forEachConcurrent(list, { limit = 3, gapMs = 0 } = {}, fn) {
+    let next = 0;
+    const worker = async () => {
+        while (next < list.length) {
+            await fn(list[next++]);
+            if (gapMs && next < list.length) await delay(gapMs);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+}
@@ -1,4 +1,86 @@
-// api/_mailer.js
+/**
+ * /api/_mailer.js
+ *
+ * The one way the app sends email. Not a route itself — Vercel skips files
+ * prefixed with "_".
+ *
+ * sendEmail() records every message in email_outbox, then hands it to the
+ * configured transport. If the send fails the row stays 'pending' with a
+ * backoff, and retryOutbox() — called at the start of every cron job that
+ * sends mail — tries it again. After MAX_ATTEMPTS it is marked 'failed'.
+ *
+ * Every message goes out as multipart/alternative, with a plain-text part
+ * generated from the HTML by htmlToText() in _templates.js.
+ *
+ * Transports (MAIL_TRANSPORT — when unset, smtp if SMTP_* or GMAIL_* is set,
+ * otherwise graph; a selected transport that is missing its settings throws
+ * instead of quietly dropping mail):
+ *   graph — Microsoft Graph sendMail
+ *           AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET, MAIL_SENDER
+ *   smtp  — any SMTP server via nodemailer (loaded only when selected)
+ *           SMTP_HOST, SMTP_PORT (465), SMTP_USER, SMTP_PASS, MAIL_SENDER (defaults to SMTP_USER);
+ *           GMAIL_USER / GMAIL_APP_PASSWORD still work and imply smtp.gmail.com
+ *   file  — writes each message as an .eml file to MAIL_OUTBOX_DIR (default dev/outbox)
+ *           for local development; nothing leaves the machine
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { htmlToText } from './_templates.js';
+import { insertOutboxEmail, updateOutboxEmail, claimOutboxEmail, getDueOutboxEmails } from './_db.js';
+
+// Deployments that predate MAIL_TRANSPORT set only the Gmail variables
+const DEFAULT_TRANSPORT = process.env.SMTP_HOST || process.env.GMAIL_USER ? 'smtp' : 'graph';
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT).toLowerCase();
+const FROM_NAME = 'DC Policy Tracker';
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 5 * 60 * 1000;        // 5 min, 10 min, 20 min …
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;    // capped at 6 hours
+const STALE_SENDING_MS = 10 * 60 * 1000;    // a 'sending' row older than this was abandoned mid-run
+const RETRY_BATCH = 25;
+
+// ─── MIME ─────────────────────────────────────────────────────────────────────
+
+// RFC 2047 encoded-word, so emoji subjects survive in the headers
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+const base64Body = (value) => Buffer.from(value).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+/** RFC 822 message with text and HTML alternatives — used by the Graph and file transports */
+function toMime({ to, subject, html, text }, id) {
+  const from = process.env.MAIL_SENDER || 'tracker@localhost';
+  const boundary = `=_alt_${crypto.randomUUID()}`;
+  return [
+    `From: ${encodeHeader(FROM_NAME)} <${from}>`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${id}@dc-policy-tracker.local>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+const toList = (to) => (Array.isArray(to) ? to : String(to || '').split(','))
+  .map(a => String(a).trim()).filter(Boolean);
+
+// ─── Graph transport ──────────────────────────────────────────────────────────
+
 let _tokenCache = { token: null, expiresAt: 0 };
 
 async function getAccessToken() {
@@ -24,23 +106,185 @@ async function getAccessToken() {
   return _tokenCache.token;
 }
 
-export async function sendEmail({ to, subject, html }) {
-  const token = await getAccessToken();
-  const sender = process.env.MAIL_SENDER;
-  const recipients = (Array.isArray(to) ? to : String(to).split(','))
-    .map(a => a.trim()).filter(Boolean)
-    .map(address => ({ emailAddress: { address } }));
+// sendMail's JSON body takes either HTML or text, not both, so the message
+// goes up as base64 MIME instead (saved to Sent Items as usual)
+const graphTransport = {
+  name: 'graph',
+  missing: () => ['AZURE_TENANT_ID', 'AZURE_CLIENT_ID', 'AZURE_CLIENT_SECRET', 'MAIL_SENDER'].filter(v => !process.env[v]),
+  async send(message, { id } = {}) {
+    const token = await getAccessToken();
+    const sender = process.env.MAIL_SENDER;
+    const res = await fetch(
+      `https://graph.microsoft.com/v1.0/users/${sender}/sendMail`,
+      {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'text/plain' },
+        body: Buffer.from(toMime(message, id || crypto.randomUUID())).toString('base64'),
+      }
+    );
+    if (res.status !== 202) throw new Error(`Graph sendMail failed (${res.status}): ${await res.text()}`);
+  },
+};
 
-  const res = await fetch(
-    `https://graph.microsoft.com/v1.0/users/${sender}/sendMail`,
-    {
-      method: 'POST',
-      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        message: { subject, body: { contentType: 'HTML', content: html }, toRecipients: recipients },
-        saveToSentItems: true,
-      }),
-    }
-  );
-  if (res.status !== 202) throw new Error(`Graph sendMail failed (${res.status}): ${await res.text()}`);
+// ─── SMTP transport ───────────────────────────────────────────────────────────
+
+let _smtp = null;
+
+function smtpSettings() {
+  return {
+    user: process.env.SMTP_USER || process.env.GMAIL_USER,
+    pass: process.env.SMTP_PASS || process.env.GMAIL_APP_PASSWORD,
+    host: process.env.SMTP_HOST || (process.env.GMAIL_USER ? 'smtp.gmail.com' : null),
+  };
+}
+
+async function getSmtpTransporter() {
+  if (_smtp) return _smtp;
+  const { host, user, pass } = smtpSettings();
+  const port = Number(process.env.SMTP_PORT || 465);
+  const { default: nodemailer } = await import('nodemailer');
+  _smtp = nodemailer.createTransport({ host, port, secure: port === 465, auth: { user, pass } });
+  return _smtp;
+}
+
+const smtpTransport = {
+  name: 'smtp',
+  missing: () => {
+    const { host, user, pass } = smtpSettings();
+    return host && user && pass ? [] : ['SMTP_HOST, SMTP_USER and SMTP_PASS (or GMAIL_USER / GMAIL_APP_PASSWORD)'];
+  },
+  async send({ to, subject, html, text }) {
+    const transporter = await getSmtpTransporter();
+    const from = process.env.MAIL_SENDER || process.env.SMTP_USER || process.env.GMAIL_USER;
+    await transporter.sendMail({ from: `${FROM_NAME} <${from}>`, to: to.join(', '), subject, html, text });
+  },
+};
+
+// ─── File transport ───────────────────────────────────────────────────────────
+
+const fileTransport = {
+  name: 'file',
+  missing: () => [],
+  async send(message, { id } = {}) {
+    const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'dev/outbox');
+    const messageId = id || crypto.randomUUID();
+    fs.mkdirSync(dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(dir, `${stamp}-${messageId.slice(0, 8)}.eml`);
+    fs.writeFileSync(file, toMime(message, messageId));
+    console.log(`[mailer] Wrote ${file}`);
+  },
+};
+
+const TRANSPORTS = { graph: graphTransport, smtp: smtpTransport, file: fileTransport };
+
+function getTransport() {
+  const transport = TRANSPORTS[MAIL_TRANSPORT];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}" — use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  const missing = transport.missing();
+  if (missing.length > 0) throw new Error(`${transport.name} mail transport is not configured — set ${missing.join(', ')}`);
+  return transport;
+}
+
+// ─── Outbox ───────────────────────────────────────────────────────────────────
+
+const retryDelayMs = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/** Sends one claimed outbox row and records the outcome. Returns 'sent', 'pending' or 'failed'. */
+async function deliver(row, transport) {
+  try {
+    await transport.send({ to: row.to_addresses, subject: row.subject, html: row.html, text: htmlToText(row.html) }, { id: row.id });
+    await updateOutboxEmail(row.id, { status: 'sent', sent_at: new Date().toISOString(), last_error: null, transport: transport.name });
+    return 'sent';
+  } catch (err) {
+    const status = row.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    console.error(`[mailer] ${transport.name} send "${row.subject}" failed (attempt ${row.attempts}/${MAX_ATTEMPTS}):`, err.message);
+    await updateOutboxEmail(row.id, {
+      status,
+      last_error: String(err.message).slice(0, 1000),
+      transport: transport.name,
+      next_attempt_at: new Date(Date.now() + retryDelayMs(row.attempts)).toISOString(),
+    });
+    return status;
+  }
+}
+
+/**
+ * Queues and sends one email. `to` is an address, a comma-separated list or
+ * an array; `source` names the job for the outbox. Resolves to
+ * { id, status: 'sent' | 'pending' } — a 'pending' message failed and will be
+ * retried by the next cron run. Throws only when the message could neither be
+ * sent nor recorded for a retry.
+ */
+export async function sendEmail({ to, subject, html, source = null }) {
+  const recipients = toList(to);
+  if (recipients.length === 0) throw new Error('sendEmail: no recipients');
+  const transport = getTransport();
+
+  let row;
+  try {
+    row = await insertOutboxEmail({
+      to_addresses: recipients, subject, html, source,
+      status: 'sending', attempts: 1, transport: transport.name,
+      last_attempt_at: new Date().toISOString(),
+    });
+    if (!row) throw new Error('insert returned no row');
+  } catch (err) {
+    // Outbox unavailable (e.g. migration not run yet) — still send, just without a retry safety net
+    console.warn('[mailer] Could not record email in email_outbox — sending without retry:', err.message);
+    await transport.send({ to: recipients, subject, html, text: htmlToText(html) });
+    return { id: null, status: 'sent' };
+  }
+
+  const status = await deliver(row, transport);
+  return { id: row.id, status };
+}
+
+/**
+ * Re-sends outbox rows whose retry time has come (and rows abandoned mid-send).
+ * Safe to call from several jobs at once: each row is claimed before sending.
+ */
+export async function retryOutbox() {
+  const results = { retried: 0, sent: 0, failed: 0 };
+  let due;
+  try {
+    due = await getDueOutboxEmails({ now: Date.now(), staleBefore: Date.now() - STALE_SENDING_MS, limit: RETRY_BATCH });
+  } catch (err) {
+    console.warn('[mailer] Could not read email_outbox:', err.message);
+    return results;
+  }
+  if (due.length === 0) return results;
+
+  const transport = getTransport();
+  for (const row of due) {
+    const claimed = await claimOutboxEmail(row, {
+      status: 'sending',
+      attempts: row.attempts + 1,
+      last_attempt_at: new Date().toISOString(),
+    });
+    if (!claimed) continue; // another run picked it up
+    results.retried++;
+    const status = await deliver(claimed, transport);
+    if (status === 'sent') results.sent++;
+    if (status === 'failed') results.failed++;
+  }
+  console.log(`[mailer] Outbox retry: ${results.sent}/${results.retried} sent, ${results.failed} gave up`);
+  return results;
+}
+
+/**
+ * Sender for one cron run. Normally send() is sendEmail(); in a dry run
+ * nothing is sent or recorded, and each message is collected in `previews`
+ * ({ to, subject, html, text }) for the caller to return instead.
+ */
+export function createMailer({ source, dryRun = false }) {
+  const previews = [];
+  return {
+    previews,
+    async send({ to, subject, html }) {
+      if (!dryRun) return sendEmail({ to, subject, html, source });
+      previews.push({ to: toList(to), subject, html, text: htmlToText(html) });
+      return { id: null, status: 'preview' };
+    },
+  };
 }
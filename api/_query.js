@@ -0,0 +1,217 @@
+/**
+ * /api/_query.js
+ *
+ * Parses tracked keywords as search queries and matches them against bill
+ * text. Not a route itself — Vercel skips files prefixed with "_".
+ *
+ *   health insurance            both words (AND is implied)
+ *   "paid family leave"         the exact phrase
+ *   medicaid OR medicare        either
+ *   health NOT dental           health, but not dental
+ *   health -"health insurance exchange"
+ *                               "-" excludes a word or phrase, like NOT
+ *   (housing OR rent) AND eviction
+ *
+ * AND, OR and NOT are only operators in capitals, so a lowercase "and" is just
+ * a word. AND binds tighter than OR. Words and phrases match case-insensitively
+ * anywhere in the text ("health" also matches "healthcare"); runs of spaces in
+ * a phrase match any whitespace.
+ *
+ *   const query = parseQuery('health -"health insurance exchange"');
+ *   const hits = matchQuery(query, { title, additional_information });
+ *   // null, or [{ field, ranges: [[start, end], …] }] for each field a term was found in
+ *   highlightSnippet(text, ranges)   // [{ text, hit }] around the first match
+ *   toTsQuery(query)                 // the same query for Postgres full-text search
+ */
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|(-)?"([^"]*)("?)|(-)?([^\s()"]+))/gy;
+    let match;
+    while (pattern.lastIndex < input.length && (match = pattern.exec(input))) {
+        const [, open, close, phraseNot, phrase, closingQuote, wordNot, word] = match;
+        if (open) tokens.push({ type: '(' });
+        else if (close) tokens.push({ type: ')' });
+        else if (phrase !== undefined) {
+            if (!closingQuote) throw new Error(`Missing closing quote in "${input}"`);
+            if (phraseNot) tokens.push({ type: 'NOT' });
+            if (phrase.trim()) tokens.push({ type: 'term', text: phrase.trim().replace(/\s+/g, ' '), phrase: true });
+        } else if (!wordNot && OPERATORS.has(word)) {
+            tokens.push({ type: word });
+        } else {
+            if (wordNot) tokens.push({ type: 'NOT' });
+            tokens.push({ type: 'term', text: word });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses a keyword query into a tree of
+ * { op: 'and' | 'or', children } / { op: 'not', child } / { op: 'term', text, phrase }.
+ * Throws on unbalanced parentheses or quotes, or an operator with nothing to apply to.
+ */
+export function parseQuery(input) {
+    const tokens = tokenize(String(input || ''));
+    let pos = 0;
+    const peek = () => tokens[pos]?.type;
+    const fail = (message) => { throw new Error(`${message} in "${input}"`); };
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek() === 'OR') { pos++; children.push(parseAnd()); }
+        return children.length > 1 ? { op: 'or', children } : children[0];
+    };
+    const parseAnd = () => {
+        const children = [parseUnary()];
+        // Adjacent terms are ANDed; an explicit AND is optional
+        while (peek() && peek() !== 'OR' && peek() !== ')') {
+            if (peek() === 'AND') pos++;
+            children.push(parseUnary());
+        }
+        return children.length > 1 ? { op: 'and', children } : children[0];
+    };
+    const parseUnary = () => {
+        const token = tokens[pos++];
+        if (!token) fail('Query ends with an operator');
+        if (token.type === 'NOT') return { op: 'not', child: parseUnary() };
+        if (token.type === 'term') return { op: 'term', text: token.text, phrase: !!token.phrase };
+        if (token.type === '(') {
+            const inner = parseOr();
+            if (tokens[pos++]?.type !== ')') fail('Missing closing parenthesis');
+            return inner;
+        }
+        return fail(`Unexpected ${token.type}`);
+    };
+
+    if (tokens.length === 0) fail('Empty query');
+    const tree = parseOr();
+    if (pos < tokens.length) fail(`Unexpected ${tokens[pos].type}`);
+    if (!hasPositiveTerm(tree)) fail('Query only excludes terms');
+    return tree;
+}
+
+// A query like `-dental` alone would match almost every bill
+function hasPositiveTerm(node, negated = false) {
+    if (node.op === 'term') return !negated;
+    if (node.op === 'not') return hasPositiveTerm(node.child, !negated);
+    return node.children.some(child => hasPositiveTerm(child, negated));
+}
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function termPattern(text) {
+    return new RegExp(text.split(' ').map(escapeRegExp).join('\\s+'), 'gi');
+}
+
+/** [start, end] of every occurrence of `text` in `value` */
+function findAll(text, value) {
+    const ranges = [];
+    if (!value) return ranges;
+    const pattern = termPattern(text);
+    let match;
+    while ((match = pattern.exec(value))) ranges.push([match.index, match.index + match[0].length]);
+    return ranges;
+}
+
+/**
+ * Matches a parsed query against named text fields, e.g. { title, additional_information }.
+ * The query is evaluated over all fields together, so `health AND leave` can
+ * match across title and description. Returns null when it doesn't match, or
+ * the occurrences of its non-excluded terms grouped by field.
+ */
+export function matchQuery(query, fields) {
+    const hits = {}; // field -> ranges
+    const evaluate = (node, negated) => {
+        if (node.op === 'and') return node.children.map(child => evaluate(child, negated)).every(Boolean);
+        if (node.op === 'or') return node.children.map(child => evaluate(child, negated)).some(Boolean);
+        if (node.op === 'not') return !evaluate(node.child, !negated);
+        let found = false;
+        for (const [field, value] of Object.entries(fields)) {
+            const ranges = findAll(node.text, value);
+            if (ranges.length === 0) continue;
+            found = true;
+            if (!negated) (hits[field] ||= []).push(...ranges);
+        }
+        return found;
+    };
+    if (!evaluate(query, false)) return null;
+    return Object.entries(hits).map(([field, ranges]) => ({ field, ranges: mergeRanges(ranges) }));
+}
+
+function mergeRanges(ranges) {
+    const merged = [];
+    for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+    }
+    return merged;
+}
+
+/**
+ * Splits the part of `text` around its first match into
+ * [{ text, hit }] segments, so a caller can render the hits highlighted.
+ * Text beyond `radius` characters either side is cut at a space and
+ * replaced by "…".
+ */
+export function highlightSnippet(text, ranges, { radius = 80 } = {}) {
+    if (!text || ranges.length === 0) return [{ text: text || '', hit: false }];
+    const [first, firstEnd] = ranges[0];
+    let from = Math.max(0, first - radius);
+    let to = Math.min(text.length, firstEnd + radius);
+    const space = text.indexOf(' ', from);
+    if (from > 0 && space !== -1 && space < first) from = space + 1;
+    const lastSpace = text.lastIndexOf(' ', to);
+    if (to < text.length && lastSpace > firstEnd) to = lastSpace;
+
+    const segments = [];
+    let cursor = from;
+    for (const [start, end] of ranges) {
+        if (start >= to) break;
+        if (start > cursor) segments.push({ text: text.slice(cursor, start), hit: false });
+        segments.push({ text: text.slice(Math.max(start, cursor), Math.min(end, to)), hit: true });
+        cursor = Math.min(end, to);
+    }
+    if (cursor < to) segments.push({ text: text.slice(cursor, to), hit: false });
+    if (from > 0) segments.unshift({ text: '…', hit: false });
+    if (to < text.length) segments.push({ text: '…', hit: false });
+    return segments;
+}
+
+// ─── Postgres full-text search ────────────────────────────────────────────────
+
+// Letters and digits only — anything else would be to_tsquery() syntax
+const lexemes = (text) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * The same query as a to_tsquery() string, for search_bill_cache()
+ * (migration.sql): AND, OR and NOT become &, | and !, a phrase becomes
+ * 'paid' <-> 'family' <-> 'leave', and a bare word matches as a prefix, so
+ * "health" still finds "healthcare" as in matchQuery(). Postgres stems the
+ * words and drops stop words. A word with other characters in it ("C++",
+ * "e-mail") is searched for as exactly its letters and digits, not as a
+ * prefix of them. Throws on a term with no letters or digits at all.
+ */
+export function toTsQuery(node) {
+    if (node.op === 'term') {
+        const words = lexemes(node.text);
+        if (words.length === 0) throw new Error(`"${node.text}" has no letters or digits to search for`);
+        const quoted = words.map(word => `'${word}'`);
+        const bare = !node.phrase && words.length === 1 && words[0] === node.text.toLowerCase();
+        return bare ? `${quoted[0]}:*` : `(${quoted.join(' <-> ')})`;
+    }
+    if (node.op === 'not') {
+        const child = toTsQuery(node.child);
+        return child && `!${child}`;
+    }
+    const children = node.children.map(toTsQuery).filter(Boolean);
+    if (children.length <= 1) return children[0] || null;
+    return `(${children.join(node.op === 'and' ? ' & ' : ' | ')})`;
+}
@@ -0,0 +1,90 @@
+/**
+ * /api/_snapshot.js
+ *
+ * Finds what happened to a bill between two LIMS checks. Not a route itself —
+ * Vercel skips files prefixed with "_".
+ *
+ * check-hearings keeps the last LegislationDetails it saw for each tracked
+ * bill in tracked_items.lims_snapshot (trimmed by limsSnapshot() to the parts
+ * compared here, since the browser loads whole tracked_items rows).
+ * diffSnapshots() returns one event per council action, reading, vote,
+ * committee markup or report, re-referral, or Mayor/Congress review step that
+ * is in the new snapshot but not the old one:
+ *
+ *   { key, kind, label, date }   kind: action | vote | committee | mayor | congress
+ *
+ * Each event has a stable `key` built from its LIMS fields, so an entry that
+ * LIMS merely reorders is not reported again. With no previous snapshot (a
+ * bill checked for the first time) there is nothing to compare against and no
+ * events are returned.
+ */
+
+const SNAPSHOT_FIELDS = [
+    'status', 'title', 'actions', 'committeeHearing', 'committeeMarkup',
+    'committeeReReferral', 'mayoralReview', 'congressionalReview'
+];
+
+const MAYORAL_STEPS = [
+    ['transmittedDate', 'Transmitted to Mayor'],
+    ['signedDate', 'Signed by Mayor'],
+    ['returnedDate', 'Returned by Mayor'],
+    ['enactedDate', 'Enacted'],
+    ['actPublicationDate', 'Act Published']
+];
+
+const CONGRESSIONAL_STEPS = [
+    ['transmittedDate', 'Transmitted to Congress'],
+    ['effectiveDate', 'Law Effective'],
+    ['lawPublicationDate', 'Law Published']
+];
+
+/** The parts of LegislationDetails worth keeping between checks */
+export function limsSnapshot(details) {
+    return Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, details?.[field] ?? null]));
+}
+
+const committeeNames = (value) => (Array.isArray(value) ? value.join(', ') : (value || ''));
+
+/** Every event a snapshot describes, in no particular order */
+function snapshotEvents(snapshot) {
+    const events = [];
+    const add = (kind, key, label, date, extra) => {
+        if (date) events.push({ key: `${kind}:${key}`, kind, label, date, ...extra });
+    };
+
+    (snapshot.actions || []).forEach(a => {
+        const action = a.action?.trim() || 'Council Action';
+        add('action', `${a.actionDate}:${action}`, action, a.actionDate);
+        // A vote result can appear on an action that was already listed
+        const vote = a.voteDetails?.voteResult;
+        if (vote) add('vote', `${a.actionDate}:${action}:${vote}`, `${action} — ${vote}`, a.actionDate, { of: `action:${a.actionDate}:${action}` });
+    });
+
+    (snapshot.committeeMarkup || []).forEach(m => {
+        add('committee', `markup:${m.committeeActionDate}`, 'Committee Markup', m.committeeActionDate);
+        add('committee', `report:${m.reportFiledDate}`, 'Committee Report Filed', m.reportFiledDate);
+    });
+
+    (snapshot.committeeReReferral || []).forEach(r => {
+        const committee = committeeNames(r.committeeName);
+        add('committee', `rereferral:${r.reReferralDate}:${committee}`, committee ? `Re-referred to ${committee}` : 'Committee Re-Referral', r.reReferralDate);
+    });
+
+    MAYORAL_STEPS.forEach(([field, label]) => add('mayor', `${field}:${snapshot.mayoralReview?.[field]}`, label, snapshot.mayoralReview?.[field]));
+    CONGRESSIONAL_STEPS.forEach(([field, label]) => add('congress', `${field}:${snapshot.congressionalReview?.[field]}`, label, snapshot.congressionalReview?.[field]));
+
+    return events;
+}
+
+/** Events in `next` that `prev` doesn't have, oldest first. [] when `prev` is empty. */
+export function diffSnapshots(prev, next) {
+    if (!prev || !next) return [];
+    const seen = new Set(snapshotEvents(prev).map(e => e.key));
+    const fresh = new Map();
+    snapshotEvents(next).forEach(e => { if (!seen.has(e.key)) fresh.set(e.key, e); });
+    // An action that is new and already has its vote is reported once, as the vote
+    fresh.forEach(e => { if (e.kind === 'vote' && fresh.has(e.of)) fresh.delete(e.of); });
+    return [...fresh.values()]
+        .map(({ of, ...event }) => event)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
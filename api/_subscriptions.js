@@ -0,0 +1,129 @@
+/**
+ * /api/_subscriptions.js
+ *
+ * Resolves who receives each cron email from notification_subscriptions.
+ * Not a route itself — Vercel skips files prefixed with "_".
+ *
+ * Until the table has any rows the jobs fall back to the env var lists
+ * (DAILY_REPORT_TO / WEEKLY_REPORT_TO), unfiltered, so an existing deployment
+ * keeps sending exactly what it sent before. Once anyone has a subscription
+ * the table is the only source of recipients.
+ *
+ *   const subs = await loadSubscriptions();
+ *   for (const { to, filter } of groupRecipients(recipientsFor(subs, 'daily_report', DAILY_REPORT_TO))) {
+ *       const mine = items.filter(item => matchesFilter(filter, item));
+ *       …
+ *   }
+ */
+
+import { getNotificationSubscriptions } from './_db.js';
+
+export const SUBSCRIPTION_KINDS = ['daily_report', 'eod_report', 'weekly_report', 'status_alerts', 'hearing_alerts', 'keyword_alerts', 'hearing_reminders'];
+export const DELIVERY_MODES = ['immediate', 'digest'];
+
+// subscription column -> tracked_items column it filters on
+const FILTER_FIELDS = { priorities: 'priority', action_statuses: 'action_status', assignees: 'assigned_to' };
+
+const ACTION_STATUS_LABELS = { action_needed: 'Action Needed', monitor_and_assess: 'Monitor & Assess', action_completed: 'Action Completed' };
+
+const splitAddresses = (list) => String(list || '').split(',').map(e => e.trim()).filter(Boolean);
+
+/** Filter arrays from a subscription row, or null when it receives everything */
+function toFilter(sub) {
+    const filter = {};
+    for (const key of Object.keys(FILTER_FIELDS)) {
+        if (Array.isArray(sub[key]) && sub[key].length > 0) filter[key] = [...sub[key]].sort();
+    }
+    return Object.keys(filter).length > 0 ? filter : null;
+}
+
+/**
+ * Loads every subscription once per run. `fromEnv` is true when the table is
+ * empty — or missing because the migration hasn't been run yet.
+ */
+export async function loadSubscriptions() {
+    try {
+        const rows = await getNotificationSubscriptions();
+        return { rows, fromEnv: rows.length === 0 };
+    } catch (err) {
+        console.warn('[subscriptions] Could not load notification_subscriptions — using env recipients:', err.message);
+        return { rows: [], fromEnv: true };
+    }
+}
+
+/**
+ * Recipients of one kind of email: [{ email, name, filter, delivery }].
+ * `fallbackTo` is the comma-separated env var used while no subscriptions exist.
+ */
+export function recipientsFor(subscriptions, kind, fallbackTo) {
+    if (subscriptions.fromEnv) {
+        return splitAddresses(fallbackTo).map(email => ({ email, name: null, filter: null, delivery: 'immediate' }));
+    }
+    return subscriptions.rows
+        .filter(s => s.active && s[kind])
+        .map(s => ({ email: s.email, name: s.name, filter: toFilter(s), delivery: s.delivery || 'immediate' }));
+}
+
+/**
+ * True when `email` already gets `kind` emails that include `item`: it is on
+ * the env list while no subscriptions exist, or has an active subscription to
+ * `kind` whose filter passes the item.
+ */
+export function receivesItem(subscriptions, kind, fallbackTo, email, item) {
+    const address = email.toLowerCase();
+    return recipientsFor(subscriptions, kind, fallbackTo)
+        .some(r => r.email.toLowerCase() === address && matchesFilter(r.filter, item));
+}
+
+/** True when a tracked item passes a subscriber's filter (null = no filter) */
+export function matchesFilter(filter, item) {
+    if (!filter) return true;
+    return Object.entries(FILTER_FIELDS).every(([key, field]) => {
+        const allowed = filter[key];
+        if (!allowed || allowed.length === 0) return true;
+        const value = item[field] || (field === 'assigned_to' ? 'Unassigned' : null);
+        return allowed.includes(value);
+    });
+}
+
+/** One-line summary for the top of a filtered email, e.g. "High priority · Action Needed · Assigned to Jane Doe" */
+export function describeFilter(filter) {
+    if (!filter) return '';
+    return [
+        filter.priorities && `${filter.priorities.map(p => p[0].toUpperCase() + p.slice(1)).join(' / ')} priority`,
+        filter.action_statuses && filter.action_statuses.map(s => ACTION_STATUS_LABELS[s] || s).join(' / '),
+        filter.assignees && `Assigned to ${filter.assignees.join(' / ')}`
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Recipients of the check-hearings alerts, one entry per address with the
+ * alert kinds it wants: [{ email, name, filter, delivery, kinds }].
+ */
+export function alertRecipientsFor(subscriptions, fallbackTo) {
+    const byEmail = new Map();
+    for (const kind of ['status_alerts', 'hearing_alerts', 'keyword_alerts']) {
+        for (const r of recipientsFor(subscriptions, kind, fallbackTo)) {
+            const key = r.email.toLowerCase();
+            if (!byEmail.has(key)) byEmail.set(key, { ...r, kinds: [] });
+            byEmail.get(key).kinds.push(kind);
+        }
+    }
+    return [...byEmail.values()];
+}
+
+/**
+ * Groups recipients that share a filter, delivery mode and (for alerts) kinds,
+ * so each variant of an email is rendered and sent once:
+ * [{ filter, delivery, kinds, to: [emails] }].
+ */
+export function groupRecipients(recipients) {
+    const groups = new Map();
+    for (const r of recipients) {
+        const key = JSON.stringify([r.filter, r.delivery, r.kinds || null]);
+        if (!groups.has(key)) groups.set(key, { filter: r.filter, delivery: r.delivery, kinds: r.kinds, to: [] });
+        const group = groups.get(key);
+        if (!group.to.some(e => e.toLowerCase() === r.email.toLowerCase())) group.to.push(r.email);
+    }
+    return [...groups.values()];
+}
@@ -0,0 +1,281 @@
+/**
+ * /api/_templates.js
+ *
+ * Shared building blocks for every email the app sends — document, header,
+ * stats bar, section, item card, tables and footer — so reports and alerts
+ * look the same. Not a route itself — Vercel skips files prefixed with "_".
+ *
+ * Write markup with the html`` tag. Interpolated values are HTML-escaped
+ * unless they are html`` results themselves (or wrapped in raw()), so a bill
+ * title or note containing "<" or "&" can't break the email. Arrays are
+ * joined; null, undefined and false render as nothing.
+ *
+ *   const body = html`
+ *       ${emailHeader({ title: 'DC Policy Tracker', subtitle, stats })}
+ *       ${section({ title: `Action Needed (${items.length})`, tone: 'red', body: items.map(item => itemCard({ item, rows })) })}
+ *       ${emailFooter()}`;
+ *   return { subject, html: emailDocument(body) };
+ *
+ * htmlToText() produces the plain-text alternative; _mailer.js adds one to
+ * every message automatically.
+ */
+
+export const TRACKER_URL = 'https://dcpca-policy-tracker.vercel.app';
+
+// Colour sets used by headers, sections, cards and highlighted rows
+export const TONES = {
+    navy:   { accent: '#1e3a5f', heading: '#1e3a5f', text: '#1e3a5f', background: '#f1f5f9', border: '#cbd5e1' },
+    indigo: { accent: '#4f46e5', heading: '#3730a3', text: '#3730a3', background: '#eef2ff', border: '#a5b4fc' },
+    red:    { accent: '#dc2626', heading: '#991b1b', text: '#7f1d1d', background: '#fef2f2', border: '#fca5a5' },
+    amber:  { accent: '#d97706', heading: '#92400e', text: '#78350f', background: '#fffbeb', border: '#fcd34d' },
+    yellow: { accent: '#854d0e', heading: '#854d0e', text: '#854d0e', background: '#fefce8', border: '#fde047' },
+    green:  { accent: '#16a34a', heading: '#166534', text: '#166534', background: '#f0fdf4', border: '#86efac' },
+    blue:   { accent: '#2563eb', heading: '#1e40af', text: '#1e40af', background: '#eff6ff', border: '#93c5fd' },
+    orange: { accent: '#c2410c', heading: '#9a3412', text: '#9a3412', background: '#fff7ed', border: '#fdba74' },
+    purple: { accent: '#7c3aed', heading: '#5b21b6', text: '#5b21b6', background: '#f5f3ff', border: '#c4b5fd' },
+    gray:   { accent: '#6b7280', heading: '#374151', text: '#374151', background: '#f3f4f6', border: '#e5e7eb' }
+};
+
+const tone = (name) => TONES[name] || TONES.gray;
+
+// ─── Escaping ─────────────────────────────────────────────────────────────────
+
+class SafeHtml {
+    constructor(value) { this.value = value; }
+    toString() { return this.value; }
+}
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ENTITIES[c]);
+}
+
+/** Marks a string as already-safe markup. Only for constants and trusted output. */
+export const raw = (value) => new SafeHtml(String(value ?? ''));
+
+function render(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(render).join('');
+    return escapeHtml(value);
+}
+
+/** Tagged template: escapes every interpolation that isn't already html`` */
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, s, i) => out + s + (i < values.length ? render(values[i]) : ''), ''));
+}
+
+// ─── Small pieces ─────────────────────────────────────────────────────────────
+
+/** A link when `url` is http(s), otherwise just the label — item links can be typed in by hand */
+export function link(url, label, style = 'color: #4f46e5; text-decoration: none;') {
+    return url && /^https?:\/\//i.test(url) ? html`<a href="${url}" style="${style}">${label}</a>` : html`${label}`;
+}
+
+export const billNumber = (item) => item.bill_number || item.id;
+
+/** "Committee" or "Agency", with the matching value, for a tracked item */
+export function committeeField(item) {
+    if (item.is_manual_entry) return { label: 'Agency', value: item.agency || '—' };
+    const committees = Array.isArray(item.committees) ? item.committees.join(', ') : item.committees;
+    return { label: 'Committee', value: committees || '—' };
+}
+
+/** Values one per line */
+export const lines = (values) => html`${values.map((value, i) => html`${i > 0 ? raw('<br>') : ''}${value}`)}`;
+
+export const truncate = (text, max) => (text.length > max ? `${text.substring(0, max)}…` : text);
+
+// ─── Layout ───────────────────────────────────────────────────────────────────
+
+/** The complete email; returns the final HTML string */
+export function emailDocument(body, { width = 700 } = {}) {
+    return String(html`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: ${width}px; margin: 0 auto; padding: 24px; background: #f9fafb; color: #111827;">
+${body}
+</body>
+</html>`);
+}
+
+/**
+ * Coloured title bar. Below it goes either a stats bar (`stats`, reports) or
+ * a one-line summary on the tone's tint (`summary`, alerts). `note` is a
+ * smaller line under the subtitle, e.g. the subscriber's filter.
+ */
+export function emailHeader({ title, subtitle, note, tone: name = 'navy', stats, summary }) {
+    const t = tone(name);
+    const panel = stats ? statsBar(stats) : summary ? html`<p style="margin: 0; font-size: 13px; color: ${t.text};">${summary}</p>` : null;
+    return html`
+    <div style="background: ${t.accent}; color: white; padding: 20px 24px; border-radius: ${panel ? '10px 10px 0 0' : '10px'};${panel ? '' : ' margin-bottom: 24px;'}">
+        <h1 style="margin: 0; font-size: 20px; font-weight: 700;">${title}</h1>
+        ${subtitle ? html`<p style="margin: 4px 0 0; font-size: 13px; opacity: 0.85;">${subtitle}</p>` : ''}
+        ${note ? html`<p style="margin: 4px 0 0; font-size: 12px; opacity: 0.75;">${note}</p>` : ''}
+    </div>
+    ${panel ? html`
+    <div style="background: ${stats ? 'white' : t.background}; padding: 16px 24px; border: 1px solid ${stats ? '#e5e7eb' : t.border}; border-top: none; border-radius: 0 0 10px 10px; margin-bottom: 24px;">
+        ${panel}
+    </div>` : ''}`;
+}
+
+/** Row of big numbers: [{ label, value, tone }] */
+export function statsBar(stats) {
+    return html`
+        <table style="width: 100%; text-align: center; border-collapse: collapse;">
+            <tr>
+                ${stats.map(({ label, value, tone: name }, i) => html`
+                <td style="padding: 8px;${i < stats.length - 1 ? ' border-right: 1px solid #e5e7eb;' : ''}">
+                    <span style="display: block; font-size: 28px; font-weight: 700; color: ${tone(name).accent};">${value}</span>
+                    <span style="display: block; font-size: 11px; color: #6b7280; text-transform: uppercase;">${label}</span>
+                </td>`)}
+            </tr>
+        </table>`;
+}
+
+/** Tinted box with a heading; `body` is usually a list of item cards */
+export function section({ title, tone: name = 'gray', body }) {
+    const t = tone(name);
+    return html`
+    <div style="margin: 0 0 24px; padding: 16px; background: ${t.background}; border: 1px solid ${t.border}; border-radius: 8px;">
+        <h2 style="margin: 0 0 12px; font-size: 15px; font-weight: 700; color: ${t.heading};">${title}</h2>
+        ${body}
+    </div>`;
+}
+
+export function emailFooter(content = html`DC Policy Tracker &middot; ${link(TRACKER_URL, 'Open Tracker', 'color: #9ca3af;')}`) {
+    return html`
+    <div style="margin-top: 24px; padding: 12px; text-align: center; font-size: 11px; color: #9ca3af;">
+        ${content}
+    </div>`;
+}
+
+// ─── Items ────────────────────────────────────────────────────────────────────
+
+const LABEL_STYLE = 'padding: 3px 8px 3px 0; white-space: nowrap; vertical-align: top;';
+const VALUE_STYLE = 'padding: 3px 0; vertical-align: top;';
+
+function fieldStyles({ tone: name, strong, italic, small, strike }) {
+    const color = name ? tone(name).accent : null;
+    const weight = strong ? ' font-weight: 600;' : '';
+    return {
+        label: `color: ${color || '#6b7280'};${weight}`,
+        value: `color: ${color || '#374151'};${weight}${italic ? ' font-style: italic;' : ''}${small ? ' font-size: 11px;' : ''}${strike ? ' text-decoration: line-through;' : ''}`
+    };
+}
+
+/**
+ * One line of an item card. A field is { label, value, tone?, strong?,
+ * italic?, small?, strike? }; a row is a field (full width) or a pair of
+ * fields side by side. Falsy rows and fields are skipped.
+ */
+function cardRow(row) {
+    if (!row) return '';
+    const fields = (Array.isArray(row) ? row : [row]).filter(Boolean);
+    if (fields.length === 0) return '';
+    // One field spans the row; two sit side by side
+    return html`
+                <tr>${fields.map((field, i) => {
+                    const styles = fieldStyles(field);
+                    return html`
+                    <td style="${LABEL_STYLE}${i > 0 ? ' padding-left: 16px;' : ''} ${styles.label}">${field.label}</td>
+                    <td${fields.length === 1 ? raw(' colspan="3"') : ''} style="${VALUE_STYLE} ${styles.value}">${field.value}</td>`;
+                })}
+                </tr>`;
+}
+
+/**
+ * White card for one tracked item or bill: the title (linked when `url`
+ * is set) and a table of fields. `tone` colours the border.
+ */
+export function itemCard({ title, url, prefix, tone: name, rows = [] }) {
+    const border = name ? tone(name).border : '#e5e7eb';
+    return html`
+        <div style="margin: 12px 0; padding: 12px; border-radius: 6px; background: white; border: 1px solid ${border};">
+            <div style="font-size: 14px; font-weight: 600; color: #111827; margin-bottom: 8px;">
+                ${prefix ? html`${prefix} ` : ''}${link(url, title)}
+            </div>
+            <table style="width: 100%; font-size: 12px; border-collapse: collapse;">${rows.map(cardRow)}
+            </table>
+        </div>`;
+}
+
+/** Compact bill / title / what-changed table, for "updates since …" highlights */
+export function changeTable(rows) {
+    return html`
+        <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+            ${rows.map(({ item, change, tone: name = 'yellow' }) => html`
+            <tr style="border-bottom: 1px solid #fde047;">
+                <td style="padding: 6px 8px 6px 0; color: #4f46e5; font-weight: 500; white-space: nowrap; vertical-align: top;">${link(item.link, billNumber(item))}</td>
+                <td style="padding: 6px 8px; color: #374151; font-size: 11px; vertical-align: top;">${item.title}</td>
+                <td style="padding: 6px 0; color: ${tone(name).accent}; font-size: 11px; white-space: nowrap; vertical-align: top;">${change}</td>
+            </tr>`)}
+        </table>`;
+}
+
+/**
+ * Striped table with a header row. `rows` are arrays of cells; a cell is a
+ * value or { value, style }.
+ */
+export function dataTable({ columns, rows, stripe = '#fafafa' }) {
+    const th = 'padding: 8px 12px; background: #f9fafb; font-size: 11px; font-weight: 600; color: #6b7280; text-transform: uppercase; letter-spacing: 0.05em; text-align: left;';
+    const td = 'padding: 10px 12px; border-bottom: 1px solid #f3f4f6; font-size: 13px; color: #374151; vertical-align: top;';
+    return html`
+        <table style="width: 100%; border-collapse: collapse; border: 1px solid #e5e7eb; border-radius: 8px; overflow: hidden; background: white;">
+            <thead>
+                <tr>${columns.map(c => html`<th style="${th}">${c}</th>`)}</tr>
+            </thead>
+            <tbody>
+                ${rows.map((cells, idx) => html`
+                <tr style="background: ${idx % 2 === 0 ? 'white' : stripe};">
+                    ${cells.map(cell => (cell && typeof cell === 'object' && !(cell instanceof SafeHtml)
+                        ? html`<td style="${td} ${cell.style || ''}">${cell.value}</td>`
+                        : html`<td style="${td}">${cell}</td>`))}
+                </tr>`)}
+            </tbody>
+        </table>`;
+}
+
+// ─── Plain text ───────────────────────────────────────────────────────────────
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', middot: '·', rarr: '→', hellip: '…' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+        }
+        return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Plain-text version of a rendered email: headings on their own lines,
+ * table cells separated by spaces, links as "label (url)".
+ */
+export function htmlToText(markup) {
+    const text = String(markup)
+        .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!DOCTYPE[^>]*>/gi, '')
+        .replace(/\s+/g, ' ') // source indentation isn't content; line breaks come from the tags below
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const labelText = label.replace(/<[^>]+>/g, '').trim();
+            const url = decodeEntities(href);
+            return labelText && labelText !== url ? `${label} (${url})` : url;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<h[1-6][^>]*>/gi, '\n\n')
+        .replace(/<\/h[1-6]>/gi, '\n')
+        .replace(/<\/(td|th)>/gi, '  ')
+        .replace(/<\/(p|div|tr|table|li)>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text)
+        .split('\n')
+        .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim() + '\n';
+}
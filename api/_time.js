@@ -0,0 +1,74 @@
+/**
+ * /api/_time.js
+ *
+ * Dates and times in the Council's time zone. Not a route itself — Vercel
+ * skips files prefixed with "_".
+ *
+ * LIMS lists hearing and markup times as wall-clock time in Washington with
+ * no offset ("2026-11-04T10:00:00"), and a day with no time as midnight
+ * ("2026-11-04T00:00:00" or "2026-11-04"). The functions run on UTC servers,
+ * so `new Date(value)` would read 10:00 ET as 10:00 UTC; parseLimsDate()
+ * reads it as America/New_York instead. A value at midnight ET is a calendar
+ * day with no time (hasTime() is false).
+ */
+
+export const TIME_ZONE = 'America/New_York';
+
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/;
+
+const wallClockFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+/** { year, month, day, hour, minute, second } of an instant on the clock in Washington */
+function etParts(date) {
+    const parts = {};
+    for (const { type, value } of wallClockFormat.formatToParts(date)) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+    return parts;
+}
+
+// Milliseconds ET is ahead of UTC at an instant (negative: -4h or -5h)
+function etOffset(ms) {
+    const p = etParts(new Date(ms));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/** The instant a wall-clock time in Washington names (month is 1–12) */
+export function fromEt(year, month, day, hour = 0, minute = 0, second = 0) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    // Second pass lands on the right side of a daylight-saving change
+    const guess = wall - etOffset(wall);
+    return new Date(wall - etOffset(guess));
+}
+
+/**
+ * A LIMS date or datetime as a Date, or null. Values without an offset are
+ * Washington wall-clock time; values with "Z" or an offset are taken as given.
+ */
+export function parseLimsDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    const text = String(value).trim();
+    const m = WALL_CLOCK.exec(text);
+    if (m) {
+        const [, year, month, day, hour, minute, second] = m.map(part => Number(part || 0));
+        return fromEt(year, month, day, hour, minute, second);
+    }
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+}
+
+/** YYYY-MM-DD of an instant in Washington */
+export function etDay(date) {
+    const p = etParts(new Date(date));
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/** False for a date-only value (midnight in Washington), true when it names a time of day */
+export function hasTime(date) {
+    const p = etParts(new Date(date));
+    return p.hour !== 0 || p.minute !== 0 || p.second !== 0;
+}
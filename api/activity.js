@@ -0,0 +1,87 @@
+/**
+ * /api/activity.js
+ *
+ * Records a change made in the app under the name of the person whose session
+ * made it. activity_log and bill_status_history accept no inserts from the
+ * anon key, so the actor is always the verified session's team member.
+ *
+ *   POST { action, itemId?, itemTitle?, details? }   → activity_log row
+ *   POST { ..., history: { oldStatus, newStatus, changeLabel } }
+ *        → also a bill_status_history row for itemId (tracker status changes)
+ *
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, SESSION_SECRET
+ */
+
+import { requireSession } from './_auth.js';
+import { selectOne, insert } from './_db.js';
+
+const MAX_TEXT = 1000;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const text = (value) => (value === undefined || value === null ? null : String(value).slice(0, MAX_TEXT));
+
+/** activity_log / bill_status_history values from a request body, or { error } */
+function toEntry(body) {
+    const { action, itemId, itemTitle, details = {}, history } = body || {};
+    if (typeof action !== 'string' || !/^[a-z_]{1,64}$/.test(action)) return { error: 'action must be a name like priority_changed' };
+    if (details === null || typeof details !== 'object' || Array.isArray(details)) return { error: 'details must be an object' };
+    if (JSON.stringify(details).length > 10 * MAX_TEXT) return { error: 'details is too large' };
+    if (history !== undefined) {
+        if (!itemId) return { error: 'history needs an itemId' };
+        if (!history || typeof history !== 'object' || !history.changeLabel) return { error: 'history needs oldStatus, newStatus and changeLabel' };
+    }
+    return {
+        entry: {
+            action,
+            itemId: text(itemId),
+            itemTitle: text(itemTitle),
+            details,
+            history: history && { oldStatus: text(history.oldStatus), newStatus: text(history.newStatus), changeLabel: text(history.changeLabel) }
+        }
+    };
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const session = await requireSession(req, res);
+    if (!session) return;
+    if (session.system) return res.status(400).json({ error: 'Activity is recorded for a team member — sign in to make changes' });
+
+    const { entry, error } = toEntry(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const member = await selectOne(`/team_members?id=eq.${encodeURIComponent(session.sub)}&select=id,name`);
+        if (!member) return res.status(403).json({ error: 'No team member for this session' });
+        const now = new Date().toISOString();
+
+        if (entry.history) {
+            await insert('bill_status_history', {
+                item_id: entry.itemId,
+                old_status: entry.history.oldStatus,
+                new_status: entry.history.newStatus,
+                change_label: entry.history.changeLabel,
+                changed_at: now,
+                changed_by_id: member.id,
+                changed_by_name: member.name
+            });
+        }
+        await insert('activity_log', {
+            action: entry.action,
+            item_id: entry.itemId,
+            item_title: entry.itemTitle,
+            details: entry.details,
+            actor_id: member.id,
+            actor_name: member.name,
+            created_at: now
+        });
+        return res.status(200).json({ recorded: true });
+    } catch (err) {
+        console.error('[activity] Could not record activity:', err);
+        return res.status(500).json({ error: err.message });
+    }
+}
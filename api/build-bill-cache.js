@@ -1,222 +1,315 @@
 /**
  * /api/build-bill-cache.js
  *
- * Incrementally builds the lims_bill_cache table — processes 20 bills per
- * invocation to stay within Vercel's function timeout.
+ * Incrementally builds the lims_bill_cache table — makes 20 LIMS detail
+ * calls per invocation to stay within Vercel's function timeout.
  *
- * First call: paginates SearchLegislation to collect all bill numbers,
- *             saves them + cursor position to lims_cache_cursor, then
- *             processes the first batch.
- * Subsequent calls: picks up where it left off.
- * When complete: returns { status: "complete" }
+ * Building a period is a discovery run: for each legislation prefix (B, PR,
+ * CER, R, CA, A, L — see _cache.js) it probes numbers forward from the
+ * highest one already cached, caching every hit, until MISS_RUN numbers in a
+ * row are missing from LIMS. The run's progress per prefix is kept in
+ * lims_cache_cursor, so each call picks up where the last one stopped.
+ * Returns { status: "in_progress" } until every prefix has run out, then
+ * { status: "complete" }. A finished period is discovered again after
+ * FULL_RUN_DAYS, which only costs MISS_RUN probes per prefix plus whatever
+ * is new.
+ *
+ * After that each call is a refresh. It first caches any legislation the
+ * latest SearchLegislation results list that the cache doesn't have yet
+ * (new numbers between full runs), then re-fetches the cached bills furthest
+ * past their refresh_after (recently active bills come due within days,
+ * quiet ones within a month — see _cache.js) and returns
+ * { status: "refreshed" | "up_to_date", discovered, refreshed, due, freshness },
+ * where freshness summarizes how stale the cache is, overall and per period.
+ * Refresh calls also fill in the sponsors and committees of up to
+ * ENTITY_BATCH bills cached before those tables existed, from raw_details.
+ *
+ * Every bill cached is also split into council_members, committees,
+ * bill_sponsors and bill_committees rows (billEntities in _cache.js).
+ *
+ * Each council period has its own cursor. The current period is read from
+ * LIMS CouncilPeriods (see currentCouncilPeriod in _lims.js), so a new period
+ * starts caching on its own. Calls work on the current period first, then
+ * finish the one before it; rows of older periods stay in the cache.
+ * ?period=25 builds a specific period instead; with reset=true its discovery
+ * starts again from number 1 rather than from the highest cached number.
  *
  * PowerShell loop to run until done:
  *   $headers = @{ "Authorization" = "Bearer YOUR_SECRET" }
  *   do {
  *     $r = Invoke-WebRequest -Uri "https://dcpca-policy-tracker.vercel.app/api/build-bill-cache" -Method POST -Headers $headers
  *     $body = $r.Content | ConvertFrom-Json
- *     Write-Host "$($body.position)/$($body.total) — $($body.status)"
+ *     Write-Host "Period $($body.councilPeriod): $($body.position) probed, $($body.total) found — $($body.status)"
  *     Start-Sleep 5
  *   } while ($body.status -eq "in_progress")
  *
- * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, CRON_SECRET
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, CRON_SECRET, LIMS_API_KEY
  */
 
-const SUPABASE_URL   = process.env.SUPABASE_URL;
-const SUPABASE_KEY   = process.env.SUPABASE_SERVICE_KEY;
-const CRON_SECRET    = process.env.CRON_SECRET;
-const PROXY_URL      = 'https://dcpca-policy-tracker.vercel.app/api/hello';
-const COUNCIL_PERIOD = 26;
-const PAGE_SIZE      = 100;  // bills per SearchLegislation page
+import { getLegislationDetails, searchLegislation, getCouncilPeriods, currentCouncilPeriod } from './_lims.js';
+import {
+    getCacheCursor, saveCacheCursor, updateCacheCursor, deleteCacheCursor, getCachedBillNumbers,
+    upsertBillCache, updateBillCache, getBillsDueForRefresh, getBillCacheFreshness,
+    saveBillEntities, getBillsWithoutEntities
+} from './_db.js';
+import { authorizeCron } from './_auth.js';
+import { recordCronRun } from './_health.js';
+import {
+    cacheRow, cacheFreshness, refreshAfter, billEntities,
+    LEGISLATION_PREFIXES, parseLegislationNumber, legislationNumber, highestNumbers
+} from './_cache.js';
+
+const CACHED_PERIODS = 2;    // the current period and the one before it
 const BATCH_SIZE     = 20;   // detail fetches per invocation
 const DETAIL_DELAY   = 1200; // ms between detail fetches
+const MISS_DELAY     = 300;  // ms after a number LIMS doesn't have
+const MISS_RUN       = 15;   // numbers missing in a row before a prefix is done
+const FULL_RUN_DAYS  = 7;    // a finished period is discovered again after this
+const ENTITY_BATCH   = 200;  // cached bills per call whose sponsors/committees are filled from raw_details
 
-// ─── Supabase helpers ─────────────────────────────────────────────────────────
-
-const sbHeaders = {
-    'apikey': SUPABASE_KEY,
-    'Authorization': `Bearer ${SUPABASE_KEY}`,
-    'Content-Type': 'application/json',
-    'Prefer': 'resolution=merge-duplicates,return=minimal'
-};
-
-async function sbGet(path) {
-    const r = await fetch(`${SUPABASE_URL}/rest/v1${path}`, {
-        headers: { ...sbHeaders, 'Prefer': 'return=representation' }
-    });
-    if (!r.ok) throw new Error(`Supabase GET ${path}: ${r.status}`);
-    return r.json();
-}
+const delay = ms => new Promise(r => setTimeout(r, ms));
 
-async function sbUpsert(table, body) {
-    const r = await fetch(`${SUPABASE_URL}/rest/v1/${table}`, {
-        method: 'POST', headers: sbHeaders, body: JSON.stringify(body)
-    });
-    if (!r.ok) throw new Error(`Supabase UPSERT ${table}: ${r.status} ${await r.text()}`);
+/** Caches a bill's details with its sponsors and committees (council_members, bill_sponsors, …) */
+async function cacheBill(billNum, councilPeriod, details) {
+    await upsertBillCache(cacheRow(billNum, councilPeriod, details));
+    await saveBillEntities([{ billNumber: billNum, ...billEntities(details) }]);
 }
 
-async function sbPatch(table, filter, body) {
-    const qs = Object.entries(filter).map(([k,v]) => `${k}=eq.${encodeURIComponent(v)}`).join('&');
-    const r = await fetch(`${SUPABASE_URL}/rest/v1/${table}?${qs}`, {
-        method: 'PATCH', headers: sbHeaders, body: JSON.stringify(body)
-    });
-    if (!r.ok) throw new Error(`Supabase PATCH ${table}: ${r.status}`);
+/**
+ * Council period ids this call may work on, in order: `requested` alone, or
+ * the current period and the ones before it. { error } for an unknown period.
+ */
+async function periodsToCache(requested) {
+    const periods = await getCouncilPeriods();
+    const ids = periods.map(p => p.councilPeriodId);
+    if (requested) return ids.includes(requested) ? { ids: [requested] } : { error: `LIMS has no council period ${requested}` };
+    const current = currentCouncilPeriod(periods);
+    if (!current) return { error: 'LIMS returned no council periods' };
+    return {
+        ids: ids.filter(id => id <= current.councilPeriodId).sort((a, b) => b - a).slice(0, CACHED_PERIODS)
+    };
 }
 
-// ─── LIMS via proxy ───────────────────────────────────────────────────────────
+// ─── Discovery ────────────────────────────────────────────────────────────────
 
-async function limsPost(endpoint, body) {
-    const r = await fetch(PROXY_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ endpoint, method: 'POST', body })
-    });
-    if (!r.ok) throw new Error(`Proxy POST ${endpoint}: ${r.status}`);
-    const data = await r.json();
-    if (data.error) throw new Error(data.error);
-    return data;
+/** A period needs a discovery run if it has never had one, is mid-run, or finished over FULL_RUN_DAYS ago */
+function needsDiscovery(cursor, now = new Date()) {
+    if (!cursor || !cursor.completed) return true;
+    return new Date(now) - new Date(cursor.updated_at || 0) > FULL_RUN_DAYS * 24 * 60 * 60 * 1000;
 }
 
-async function limsGet(endpoint) {
-    const r = await fetch(PROXY_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ endpoint, method: 'GET', body: null })
-    });
-    if (!r.ok) throw new Error(`Proxy GET ${endpoint}: ${r.status}`);
-    const data = await r.json();
-    if (data.error) return null; // bill doesn't exist, skip silently
-    return data;
+/** Saves a new discovery run for a period: every known prefix, from the highest cached number (or 1) */
+async function startDiscovery(councilPeriod, { fromScratch = false } = {}) {
+    const highest = fromScratch ? {} : highestNumbers(await getCachedBillNumbers(councilPeriod), councilPeriod);
+    const prefixes = [...new Set([...LEGISLATION_PREFIXES, ...Object.keys(highest)])];
+    const cursor = {
+        council_period_id: councilPeriod,
+        prefixes: Object.fromEntries(prefixes.map(p => [p, { next: (highest[p] || 0) + 1, misses: 0, found: 0 }])),
+        position: 0,
+        total: 0,
+        completed: false,
+        started_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+    await saveCacheCursor(cursor);
+    console.log(`[build-bill-cache] Period ${councilPeriod}: discovery from ${prefixes.map(p => legislationNumber(p, councilPeriod, (highest[p] || 0) + 1)).join(', ')}`);
+    return cursor;
 }
 
-const delay = ms => new Promise(r => setTimeout(r, ms));
-const parseMembers = (val) =>
-    Array.isArray(val) ? val.map(m => m.memberName || String(m)).join('; ') : (val || null);
-
-// ─── Handler ──────────────────────────────────────────────────────────────────
-
-export default async function handler(req, res) {
-    const isVercelCron = req.headers['x-vercel-cron'] === '1';
-    const isManual = CRON_SECRET && req.headers['authorization'] === `Bearer ${CRON_SECRET}`;
-    if (!isVercelCron && !isManual) return res.status(401).json({ error: 'Unauthorized' });
+/**
+ * Probes up to BATCH_SIZE numbers of the run in `cursor`, caching the hits;
+ * returns the saved progress. A prefix moves past a number only on a hit or a
+ * miss: an error ends the batch, so the number is tried again on the next call.
+ */
+async function discover(cursor) {
+    const councilPeriod = cursor.council_period_id;
+    const prefixes = structuredClone(cursor.prefixes);
+    const stats = { probed: 0, upserted: 0, skipped: 0, errors: 0 };
 
-    const reset = req.query?.reset === 'true' || req.body?.reset === true;
-    if (reset) {
-        await fetch(`${SUPABASE_URL}/rest/v1/lims_cache_cursor?council_period_id=eq.${COUNCIL_PERIOD}`, {
-            method: 'DELETE', headers: sbHeaders
-        });
-        console.log('[build-bill-cache] Cursor reset');
+    for (const [prefix, run] of Object.entries(prefixes)) {
+        while (run.misses < MISS_RUN && stats.probed < BATCH_SIZE && stats.errors === 0) {
+            const billNum = legislationNumber(prefix, councilPeriod, run.next);
+            stats.probed++;
+            try {
+                const details = await getLegislationDetails(billNum);
+                if (!details) {
+                    run.next++;
+                    run.misses++;
+                    stats.skipped++;
+                    await delay(MISS_DELAY);
+                    continue;
+                }
+                await cacheBill(billNum, councilPeriod, details);
+                run.next++;
+                run.misses = 0;
+                run.found++;
+                stats.upserted++;
+            } catch (err) {
+                // Neither a hit nor a miss — an outage mustn't end the prefix early or skip the number
+                console.error(`[build-bill-cache] Error on ${billNum}, retrying it next call:`, err.message);
+                stats.errors++;
+                break;
+            }
+            await delay(DETAIL_DELAY);
+        }
     }
 
-    // ── Load or initialize cursor ─────────────────────────────────────────────
-    let cursorRows = await sbGet(`/lims_cache_cursor?council_period_id=eq.${COUNCIL_PERIOD}`);
-    let cursor = cursorRows[0];
+    const progress = {
+        prefixes,
+        position: cursor.position + stats.probed,
+        total: cursor.total + stats.upserted,
+        completed: Object.values(prefixes).every(run => run.misses >= MISS_RUN),
+        updated_at: new Date().toISOString()
+    };
+    await updateCacheCursor(councilPeriod, progress);
+    return { stats, progress };
+}
 
-    if (!cursor) {
-        console.log('[build-bill-cache] No cursor found — generating bill numbers by iteration...');
+// ─── Refresh ──────────────────────────────────────────────────────────────────
 
-        // Since SearchLegislation caps results, generate bill numbers directly
-        // Fetch a wide range and let LegislationDetails calls skip 404s
-        const allBillNumbers = [];
-        const MAX_BILL = 1500;  // B26 bills
-        const MAX_RES  = 1000;  // PR26 resolutions
+/** Numbers in the latest SearchLegislation results for a period that aren't cached yet */
+async function recentUncached(councilPeriod) {
+    const recent = (await searchLegislation({ councilPeriodId: councilPeriod }))
+        .map(leg => leg?.legislationNumber)
+        .filter(number => parseLegislationNumber(number)?.councilPeriodId === councilPeriod);
+    const cached = new Set(await getCachedBillNumbers(councilPeriod, [...new Set(recent)]));
+    return [...new Set(recent)].filter(number => !cached.has(number));
+}
 
-        for (let i = 1; i <= MAX_BILL; i++) {
-            allBillNumbers.push(`B26-${String(i).padStart(4, '0')}`);
-        }
-        for (let i = 1; i <= MAX_RES; i++) {
-            allBillNumbers.push(`PR26-${String(i).padStart(4, '0')}`);
-        }
+/**
+ * Once every period is built: caches new legislation from the recent search
+ * results for `councilPeriod`, then re-fetches the cached bills most overdue
+ * for a refresh — BATCH_SIZE detail fetches between them.
+ */
+async function refresh(res, councilPeriod) {
+    const now = new Date();
+    const stats = { discovered: 0, refreshed: 0, missing: 0, entitiesFilled: 0, errors: 0 };
 
-        cursor = {
-            council_period_id: COUNCIL_PERIOD,
-            bill_numbers: allBillNumbers,
-            position: 0,
-            total: allBillNumbers.length,
-            completed: false,
-            started_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        };
-        await sbUpsert('lims_cache_cursor', cursor);
-        console.log(`[build-bill-cache] Cursor initialized with ${allBillNumbers.length} candidates`);
-
-        // Return immediately — next call will start processing details
-        return res.status(200).json({
-            status: 'initialized',
-            total: allBillNumbers.length,
-            message: 'Bill number list generated. Call again to start processing details.'
-        });
+    // Bills cached before council_members / committees existed — no LIMS calls needed
+    try {
+        const unfilled = await getBillsWithoutEntities(ENTITY_BATCH);
+        await saveBillEntities(unfilled.map(row => ({ billNumber: row.bill_number, ...billEntities(row.raw_details) })));
+        stats.entitiesFilled = unfilled.length;
+    } catch (err) {
+        console.error('[build-bill-cache] Could not fill sponsors and committees:', err.message);
+        stats.errors++;
     }
 
-    if (cursor.completed) {
-        return res.status(200).json({
-            status: 'complete',
-            total: cursor.total,
-            message: 'Cache is fully built. Delete the lims_cache_cursor row to rebuild from scratch.'
-        });
+    let recent = [];
+    try {
+        recent = (await recentUncached(councilPeriod)).slice(0, BATCH_SIZE);
+    } catch (err) {
+        console.error(`[build-bill-cache] Recent legislation search failed for period ${councilPeriod}:`, err.message);
+        stats.errors++;
     }
-
-    // ── Process next batch ────────────────────────────────────────────────────
-    const billNumbers = cursor.bill_numbers;
-    const start = cursor.position;
-    const end = Math.min(start + BATCH_SIZE, billNumbers.length);
-    const batch = billNumbers.slice(start, end);
-
-    const stats = { upserted: 0, errors: 0 };
-
-    for (const billNum of batch) {
+    for (const billNum of recent) {
         try {
-            const details = await limsGet(`/LegislationDetails/${billNum}`);
-
-            // Skip if not found or empty response
-            if (!details || !details.title) {
-                stats.skipped = (stats.skipped || 0) + 1;
-                await delay(300); // shorter delay for misses
-                continue;
+            const details = await getLegislationDetails(billNum);
+            if (details) {
+                await cacheBill(billNum, councilPeriod, details);
+                stats.discovered++;
             }
+        } catch (err) {
+            console.error(`[build-bill-cache] Error on new ${billNum}:`, err.message);
+            stats.errors++;
+        }
+        await delay(DETAIL_DELAY);
+    }
 
-            await sbUpsert('lims_bill_cache', {
-                bill_number: billNum,
-                council_period_id: COUNCIL_PERIOD,
-                title: details.title,
-                category: details.category,
-                status: details.status,
-                introduced_by: parseMembers(details.introducers),
-                co_introducers: parseMembers(details.coIntroducers),
-                committees: Array.isArray(details.committeesReferredTo)
-                    ? details.committeesReferredTo.join('; ')
-                    : (details.referredToCommittees || null),
-                introduction_date: details.introductionDate || null,
-                additional_information: details.additionalInformation || null,
-                link: `https://lims.dccouncil.gov/Legislation/${billNum}`,
-                raw_details: details,
-                cached_at: new Date().toISOString()
-            });
-            stats.upserted++;
+    const due = await getBillsDueForRefresh(now, BATCH_SIZE - recent.length);
+    for (const { bill_number: billNum, council_period_id: billPeriod } of due) {
+        try {
+            const details = await getLegislationDetails(billNum);
+            if (details) {
+                await cacheBill(billNum, billPeriod, details);
+                stats.refreshed++;
+            } else {
+                // Gone from LIMS for now — keep the row, check again with the quiet bills
+                await updateBillCache(billNum, { cached_at: new Date().toISOString(), refresh_after: refreshAfter(null) });
+                stats.missing++;
+            }
         } catch (err) {
-            console.error(`[build-bill-cache] Error on ${billNum}:`, err.message);
+            console.error(`[build-bill-cache] Error refreshing ${billNum}:`, err.message);
             stats.errors++;
         }
         await delay(DETAIL_DELAY);
     }
 
-    // ── Save cursor progress ──────────────────────────────────────────────────
-    const newPosition = end;
-    const completed = newPosition >= billNumbers.length;
-    await sbPatch('lims_cache_cursor', { council_period_id: COUNCIL_PERIOD }, {
-        position: newPosition,
-        completed,
-        updated_at: new Date().toISOString()
+    const freshness = cacheFreshness(await getBillCacheFreshness(), new Date());
+    console.log(`[build-bill-cache] ${stats.discovered} new from recent search; refreshed ${stats.refreshed} of ${due.length} due bills — ${freshness.due} of ${freshness.bills} still due`);
+
+    return res.status(200).json({
+        ...stats,
+        due: freshness.due,
+        status: recent.length + due.length + stats.entitiesFilled > 0 ? 'refreshed' : 'up_to_date',
+        freshness
     });
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+async function handler(req, res) {
+    if (!(await authorizeCron(req, res))) return;
 
-    const remaining = billNumbers.length - newPosition;
-    console.log(`[build-bill-cache] ${newPosition}/${billNumbers.length} — ${remaining} remaining`);
+    try {
+    const requested = Number(req.query?.period || req.body?.period) || null;
+    const { ids: periodIds, error } = await periodsToCache(requested);
+    if (error) return res.status(requested ? 400 : 502).json({ error });
+
+    const reset = req.query?.reset === 'true' || req.body?.reset === true;
+    if (reset) {
+        await deleteCacheCursor(periodIds[0]);
+        console.log(`[build-bill-cache] Cursor reset for period ${periodIds[0]}`);
+    }
+
+    // ── Load or start a discovery run ─────────────────────────────────────────
+    // The first period that needs one; with none, refresh instead
+    const now = new Date();
+    let councilPeriod = null;
+    let cursor = null;
+    for (const id of periodIds) {
+        const candidate = await getCacheCursor(id);
+        if (needsDiscovery(candidate, now)) {
+            councilPeriod = id;
+            cursor = candidate;
+            break;
+        }
+    }
+    if (!councilPeriod) return refresh(res, periodIds[0]);
+
+    // A finished run that is due again, or a cursor from before discovery runs
+    if (!cursor || cursor.completed || !Object.keys(cursor.prefixes || {}).length) {
+        cursor = await startDiscovery(councilPeriod, { fromScratch: reset });
+    }
+
+    // ── Probe the next batch ──────────────────────────────────────────────────
+    const { stats, progress } = await discover(cursor);
+
+    // Another period still to build keeps a manual loop going
+    let morePeriods = false;
+    if (progress.completed) {
+        for (const id of periodIds.slice(periodIds.indexOf(councilPeriod) + 1)) {
+            if (needsDiscovery(await getCacheCursor(id), now)) { morePeriods = true; break; }
+        }
+    }
+
+    const remainingPrefixes = Object.keys(progress.prefixes).filter(p => progress.prefixes[p].misses < MISS_RUN);
+    console.log(`[build-bill-cache] Period ${councilPeriod}: ${progress.position} probed, ${progress.total} found — ${remainingPrefixes.length ? `still probing ${remainingPrefixes.join(', ')}` : 'discovery done'}`);
 
     return res.status(200).json({
         ...stats,
-        position: newPosition,
-        total: billNumbers.length,
-        remaining,
-        status: completed ? 'complete' : 'in_progress'
+        councilPeriod,
+        position: progress.position,
+        total: progress.total,
+        prefixes: Object.fromEntries(Object.entries(progress.prefixes).map(([p, run]) => [p, { next: legislationNumber(p, councilPeriod, run.next), found: run.found }])),
+        remainingPrefixes,
+        status: progress.completed && !morePeriods ? 'complete' : 'in_progress'
     });
+
+    } catch (err) {
+        console.error('[build-bill-cache] Fatal error:', err);
+        return res.status(500).json({ error: err.message, stack: err.stack });
+    }
 }
+
+export default recordCronRun('build-bill-cache', handler);
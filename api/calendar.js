@@ -0,0 +1,230 @@
+/**
+ * /api/calendar.js
+ *
+ * Tracked hearings, markups and DC Register deadlines as an iCalendar feed
+ * that Outlook, Google Calendar or Apple Calendar can subscribe to.
+ *
+ *   POST (signed in)                          → { token } for the caller's feed URL
+ *   GET  ?token=…[&assignee=…][&priority=…]   → text/calendar
+ *
+ * `assignee` and `priority` take comma-separated values, e.g.
+ * assignee=Jane%20Doe,Unassigned&priority=high,medium; without them the feed
+ * has every tracked item. The token is a calendar-only token from
+ * createFeedToken() — see _auth.js for how it is revoked.
+ *
+ * Events:
+ *   - every bill_hearings row of a tracked bill (hearings and markups), from
+ *     PAST_DAYS ago on; cancelled ones are published as STATUS:CANCELLED
+ *   - next_hearing_date of a tracked bill that has no bill_hearings rows yet
+ *   - deadline of a DC Register entry, as an all-day event
+ *
+ * UIDs come from the bill_hearings id (kept when check-hearings sees a
+ * reschedule) or the tracked item id, so a moved hearing updates the event
+ * already in the calendar instead of adding a second one. SEQUENCE is the
+ * row's stored revision (bill_hearings.revision, or
+ * tracked_items.next_hearing_revision), which goes up each time the event's
+ * time, place or status changes.
+ *
+ * Hearing times are stored as real instants (LIMS's ET wall-clock times are
+ * converted by _time.js), so timed events are written in UTC; a hearing LIMS
+ * lists with no time of day is an all-day event on its ET date.
+ *
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, SESSION_SECRET
+ */
+
+import { requireSession, createFeedToken, verifyFeedToken } from './_auth.js';
+import { getTrackedItems, getHearingsSince } from './_db.js';
+import { matchesFilter, describeFilter } from './_subscriptions.js';
+import { TRACKER_URL } from './_templates.js';
+import { etDay, hasTime } from './_time.js';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const PAST_DAYS = 90;
+const HEARING_LENGTH_MS = 2 * 60 * 60 * 1000; // LIMS lists start times only
+const UID_DOMAIN = 'dc-policy-tracker';
+
+// ─── iCalendar text ───────────────────────────────────────────────────────────
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// 20261021T140000Z
+const utcStamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/** Folds a content line at 75 octets (RFC 5545 §3.1) without splitting a UTF-8 character */
+function fold(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function vevent({ uid, start, end, allDay, summary, location, description, url, status, sequence = 0 }, now) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}@${UID_DOMAIN}`,
+        `DTSTAMP:${utcStamp(now)}`,
+        `SEQUENCE:${sequence}`,
+        allDay ? `DTSTART;VALUE=DATE:${start.replace(/-/g, '')}` : `DTSTART:${utcStamp(start)}`,
+        allDay ? `DTEND;VALUE=DATE:${end.replace(/-/g, '')}` : `DTEND:${utcStamp(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        location && `LOCATION:${escapeText(location)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        isWebLink(url) && `URL:${url}`,
+        `STATUS:${status || 'CONFIRMED'}`,
+        allDay ? 'TRANSP:TRANSPARENT' : 'TRANSP:OPAQUE',
+        'END:VEVENT'
+    ];
+    return lines.filter(Boolean).map(fold).join('\r\n');
+}
+
+function calendar(name, events) {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//DC Policy Tracker//Hearings and Deadlines//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        fold(`X-WR-CALNAME:${escapeText(name)}`),
+        'X-WR-TIMEZONE:America/New_York',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...events,
+        'END:VCALENDAR'
+    ].join('\r\n') + '\r\n';
+}
+
+// ─── Events ───────────────────────────────────────────────────────────────────
+
+const isWebLink = (url) => /^https?:\/\//i.test(url || ''); // manual entries have hand-typed links
+
+const nextDay = (date) => new Date(Date.parse(`${date}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/** start / end / allDay of a hearing starting at `date` */
+function hearingTimes(date) {
+    if (!hasTime(date)) return { start: etDay(date), end: nextDay(etDay(date)), allDay: true };
+    return { start: date, end: new Date(new Date(date).getTime() + HEARING_LENGTH_MS).toISOString() };
+}
+
+function itemDescription(item, extra = []) {
+    return [
+        ...extra,
+        item.status && `Status: ${item.status}`,
+        `Priority: ${item.priority || 'medium'} · Assigned to: ${item.assigned_to || 'Unassigned'}`,
+        isWebLink(item.link) && `${item.is_manual_entry ? 'Link' : 'LIMS'}: ${item.link}`,
+        `Tracker: ${TRACKER_URL}`
+    ].filter(Boolean).join('\n');
+}
+
+function hearingEvent(item, hearing) {
+    const type = hearing.hearing_type || 'Hearing';
+    const cancelled = hearing.status === 'cancelled';
+    return {
+        uid: `hearing-${hearing.id}`,
+        ...hearingTimes(hearing.hearing_date),
+        summary: `${cancelled ? 'Cancelled: ' : ''}${type}: ${item.bill_number || item.id} — ${item.title}`,
+        location: hearing.location,
+        description: itemDescription(item, [
+            hearing.committee && `Committee: ${hearing.committee}`,
+            isWebLink(hearing.testimony_url) && `Witness sign-up: ${hearing.testimony_url}`,
+            hearing.testimony_notes
+        ]),
+        url: item.link,
+        status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+        sequence: hearing.revision || 0
+    };
+}
+
+function nextHearingEvent(item) {
+    return {
+        uid: `next-hearing-${item.id}`,
+        ...hearingTimes(item.next_hearing_date),
+        summary: `${item.hearing_type || 'Hearing'}: ${item.bill_number || item.id} — ${item.title}`,
+        location: item.hearing_location,
+        description: itemDescription(item),
+        url: item.link,
+        sequence: item.next_hearing_revision || 0
+    };
+}
+
+function deadlineEvent(item) {
+    const date = String(item.deadline).slice(0, 10);
+    return {
+        uid: `deadline-${item.id}`,
+        start: date,
+        end: nextDay(date),
+        allDay: true,
+        summary: `Deadline: ${item.title}`,
+        description: itemDescription(item, [item.agency && `Agency: ${item.agency}`]),
+        url: item.link
+    };
+}
+
+/** { filter } from ?assignee= / ?priority=, or { error } */
+function feedFilter(query) {
+    const list = (value) => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+    const filter = {};
+    const assignees = list(query.assignee);
+    const priorities = list(query.priority).map(p => p.toLowerCase());
+    if (priorities.some(p => !PRIORITIES.includes(p))) return { error: `priority must be a list of: ${PRIORITIES.join(', ')}` };
+    if (assignees.length) filter.assignees = assignees;
+    if (priorities.length) filter.priorities = priorities;
+    return { filter: Object.keys(filter).length ? filter : null };
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+export default async function handler(req, res) {
+    try {
+        if (req.method === 'POST') {
+            const session = await requireSession(req, res);
+            if (!session) return;
+            if (session.system) return res.status(400).json({ error: 'Calendar feeds belong to a team member — sign in to get one' });
+            return res.status(200).json({ token: createFeedToken(session.sub, session.ver || 0) });
+        }
+
+        if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+        const memberId = await verifyFeedToken(req.query?.token);
+        if (!memberId) return res.status(401).json({ error: 'This calendar link is invalid or has been revoked' });
+
+        const { filter, error } = feedFilter(req.query || {});
+        if (error) return res.status(400).json({ error });
+
+        const now = new Date();
+        const items = (await getTrackedItems()).filter(item => matchesFilter(filter, item));
+        const itemsById = new Map(items.map(item => [item.id, item]));
+        const since = now.getTime() - PAST_DAYS * 24 * 60 * 60 * 1000;
+        const hearings = (await getHearingsSince(since)).filter(h => itemsById.has(h.item_id));
+        const withHearingRows = new Set(hearings.map(h => h.item_id));
+
+        const events = [
+            ...hearings.map(h => hearingEvent(itemsById.get(h.item_id), h)),
+            ...items
+                .filter(item => item.next_hearing_date && new Date(item.next_hearing_date) >= since)
+                .filter(item => !item.is_manual_entry && !withHearingRows.has(item.id))
+                .map(nextHearingEvent),
+            ...items.filter(item => item.deadline).map(deadlineEvent)
+        ];
+
+        const name = filter ? `DC Policy Tracker — ${describeFilter(filter)}` : 'DC Policy Tracker';
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="dc-policy-tracker.ics"');
+        res.setHeader('Cache-Control', 'private, max-age=300');
+        return res.status(200).send(calendar(name, events.map(e => vevent(e, now))));
+    } catch (err) {
+        console.error('[calendar] Error:', err);
+        return res.status(500).json({ error: err.message });
+    }
+}
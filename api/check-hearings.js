@@ -1,96 +1,106 @@
 /**
  * /api/check-hearings.js
  *
- * Runs Mon–Fri at 8:00am ET (13:00 UTC).
- * 1. Checks each tracked bill against LIMS for status changes + hearing updates
- * 2. Writes status changes to bill_status_history
- * 3. Sends immediate alert email when action_needed/monitor_and_assess bills change
- * 4. Runs tracked keyword searches and alerts on newly introduced bills
+ * Runs Mon–Fri from 8:00am ET (13:00 UTC), every 5 minutes until 8:25.
+ * 1. Checks each tracked bill against LIMS for status changes, compares its
+ *    hearings with bill_hearings for new, rescheduled, cancelled and moved
+ *    hearings (see _hearings.js), and diffs its LIMS details against the stored
+ *    snapshot for new council actions, votes, markups and Mayor/Congress
+ *    review steps (see _snapshot.js)
+ * 2. Writes each change to bill_status_history as its own event
+ * 3. Looks in lims_bill_cache for bills whose title or additional information
+ *    matches a tracked keyword query (see _query.js) — bills fetched from LIMS
+ *    in the last KEYWORD_LOOKBACK_DAYS, new or refreshed, so an edited bill is
+ *    matched again without a new keyword alerting on the whole cache at once;
+ *    keyword_alert_log keeps each bill + keyword to one alert — and for newly
+ *    cached bills referred to a watched committee or (co-)introduced by a
+ *    watched sponsor (tracked_committees / tracked_sponsors). Matches are added
+ *    to the app's triage inbox (bill_suggestions); bills dismissed there are
+ *    skipped
+ * 4. Sends status change / hearing / keyword and watch alerts to notification_subscriptions
+ *    (each with their own filter, immediately or as one daily digest), plus a
+ *    personal copy to each assignee that has an email in team_members
+ *
+ * A run can span several calls. hearing_check_cursor holds the day's list of
+ * bills, how far the run got and the alerts collected so far; each call checks
+ * batches of BATCH_SIZE bills (CONCURRENCY at a time) until TIME_BUDGET_MS is
+ * spent. Each batch's alerts are saved to the cursor before its bills'
+ * rows are written, so a call that dies part-way loses no alerts. Step 4 happens once, on the call that
+ * finishes the list; later calls that day return { status: "complete" }.
+ * ?reset=true discards the current run and starts over.
+ *
+ * ?dryRun=1 does steps 1–3 without writing anything and returns the alert
+ * emails it would send as `previews` (also callable by a signed-in admin).
+ * It keeps its run in memory, so with a long list it renders what it could
+ * check within the time budget and reports status "partial".
  *
  * Env vars required:
  *   SUPABASE_URL, SUPABASE_SERVICE_KEY, CRON_SECRET
- *   GMAIL_USER, GMAIL_APP_PASSWORD
- *   DAILY_REPORT_TO  — alert recipient (same as daily report)
- *   LIMS_API_BASE    — e.g. https://lims.dccouncil.gov/api/v2 (or whatever proxy base)
+ *   Mail transport settings — see _mailer.js (MAIL_TRANSPORT, MAIL_SENDER, …)
+ *   DAILY_REPORT_TO  — fallback alert recipients while notification_subscriptions is empty
+ *   LIMS_API_KEY     — LIMS access goes through the shared client in _lims.js
+ *   LIMS_API_BASE    — optional override, e.g. the local fake server (see dev/fake-lims.js)
  */
 
-import nodemailer from 'nodemailer';
+import { createMailer, retryOutbox } from './_mailer.js';
+import { authorizeCron, isDryRun } from './_auth.js';
+import { recordCronRun } from './_health.js';
+import { getLegislationDetails, forEachConcurrent } from './_lims.js';
+import { limsSnapshot, diffSnapshots } from './_snapshot.js';
+import { limsHearings, reconcileHearings, hearingChangeLabel, HEARING_EVENT_TYPES } from './_hearings.js';
+import { TIME_ZONE, parseLimsDate, etDay } from './_time.js';
+import { parseQuery, matchQuery, highlightSnippet } from './_query.js';
+import {
+    getTrackedItems, updateTrackedItem, insertStatusHistory,
+    getKeywords, getKeywordAlertKeys, logKeywordAlerts, getTeamMemberEmails,
+    getWatchedCommittees, getWatchedSponsors, getWatchAlertKeys, logWatchAlerts, getNewlyCachedBills, getRecentlyCachedBillText, getCachedBillsByNumber, getBillEntityLinks,
+    getSuggestions, getDismissedSuggestions, upsertSuggestions,
+    getLatestHearingCursor, saveHearingCursor, claimHearingCursor, updateHearingCursor,
+    deleteHearingCursor, deleteHearingCursorsBefore,
+    getBillHearings, insertBillHearings, updateBillHearing
+} from './_db.js';
+import {
+    loadSubscriptions, alertRecipientsFor, groupRecipients, matchesFilter, describeFilter, receivesItem
+} from './_subscriptions.js';
+import {
+    html, raw, emailDocument, emailHeader, emailFooter, section, itemCard, link, lines, billNumber, TRACKER_URL
+} from './_templates.js';
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY  = process.env.SUPABASE_SERVICE_KEY;
-const CRON_SECRET   = process.env.CRON_SECRET;
-const GMAIL_USER    = process.env.GMAIL_USER;
-const GMAIL_PASS    = process.env.GMAIL_APP_PASSWORD;
 const ALERT_TO      = process.env.DAILY_REPORT_TO;
-const LIMS_BASE     = 'https://lims.dccouncil.gov/api/v2';
-const COUNCIL_PERIOD = 26;
-
-// ─── Supabase helpers ─────────────────────────────────────────────────────────
-
-const sbHeaders = {
-    'apikey': SUPABASE_KEY,
-    'Authorization': `Bearer ${SUPABASE_KEY}`,
-    'Content-Type': 'application/json',
-    'Prefer': 'return=representation'
-};
-
-async function sbGet(path) {
-    const r = await fetch(`${SUPABASE_URL}/rest/v1${path}`, { headers: sbHeaders });
-    if (!r.ok) throw new Error(`Supabase GET ${path}: ${r.status}`);
-    return r.json();
-}
-
-async function sbPatch(table, id, body) {
-    const r = await fetch(`${SUPABASE_URL}/rest/v1/${table}?id=eq.${encodeURIComponent(id)}`, {
-        method: 'PATCH', headers: sbHeaders, body: JSON.stringify(body)
-    });
-    if (!r.ok) throw new Error(`Supabase PATCH ${table}: ${r.status}`);
-}
 
-async function sbInsert(table, body) {
-    const r = await fetch(`${SUPABASE_URL}/rest/v1/${table}`, {
-        method: 'POST', headers: sbHeaders, body: JSON.stringify(body)
-    });
-    if (!r.ok) throw new Error(`Supabase INSERT ${table}: ${r.status}`);
-}
-
-// ─── LIMS helpers ─────────────────────────────────────────────────────────────
-
-async function limsGet(endpoint) {
-    const r = await fetch(`${LIMS_BASE}${endpoint}`, {
-        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' }
-    });
-    if (!r.ok) throw new Error(`LIMS ${endpoint}: ${r.status}`);
-    return r.json();
-}
-
-async function limsPost(endpoint, body) {
-    const r = await fetch(`${LIMS_BASE}${endpoint}`, {
-        method: 'POST',
-        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-    });
-    if (!r.ok) throw new Error(`LIMS POST ${endpoint}: ${r.status}`);
-    return r.json();
-}
-
-const delay = ms => new Promise(r => setTimeout(r, ms));
+const BATCH_SIZE       = 10;     // bills per cursor save
+const CONCURRENCY      = 3;      // LIMS requests in flight
+const REQUEST_GAP_MS   = 1000;   // pause between one worker's LIMS requests
+const TIME_BUDGET_MS   = 40000;  // no new batch starts after this; maxDuration is 60s (vercel.json)
+const LOCK_GRACE_MS    = 30000;  // a claim outlives the budget by this much before another call may take over
+const CURSOR_KEEP_DAYS = 14;
+const NEW_BILL_LOOKBACK_DAYS = 7;   // bills first cached this recently are checked against watch lists
+const KEYWORD_LOOKBACK_DAYS  = 7;   // bills fetched (new or refreshed) this recently are checked against keywords
+const NEW_BILL_MAX_AGE_DAYS  = 60;  // …unless introduced longer ago than this (a cache rebuild, not a new bill)
 
 // ─── Date helpers ─────────────────────────────────────────────────────────────
 
+// LIMS action dates have no offset; parseLimsDate reads them as Washington
+// time, and they are shown on that clock so a UTC server doesn't move the day
 function formatDate(iso) {
-    if (!iso) return '—';
-    return new Date(iso).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    const date = parseLimsDate(iso);
+    if (!date) return '—';
+    return date.toLocaleDateString('en-US', { timeZone: TIME_ZONE, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
 }
 
+const shortDate = (iso) => parseLimsDate(iso)?.toLocaleDateString('en-US', { timeZone: TIME_ZONE, month: 'short', day: 'numeric', year: 'numeric' }) ?? '—';
+
+// Hearing dates are real instants (see _time.js), so they are shown on the clock in Washington
+const formatHearingDate = (iso) => new Date(iso).toLocaleDateString('en-US', { timeZone: TIME_ZONE, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
 // ─── Activity date extraction (mirrors client-side logic) ─────────────────────
 
 function extractLatestActivityDate(details) {
     const candidates = [];
     const add = (val, label) => {
         if (!val) return;
-        const d = new Date(val);
-        if (!isNaN(d) && d.getFullYear() > 2000) candidates.push({ date: d, label });
+        const d = parseLimsDate(val);
+        if (d && d.getFullYear() > 2000) candidates.push({ date: d, label });
     };
     if (details.congressionalReview) {
         add(details.congressionalReview.effectiveDate, 'Effective Date (Law)');
@@ -110,7 +120,7 @@ function extractLatestActivityDate(details) {
         add(m.committeeActionDate, 'Committee Markup');
     });
     (details.committeeHearing || []).forEach(h => {
-        if (new Date(h.hearingDate) <= new Date()) add(h.hearingDate, h.hearingType || 'Committee Hearing');
+        if (parseLimsDate(h.hearingDate) <= new Date()) add(h.hearingDate, h.hearingType || 'Committee Hearing');
     });
     (details.committeeReReferral || []).forEach(r => {
         add(r.reReferralDate, 'Committee Re-Referral');
@@ -127,9 +137,8 @@ function extractNextHearing(details) {
     const now = new Date();
     const candidates = [];
     const addH = (val, type, location) => {
-        if (!val) return;
-        const d = new Date(val);
-        if (!isNaN(d)) candidates.push({ date: d, type, location: location || '' });
+        const d = parseLimsDate(val);
+        if (d) candidates.push({ date: d, type, location: location || '' });
     };
     (details.committeeHearing || []).forEach(h => addH(h.hearingDate, h.hearingType || 'Committee Hearing', h.location));
     (details.committeeMarkup || []).forEach(m => addH(m.committeeActionDate, 'Committee Markup', m.location));
@@ -140,347 +149,792 @@ function extractNextHearing(details) {
     return future[0];
 }
 
-// ─── Email ────────────────────────────────────────────────────────────────────
+// ─── Alert emails ─────────────────────────────────────────────────────────────
+// Built from the shared components in _templates.js. Each builder returns the
+// alert's `content` on its own (so a digest can stack several) plus the
+// standalone `html`. `assignee` is set for the personal copy sent to the
+// person an item is assigned to. Alerts may have been read back from the
+// cursor's JSON, so hearing dates can be ISO strings here.
 
-async function sendEmail(subject, html) {
-    if (!GMAIL_USER || !GMAIL_PASS || !ALERT_TO) {
-        console.warn('[check-hearings] Missing email config — skipping alert');
-        return;
+function wrapAlertEmail(content, footer = emailFooter()) {
+    return emailDocument(html`${content}${footer}`, { width: 680 });
+}
+
+const alertDate = (now) => now.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+// The row describing a hearing alert. Alerts saved by older runs have no `change`.
+function hearingChangeRow({ change = 'scheduled', hearing, previous }) {
+    const where = hearing.location ? ` · ${hearing.location}` : '';
+    switch (change) {
+        case 'rescheduled': return {
+            label: '🔁 Rescheduled',
+            value: html`<span style="color: #6b7280; text-decoration: line-through;">${formatHearingDate(previous.date)}</span> &rarr; ${formatHearingDate(hearing.date)} — ${hearing.type || 'Hearing'}${where}`,
+            tone: 'orange', strong: true
+        };
+        case 'cancelled': return { label: '🚫 Cancelled', value: `${hearing.type || 'Hearing'} on ${formatHearingDate(hearing.date)}`, tone: 'red', strong: true };
+        case 'location_changed': return {
+            label: '📍 Location Changed',
+            value: `${formatHearingDate(hearing.date)} — ${hearing.type || 'Hearing'} · now ${hearing.location || 'no listed location'} (was ${previous.location || 'not listed'})`,
+            tone: 'amber', strong: true
+        };
+        default: return { label: '📅 New Hearing', value: `${formatHearingDate(hearing.date)} — ${hearing.type || 'Hearing'}${where}`, tone: 'amber', strong: true };
     }
-    const transporter = nodemailer.createTransport({
-        host: 'smtp.gmail.com', port: 465, secure: true,
-        auth: { user: GMAIL_USER, pass: GMAIL_PASS }
-    });
-    await transporter.sendMail({
-        from: `DC Policy Tracker <${GMAIL_USER}>`,
-        to: ALERT_TO,
-        subject,
-        html
-    });
 }
 
-// ─── Handler ──────────────────────────────────────────────────────────────────
+const onlyNewHearings = (hearingAlerts) => hearingAlerts.every(a => !a.change || a.change === 'scheduled');
+const hearingCount = (hearingAlerts) => {
+    const n = hearingAlerts.length;
+    return onlyNewHearings(hearingAlerts) ? `${n} new hearing${n > 1 ? 's' : ''}` : `${n} hearing update${n > 1 ? 's' : ''}`;
+};
 
-export default async function handler(req, res) {
-    const isVercelCron = req.headers['x-vercel-cron'] === '1';
-    const isManual = CRON_SECRET && req.headers['authorization'] === `Bearer ${CRON_SECRET}`;
-    if (!isVercelCron && !isManual) return res.status(401).json({ error: 'Unauthorized' });
+function buildStatusAlertEmail(statusChangeAlerts, now, assignee = null) {
+    const n = statusChangeAlerts.length;
+    const content = html`
+        ${emailHeader({
+            title: '🔔 DC Policy Tracker — Status Change Alert',
+            subtitle: alertDate(now),
+            tone: 'red',
+            summary: `${n} ${assignee ? `bill${n > 1 ? 's' : ''} assigned to ${assignee}` : `tracked bill${n > 1 ? 's' : ''}`} ${n > 1 ? 'have' : 'has'} a new LIMS status update.`
+        })}
+        ${statusChangeAlerts.map(({ item, oldStatus, newStatus, actions, activity, hearing, change, previous, isHearingAlert, isTitleAlert, isActionAlert }) => itemCard({
+            title: item.title,
+            url: item.link,
+            tone: 'red',
+            rows: [
+                [{ label: 'Bill', value: billNumber(item) }, { label: 'Priority', value: item.priority || '—' }],
+                ...(isHearingAlert ? [
+                    hearingChangeRow({ change, hearing, previous }),
+                    { label: 'Status', value: item.status || '—' }
+                ] : isActionAlert ? [
+                    { label: `🏛️ New Action${actions.length > 1 ? 's' : ''}`, value: lines(actions.map(a => `${a.label} — ${formatDate(a.date)}`)), tone: 'indigo', strong: true },
+                    { label: 'Status', value: item.status || '—' }
+                ] : isTitleAlert ? [
+                    {
+                        label: '✏️ Title Changed',
+                        value: html`<span style="color: #6b7280; text-decoration: line-through; font-size: 11px;">${oldStatus}</span><br><span style="color: #7c3aed; font-weight: 600;">${newStatus}</span>`,
+                        tone: 'purple',
+                        strong: true
+                    },
+                    { label: 'Status', value: item.status || '—' }
+                ] : [
+                    [{ label: 'Old Status', value: oldStatus, strike: true }, { label: 'Assigned', value: item.assigned_to || 'Unassigned' }],
+                    { label: 'New Status', value: newStatus, tone: 'red', strong: true },
+                    hearing && { label: '📅 Hearing', value: formatHearingDate(hearing.date), tone: 'amber', strong: true }
+                ]),
+                activity && { label: 'Last Activity', value: `${activity.label} — ${formatDate(activity.dateIso)}` }
+            ]
+        }))}`;
+
+    return {
+        subject: `🔔 DC Policy Tracker — ${n} Status Change${n > 1 ? 's' : ''} Detected${assignee ? ' on Your Bills' : ''}`,
+        content,
+        html: wrapAlertEmail(content)
+    };
+}
 
-    const now = new Date();
-    const results = { checked: 0, statusChanges: [], newKeywordMatches: [], errors: [] };
+function buildHearingAlertEmail(hearingAlerts, now, assignee = null) {
+    const n = hearingAlerts.length;
+    const onlyNew = onlyNewHearings(hearingAlerts);
+    const bills = assignee ? `bill${n > 1 ? 's' : ''} assigned to ${assignee}` : `tracked bill${n > 1 ? 's' : ''}`;
+    const content = html`
+        ${emailHeader({
+            title: onlyNew ? `📅 DC Policy Tracker — New Hearing${n > 1 ? 's' : ''} Scheduled` : '📅 DC Policy Tracker — Hearing Updates',
+            subtitle: alertDate(now),
+            tone: 'amber',
+            summary: onlyNew
+                ? `${n} ${bills} ${n > 1 ? 'have' : 'has'} a new hearing scheduled.`
+                : `${n} hearing${n > 1 ? 's' : ''} on ${bills} ${n > 1 ? 'were' : 'was'} scheduled, rescheduled, cancelled or moved.`
+        })}
+        ${hearingAlerts.map(({ item, hearing, change, previous, activity }) => itemCard({
+            title: item.title,
+            url: item.link,
+            tone: 'amber',
+            rows: [
+                [{ label: 'Bill', value: billNumber(item) }, { label: 'Status', value: item.status || '—' }],
+                hearingChangeRow({ change, hearing, previous }),
+                activity && { label: 'Last Activity', value: `${activity.label} — ${formatDate(activity.dateIso)}` }
+            ]
+        }))}`;
+
+    return {
+        subject: onlyNew
+            ? `📅 DC Policy Tracker — ${n} New Hearing${n > 1 ? 's' : ''} Scheduled${assignee ? ' for Your Bills' : ''}`
+            : `📅 DC Policy Tracker — ${n} Hearing Update${n > 1 ? 's' : ''}${assignee ? ' for Your Bills' : ''}`,
+        content,
+        html: wrapAlertEmail(content)
+    };
+}
 
-    // ── 1. Load all tracked items ────────────────────────────────────────────
+// lims_bill_cache columns keyword queries are matched against
+const KEYWORD_FIELDS = { title: 'Title', additional_information: 'Additional Information' };
 
-    const trackedItems = await sbGet('/tracked_items?select=*&order=tracked_at.desc');
-    const trackedBills = trackedItems.filter(i => !i.is_manual_entry && i.bill_number);
-    const trackedKeywords = await sbGet('/tracked_keywords?select=keyword');
-    const keywords = trackedKeywords.map(k => k.keyword);
+// A highlighted snippet from highlightSnippet()
+const snippetHtml = (segments) => segments.map(({ text, hit }) => (hit
+    ? html`<mark style="background: #fde68a; color: inherit; padding: 0 1px;">${text}</mark>`
+    : text));
 
-    // ── 2. Check each tracked bill against LIMS ──────────────────────────────
+function buildKeywordAlertEmail(newMatches, now) {
+    // Group by keyword for readability
+    const byKeyword = {};
+    newMatches.forEach(({ keyword, bill, hits }) => {
+        if (!byKeyword[keyword]) byKeyword[keyword] = [];
+        byKeyword[keyword].push({ ...bill, hits });
+    });
 
-    const statusChangeAlerts = []; // items whose status changed and need email
-    const hearingAlerts = [];      // items with newly scheduled hearings
+    const n = newMatches.length;
+    const content = html`
+        ${emailHeader({
+            title: '🔍 DC Policy Tracker — New Keyword Matches',
+            subtitle: alertDate(now),
+            tone: 'indigo',
+            summary: `${n} new bill${n > 1 ? 's match' : ' matches'} your tracked keywords. These are not yet in your tracker.`
+        })}
+        ${Object.entries(byKeyword).map(([kw, bills]) => section({
+            title: `Keyword: ${kw.includes('"') ? kw : `"${kw}"`}`,
+            tone: 'indigo',
+            body: bills.map(bill => itemCard({
+                title: bill.title || bill.bill_number,
+                url: bill.link || `https://lims.dccouncil.gov/Legislation/${encodeURIComponent(bill.bill_number)}`,
+                tone: 'indigo',
+                rows: [
+                    [{ label: 'Bill', value: bill.bill_number }, { label: 'Status', value: bill.status || '—' }],
+                    ...(bill.hits || []).map(({ field, snippet }) => ({ label: `Matched in ${KEYWORD_FIELDS[field] || field}`, value: html`${snippetHtml(snippet)}` })),
+                    bill.introduction_date && { label: 'Introduced', value: shortDate(bill.introduction_date) },
+                    bill.committees && { label: 'Committee', value: bill.committees }
+                ]
+            }))
+        }))}`;
+
+    return {
+        subject: `🔍 DC Policy Tracker — ${n} New Keyword Match${n > 1 ? 'es' : ''}`,
+        content,
+        html: wrapAlertEmail(content, emailFooter(link(TRACKER_URL, 'Review these bills in the Tracker inbox →', 'color: #4f46e5; font-weight: 600;')))
+    };
+}
 
-    for (const item of trackedBills) {
-        try {
-            const details = await limsGet(`/LegislationDetails/${item.bill_number}`);
-            const newStatus = details.status || null;
-            const oldStatus = item.status || null;
-            const statusChanged = newStatus && oldStatus && newStatus !== oldStatus;
-
-            // Check for title change (e.g. "(CANCELLED)" appended by DC Council)
-            const newTitle = details.title || null;
-            const oldTitle = item.title || null;
-            const titleChanged = newTitle && oldTitle && newTitle.trim() !== oldTitle.trim();
-
-            const activity = extractLatestActivityDate(details);
-            const hearing = extractNextHearing(details);
-            const reReferrals = details.committeeReReferral || [];
-
-            // Check for newly scheduled hearing
-            const prevHearingDate = item.next_hearing_date ? new Date(item.next_hearing_date).toISOString().split('T')[0] : null;
-            const newHearingDate = hearing ? hearing.date.toISOString().split('T')[0] : null;
-            const hearingIsNew = newHearingDate && newHearingDate !== prevHearingDate;
-
-            // Write status history if changed
-            if (statusChanged) {
-                await sbInsert('bill_status_history', {
-                    item_id: item.id,
-                    old_status: oldStatus,
-                    new_status: newStatus,
-                    change_label: activity?.label || null,
-                    changed_at: now.toISOString()
-                });
-
-                if (item.action_status === 'action_needed' || item.action_status === 'monitor_and_assess') {
-                    statusChangeAlerts.push({ item, oldStatus, newStatus, activity, hearing });
-                }
+const WATCH_LABELS = { committee: 'Committee', sponsor: 'Sponsor' };
+
+function buildWatchAlertEmail(watchMatches, now) {
+    // Group by watched committee / sponsor
+    const byWatch = {};
+    watchMatches.forEach(({ watch, name, bill }) => {
+        const heading = `${WATCH_LABELS[watch]}: ${name}`;
+        if (!byWatch[heading]) byWatch[heading] = [];
+        byWatch[heading].push(bill);
+    });
+
+    const n = new Set(watchMatches.map(m => m.bill.bill_number)).size;
+    const content = html`
+        ${emailHeader({
+            title: '👀 DC Policy Tracker — New Bills from Watched Committees & Sponsors',
+            subtitle: alertDate(now),
+            tone: 'purple',
+            summary: `${n} new bill${n > 1 ? 's were' : ' was'} referred to a committee or introduced by a sponsor you watch. These are not yet in your tracker.`
+        })}
+        ${Object.entries(byWatch).map(([heading, bills]) => section({
+            title: heading,
+            tone: 'purple',
+            body: bills.map(bill => itemCard({
+                title: bill.title || bill.bill_number,
+                url: bill.link || `https://lims.dccouncil.gov/Legislation/${encodeURIComponent(bill.bill_number)}`,
+                tone: 'purple',
+                rows: [
+                    [{ label: 'Bill', value: bill.bill_number }, { label: 'Status', value: bill.status || '—' }],
+                    bill.introduction_date && { label: 'Introduced', value: shortDate(bill.introduction_date) },
+                    bill.introduced_by && { label: 'Introduced By', value: bill.introduced_by },
+                    bill.co_introducers && { label: 'Co-Introducers', value: bill.co_introducers },
+                    bill.committees && { label: 'Committee', value: bill.committees }
+                ]
+            }))
+        }))}`;
+
+    return {
+        subject: `👀 DC Policy Tracker — ${n} New Bill${n > 1 ? 's' : ''} from Watched Committees & Sponsors`,
+        content,
+        html: wrapAlertEmail(content, emailFooter(link(TRACKER_URL, 'Review these bills in the Tracker inbox →', 'color: #7c3aed; font-weight: 600;')))
+    };
+}
 
-                results.statusChanges.push({ id: item.id, title: item.title, oldStatus, newStatus });
+/** One email with every alert section, for subscribers on daily digest delivery */
+function buildDigestEmail({ statusChangeAlerts, hearingAlerts, keywordMatches, watchMatches }, now, filter) {
+    const sections = [
+        statusChangeAlerts.length > 0 && buildStatusAlertEmail(statusChangeAlerts, now).content,
+        hearingAlerts.length > 0 && buildHearingAlertEmail(hearingAlerts, now).content,
+        keywordMatches.length > 0 && buildKeywordAlertEmail(keywordMatches, now).content,
+        watchMatches.length > 0 && buildWatchAlertEmail(watchMatches, now).content
+    ].filter(Boolean);
+    const watchBills = new Set(watchMatches.map(m => m.bill.bill_number)).size;
+    const counts = [
+        statusChangeAlerts.length > 0 && `${statusChangeAlerts.length} status change${statusChangeAlerts.length > 1 ? 's' : ''}`,
+        hearingAlerts.length > 0 && hearingCount(hearingAlerts),
+        keywordMatches.length > 0 && `${keywordMatches.length} keyword match${keywordMatches.length > 1 ? 'es' : ''}`,
+        watchBills > 0 && `${watchBills} watched committee/sponsor bill${watchBills > 1 ? 's' : ''}`
+    ].filter(Boolean);
+
+    return {
+        subject: `🗞️ DC Policy Tracker — Daily Alert Digest · ${counts.join(', ')}`,
+        html: wrapAlertEmail(html`
+        ${filter ? html`<p style="margin: 0 0 16px; font-size: 12px; color: #6b7280;">Filtered: ${describeFilter(filter)}</p>` : ''}
+        ${sections.map((content, i) => html`${i > 0 ? raw('<div style="height: 24px;"></div>') : ''}${content}`)}`)
+    };
+}
+
+// ─── Run steps ────────────────────────────────────────────────────────────────
+
+// The fields alert emails and subscriber filters read — what is kept in the
+// cursor between batches instead of the whole tracked_items row
+const alertItem = (item) => ({
+    id: item.id, bill_number: item.bill_number, title: item.title, link: item.link, status: item.status,
+    priority: item.priority, action_status: item.action_status, assigned_to: item.assigned_to
+});
+
+const wantsStatusAlerts = (item) => item.action_status === 'action_needed' || item.action_status === 'monitor_and_assess';
+
+/** Adds a batch's alerts to the run's, skipping any it already holds */
+function addAlerts(alerts, checks) {
+    for (const list of ['statusChangeAlerts', 'hearingAlerts']) {
+        const seen = new Set(alerts[list].map(a => JSON.stringify(a)));
+        for (const check of checks) {
+            for (const alert of check.alerts[list]) {
+                const key = JSON.stringify(alert);
+                if (!seen.has(key)) alerts[list].push(alert);
+                seen.add(key);
             }
+        }
+    }
+}
 
-            // Record title change in history (e.g. cancellation notices)
-            if (titleChanged) {
-                await sbInsert('bill_status_history', {
-                    item_id: item.id,
-                    old_status: oldTitle,
-                    new_status: newTitle,
-                    change_label: `Title updated: "${oldTitle}" → "${newTitle}"`,
-                    changed_at: now.toISOString()
-                });
-                console.log(`[check-hearings] Title changed for ${item.bill_number}: "${oldTitle}" → "${newTitle}"`);
-
-                if (item.action_status === 'action_needed' || item.action_status === 'monitor_and_assess') {
-                    statusChangeAlerts.push({ item, oldStatus: oldTitle, newStatus: newTitle, activity, hearing, isTitleAlert: true });
-                }
+/**
+ * Checks one tracked bill against LIMS and adds its stats to `run`. Returns the
+ * bill's alerts and a write() that records its history, bill_hearings and
+ * tracked_items rows — the caller saves the alerts to the cursor first, so a
+ * crash between the two re-checks the bill instead of losing its alerts.
+ * `hearings` are the bill's bill_hearings rows. Errors are recorded, not
+ * thrown; a bill that fails returns null.
+ */
+async function checkBill(item, run, { now, dryRun, hearings = [] }) {
+    const { results } = run;
+    const alerts = { statusChangeAlerts: [], hearingAlerts: [] };
+    const history = [];
+    const recordHistory = (row) => { history.push(row); };
+    try {
+        const details = await getLegislationDetails(item.bill_number);
+        if (!details) throw new Error(`${item.bill_number} not found in LIMS`);
+        const newStatus = details.status || null;
+        const oldStatus = item.status || null;
+        const statusChanged = newStatus && oldStatus && newStatus !== oldStatus;
+
+        // Check for title change (e.g. "(CANCELLED)" appended by DC Council)
+        const newTitle = details.title || null;
+        const oldTitle = item.title || null;
+        const titleChanged = newTitle && oldTitle && newTitle.trim() !== oldTitle.trim();
+
+        const activity = extractLatestActivityDate(details);
+        const hearing = extractNextHearing(details);
+        const reReferrals = details.committeeReReferral || [];
+
+        const alertFor = alertItem(item);
+
+        // Write status history if changed
+        if (statusChanged) {
+            recordHistory({
+                item_id: item.id,
+                old_status: oldStatus,
+                new_status: newStatus,
+                change_label: activity?.label || null,
+                event_type: 'status',
+                changed_at: now.toISOString(),
+                is_system: true
+            });
+
+            if (wantsStatusAlerts(item)) {
+                alerts.statusChangeAlerts.push({ item: alertFor, oldStatus, newStatus, activity, hearing });
             }
 
-            // Queue hearing alert if new hearing scheduled (regardless of action_status)
-            if (hearingIsNew) {
-                // Record in status history so it shows in timeline and EOD report
-                await sbInsert('bill_status_history', {
-                    item_id: item.id,
-                    old_status: newStatus || oldStatus,
-                    new_status: newStatus || oldStatus,
-                    change_label: `Hearing Scheduled: ${hearing.type || 'Public Hearing'} on ${new Date(hearing.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`,
-                    changed_at: now.toISOString()
-                });
-
-                // Alert for action_needed and monitor_and_assess items
-                if (item.action_status === 'action_needed' || item.action_status === 'monitor_and_assess') {
-                    statusChangeAlerts.push({ item, oldStatus: null, newStatus: null, activity, hearing, isHearingAlert: true });
-                }
+            results.statusChanges.push({ id: item.id, title: item.title, oldStatus, newStatus });
+        }
 
-                hearingAlerts.push({ item, hearing, activity });
+        // Record title change in history (e.g. cancellation notices)
+        if (titleChanged) {
+            recordHistory({
+                item_id: item.id,
+                old_status: oldTitle,
+                new_status: newTitle,
+                change_label: `Title updated: "${oldTitle}" → "${newTitle}"`,
+                event_type: 'title',
+                changed_at: now.toISOString(),
+                is_system: true
+            });
+            console.log(`[check-hearings] Title changed for ${item.bill_number}: "${oldTitle}" → "${newTitle}"`);
+
+            if (wantsStatusAlerts(item)) {
+                alerts.statusChangeAlerts.push({ item: alertFor, oldStatus: oldTitle, newStatus: newTitle, activity, hearing, isTitleAlert: true });
             }
+        }
 
-            // Update tracked_items
-            await sbPatch('tracked_items', item.id, {
-                ...(titleChanged ? { title: newTitle } : {}),
-                status: newStatus || item.status,
-                next_hearing_date: hearing ? hearing.date.toISOString() : null,
-                hearing_type: hearing?.type || null,
-                hearing_location: hearing?.location || null,
-                additional_information: details.additionalInformation || item.additional_information,
-                committee_re_referral: reReferrals.length > 0 ? reReferrals : item.committee_re_referral,
-                latest_activity_date: activity?.dateIso || item.latest_activity_date || null,
-                latest_activity_label: activity?.label || item.latest_activity_label || null,
-                hearing_checked_at: now.toISOString()
+        // New, rescheduled, cancelled and moved hearings, each against its own bill_hearings row
+        const knownDate = item.next_hearing_date ? etDay(item.next_hearing_date) : null;
+        const hearingChanges = reconcileHearings(hearings, limsHearings(details), { now, knownDate });
+        for (const event of hearingChanges.events) {
+            // Record in status history so it shows in timeline and EOD report
+            recordHistory({
+                item_id: item.id,
+                old_status: newStatus || oldStatus,
+                new_status: newStatus || oldStatus,
+                change_label: hearingChangeLabel(event),
+                event_type: HEARING_EVENT_TYPES[event.change],
+                changed_at: now.toISOString(),
+                is_system: true
             });
 
-            results.checked++;
-        } catch (err) {
-            console.error(`[check-hearings] Error on ${item.bill_number}:`, err.message);
-            results.errors.push({ id: item.id, error: err.message });
+            // Alert for action_needed and monitor_and_assess items
+            if (wantsStatusAlerts(item)) {
+                alerts.statusChangeAlerts.push({ item: alertFor, oldStatus: null, newStatus: null, activity, ...event, isHearingAlert: true });
+            }
+
+            // Hearing alerts go out regardless of action_status
+            alerts.hearingAlerts.push({ item: alertFor, ...event, activity });
+        }
+
+        // New actions, votes and review steps since the last check — one history
+        // event each, and one alert per bill listing them all
+        const snapshot = limsSnapshot(details);
+        const actions = diffSnapshots(item.lims_snapshot, snapshot);
+        for (const action of actions) {
+            recordHistory({
+                item_id: item.id,
+                old_status: newStatus || oldStatus,
+                new_status: newStatus || oldStatus,
+                change_label: `${action.label} on ${shortDate(action.date)}`,
+                event_type: 'action',
+                changed_at: now.toISOString(),
+                is_system: true
+            });
+        }
+        if (actions.length > 0) {
+            results.actions.push({ id: item.id, title: item.title, actions: actions.map(a => a.label) });
+            if (wantsStatusAlerts(item)) {
+                alerts.statusChangeAlerts.push({ item: alertFor, actions, activity, hearing, isActionAlert: true });
+            }
         }
 
-        await delay(1500);
+        const patch = {
+            ...(titleChanged ? { title: newTitle } : {}),
+            status: newStatus || item.status,
+            next_hearing_date: hearing ? hearing.date.toISOString() : null,
+            hearing_type: hearing?.type || null,
+            hearing_location: hearing?.location || null,
+            additional_information: details.additionalInformation || item.additional_information,
+            committee_re_referral: reReferrals.length > 0 ? reReferrals : item.committee_re_referral,
+            latest_activity_date: activity?.dateIso || item.latest_activity_date || null,
+            latest_activity_label: activity?.label || item.latest_activity_label || null,
+            lims_snapshot: snapshot,
+            hearing_checked_at: now.toISOString()
+        };
+
+        results.checked++;
+        const write = async () => {
+            if (dryRun) return;
+            try {
+                for (const { id, patch: hearingPatch } of hearingChanges.updates) await updateBillHearing(id, hearingPatch);
+                if (hearingChanges.inserts.length > 0) await insertBillHearings(hearingChanges.inserts.map(row => ({ ...row, item_id: item.id })));
+                for (const row of history) await insertStatusHistory(row);
+                // Last, so a bill whose writes were cut short still shows the change on the next check
+                await updateTrackedItem(item.id, patch);
+            } catch (err) {
+                console.error(`[check-hearings] Could not save ${item.bill_number}:`, err.message);
+                results.errors.push({ id: item.id, error: err.message });
+            }
+        };
+        return { alerts, write };
+    } catch (err) {
+        console.error(`[check-hearings] Error on ${item.bill_number}:`, err.message);
+        results.errors.push({ id: item.id, error: err.message });
+        return null;
     }
+}
+
+/** Bills that recently entered lims_bill_cache and pass `untracked` */
+async function findNewBills(untracked, now) {
+    const introducedAfter = new Date(now.getTime() - NEW_BILL_MAX_AGE_DAYS * 86400000);
+    return (await getNewlyCachedBills(new Date(now.getTime() - NEW_BILL_LOOKBACK_DAYS * 86400000)))
+        .filter(untracked)
+        .filter(bill => !bill.introduction_date || new Date(bill.introduction_date) >= introducedAfter);
+}
 
-    // ── 3. Send status change alert email ────────────────────────────────────
-
-    if (statusChangeAlerts.length > 0) {
-        const itemStyle = 'margin: 12px 0; padding: 12px; border-radius: 6px; background: white; border: 1px solid #fca5a5;';
-        const alertHtml = `
-        <!DOCTYPE html><html><head><meta charset="utf-8"></head>
-        <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 680px; margin: 0 auto; padding: 24px; background: #f9fafb;">
-            <div style="background: #dc2626; color: white; padding: 16px 24px; border-radius: 10px 10px 0 0;">
-                <h1 style="margin: 0; font-size: 18px;">🔔 DC Policy Tracker — Status Change Alert</h1>
-                <p style="margin: 4px 0 0; font-size: 12px; opacity: 0.85;">${now.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}</p>
-            </div>
-            <div style="background: #fef2f2; padding: 16px 24px; border: 1px solid #fca5a5; border-top: none; border-radius: 0 0 10px 10px; margin-bottom: 16px;">
-                <p style="margin: 0; font-size: 13px; color: #7f1d1d;">${statusChangeAlerts.length} tracked bill${statusChangeAlerts.length > 1 ? 's have' : ' has'} a new LIMS status update.</p>
-            </div>
-            ${statusChangeAlerts.map(({ item, oldStatus, newStatus, activity, hearing, isHearingAlert, isTitleAlert }) => `
-            <div style="${itemStyle}">
-                <div style="font-size: 14px; font-weight: 600; color: #111827; margin-bottom: 8px;">
-                    ${item.link ? `<a href="${item.link}" style="color: #4f46e5; text-decoration: none;">${item.title}</a>` : item.title}
-                </div>
-                <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
-                    <tr>
-                        <td style="padding: 2px 8px 2px 0; color: #6b7280; white-space: nowrap;">Bill</td>
-                        <td style="padding: 2px 0; color: #374151;">${item.bill_number || item.id}</td>
-                        <td style="padding: 2px 8px 2px 16px; color: #6b7280;">Priority</td>
-                        <td style="padding: 2px 0; color: #374151;">${item.priority || '—'}</td>
-                    </tr>
-                    ${isHearingAlert ? `
-                    <tr>
-                        <td style="padding: 4px 8px 4px 0; color: #d97706; font-weight: 600;">📅 New Hearing</td>
-                        <td colspan="3" style="padding: 4px 0; color: #d97706; font-weight: 600;">${hearing.type || 'Public Hearing'} — ${formatDate(hearing.date.toISOString())}${hearing.location ? ' · ' + hearing.location : ''}</td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 2px 8px 2px 0; color: #6b7280;">Status</td>
-                        <td colspan="3" style="padding: 2px 0; color: #374151;">${item.status || '—'}</td>
-                    </tr>` : isTitleAlert ? `
-                    <tr>
-                        <td style="padding: 4px 8px 4px 0; color: #7c3aed; font-weight: 600; white-space: nowrap; vertical-align: top;">✏️ Title Changed</td>
-                        <td colspan="3" style="padding: 4px 0;">
-                            <span style="color: #6b7280; text-decoration: line-through; font-size: 11px;">${oldStatus}</span><br>
-                            <span style="color: #7c3aed; font-weight: 600;">${newStatus}</span>
-                        </td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 2px 8px 2px 0; color: #6b7280;">Status</td>
-                        <td colspan="3" style="padding: 2px 0; color: #374151;">${item.status || '—'}</td>
-                    </tr>` : `
-                    <tr>
-                        <td style="padding: 4px 8px 4px 0; color: #6b7280; white-space: nowrap; vertical-align: top;">Old Status</td>
-                        <td style="padding: 4px 0; color: #6b7280; text-decoration: line-through;">${oldStatus}</td>
-                        <td style="padding: 4px 8px 4px 16px; color: #6b7280; vertical-align: top;">Assigned</td>
-                        <td style="padding: 4px 0; color: #374151;">${item.assigned_to || 'Unassigned'}</td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 2px 8px 2px 0; color: #dc2626; font-weight: 600; white-space: nowrap;">New Status</td>
-                        <td style="padding: 2px 0; color: #dc2626; font-weight: 600;">${newStatus}</td>
-                        <td></td><td></td>
-                    </tr>
-                    ${hearing ? `<tr><td style="padding: 4px 8px 2px 0; color: #d97706; font-weight: 600;">📅 Hearing</td><td colspan="3" style="padding: 4px 0; color: #d97706; font-weight: 600;">${formatDate(hearing.date.toISOString())}</td></tr>` : ''}`}
-                    ${activity ? `<tr><td style="padding: 4px 8px 2px 0; color: #6b7280; white-space: nowrap;">Last Activity</td><td colspan="3" style="padding: 4px 0; color: #374151;">${activity.label} — ${formatDate(activity.dateIso)}</td></tr>` : ''}
-                </table>
-            </div>`).join('')}
-            <div style="margin-top: 24px; text-align: center; font-size: 11px; color: #9ca3af;">
-                DC Policy Tracker · <a href="https://dcpca-policy-tracker.vercel.app" style="color: #9ca3af;">Open Tracker</a>
-            </div>
-        </body></html>`;
-
-        await sendEmail(
-            `🔔 DC Policy Tracker — ${statusChangeAlerts.length} Status Change${statusChangeAlerts.length > 1 ? 's' : ''} Detected`,
-            alertHtml
-        );
+/**
+ * Bills matching a tracked keyword query that haven't been alerted on for
+ * that keyword yet, each with the fields it matched in and a highlighted
+ * snippet of each. `bills` need only the KEYWORD_FIELDS; the matched ones are
+ * loaded in full for the alerts and inbox. A keyword that doesn't parse is
+ * reported in results.errors.
+ */
+async function findKeywordMatches(keywords, bills, results) {
+    const newMatches = []; // { keyword, bill, hits: [{ field, snippet }] }
+    // Load already-alerted bill+keyword combos to avoid duplicate alerts
+    const alreadyAlerted = await getKeywordAlertKeys();
+
+    for (const keyword of keywords) {
+        let query;
+        try {
+            query = parseQuery(keyword);
+        } catch (err) {
+            console.error(`[check-hearings] Keyword "${keyword}" skipped:`, err.message);
+            results.errors.push({ keyword, error: err.message });
+            continue;
+        }
+        for (const bill of bills) {
+            if (alreadyAlerted.has(`${bill.bill_number}::${keyword}`)) continue;
+            const fields = Object.fromEntries(Object.keys(KEYWORD_FIELDS).map(field => [field, bill[field]]));
+            const hits = matchQuery(query, fields);
+            if (!hits) continue;
+            newMatches.push({
+                keyword,
+                bill,
+                hits: hits.map(({ field, ranges }) => ({ field, snippet: highlightSnippet(bill[field], ranges) }))
+            });
+        }
     }
+    if (newMatches.length === 0) return newMatches;
+    const full = new Map((await getCachedBillsByNumber([...new Set(newMatches.map(m => m.bill.bill_number))])).map(b => [b.bill_number, b]));
+    return newMatches.map(m => ({ ...m, bill: full.get(m.bill.bill_number) || m.bill }));
+}
 
-    // ── 3b. Send hearing notice alert email ──────────────────────────────────
-
-    if (hearingAlerts.length > 0) {
-        const itemStyle = 'margin: 12px 0; padding: 12px; border-radius: 6px; background: white; border: 1px solid #fcd34d;';
-        const hearingHtml = `
-        <!DOCTYPE html><html><head><meta charset="utf-8"></head>
-        <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 680px; margin: 0 auto; padding: 24px; background: #f9fafb;">
-            <div style="background: #d97706; color: white; padding: 16px 24px; border-radius: 10px 10px 0 0;">
-                <h1 style="margin: 0; font-size: 18px;">📅 DC Policy Tracker — New Hearing${hearingAlerts.length > 1 ? 's' : ''} Scheduled</h1>
-                <p style="margin: 4px 0 0; font-size: 12px; opacity: 0.85;">${now.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}</p>
-            </div>
-            <div style="background: #fffbeb; padding: 16px 24px; border: 1px solid #fcd34d; border-top: none; border-radius: 0 0 10px 10px; margin-bottom: 16px;">
-                <p style="margin: 0; font-size: 13px; color: #78350f;">${hearingAlerts.length} tracked bill${hearingAlerts.length > 1 ? 's have' : ' has'} a new hearing scheduled.</p>
-            </div>
-            ${hearingAlerts.map(({ item, hearing, activity }) => `
-            <div style="${itemStyle}">
-                <div style="font-size: 14px; font-weight: 600; color: #111827; margin-bottom: 8px;">
-                    ${item.link ? `<a href="${item.link}" style="color: #4f46e5; text-decoration: none;">${item.title}</a>` : item.title}
-                </div>
-                <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
-                    <tr>
-                        <td style="padding: 2px 8px 2px 0; color: #6b7280; white-space: nowrap;">Bill</td>
-                        <td style="padding: 2px 0; color: #374151;">${item.bill_number || item.id}</td>
-                        <td style="padding: 2px 8px 2px 16px; color: #6b7280;">Status</td>
-                        <td style="padding: 2px 0; color: #374151;">${item.status || '—'}</td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 4px 8px 4px 0; color: #d97706; font-weight: 600; white-space: nowrap;">📅 Hearing</td>
-                        <td colspan="3" style="padding: 4px 0; color: #d97706; font-weight: 600;">${formatDate(hearing.date.toISOString())} — ${hearing.type || 'Hearing'}${hearing.location ? ' · ' + hearing.location : ''}</td>
-                    </tr>
-                    ${activity ? `<tr><td style="padding: 2px 8px 2px 0; color: #6b7280; white-space: nowrap;">Last Activity</td><td colspan="3" style="padding: 2px 0; color: #374151;">${activity.label} — ${formatDate(activity.dateIso)}</td></tr>` : ''}
-                </table>
-            </div>`).join('')}
-            <div style="margin-top: 24px; text-align: center; font-size: 11px; color: #9ca3af;">
-                DC Policy Tracker · <a href="https://dcpca-policy-tracker.vercel.app" style="color: #9ca3af;">Open Tracker</a>
-            </div>
-        </body></html>`;
-
-        await sendEmail(
-            `📅 DC Policy Tracker — ${hearingAlerts.length} New Hearing${hearingAlerts.length > 1 ? 's' : ''} Scheduled`,
-            hearingHtml
-        );
+/**
+ * New bills referred to a watched committee or introduced or co-introduced by
+ * a watched sponsor that haven't been alerted on for that committee/sponsor
+ * yet. A watch picked from committees / council_members matches the bill's
+ * bill_committees / bill_sponsors rows; an older free-text watch matches its
+ * name as a case-insensitive substring, like it always has.
+ */
+async function findWatchMatches(bills) {
+    const [committees, sponsors] = await Promise.all([getWatchedCommittees(), getWatchedSponsors()]);
+    if (committees.length === 0 && sponsors.length === 0) return [];
+    const alreadyAlerted = await getWatchAlertKeys();
+    const links = [...committees, ...sponsors].some(w => w.id)
+        ? await getBillEntityLinks(bills.map(b => b.bill_number))
+        : new Map();
+
+    const mentions = (text, name) => (text || '').toLowerCase().includes(name.toLowerCase());
+    const newMatches = []; // { watch, name, bill }
+    for (const bill of bills) {
+        const linked = links.get(bill.bill_number);
+        const add = (watch, name) => {
+            if (!alreadyAlerted.has(`${bill.bill_number}::${watch}::${name}`)) newMatches.push({ watch, name, bill });
+        };
+        committees
+            .filter(c => c.id ? linked?.committees.has(c.id) : mentions(bill.committees, c.name))
+            .forEach(c => add('committee', c.name));
+        sponsors
+            .filter(s => s.id ? linked?.members.has(s.id) : mentions(bill.introduced_by, s.name) || mentions(bill.co_introducers, s.name))
+            .forEach(s => add('sponsor', s.name));
     }
+    return newMatches;
+}
 
-    // ── 4. Keyword search for new bills ──────────────────────────────────────
+/**
+ * Adds the run's keyword and watch matches to the triage inbox
+ * (bill_suggestions), one row per bill. A bill already there gets the new
+ * matches appended and keeps its state — except one that was tracked from
+ * the inbox and has been untracked since, which is suggested again.
+ */
+async function saveSuggestions(keywordMatches, watchMatches, now) {
+    const byBill = new Map(); // bill_number -> { bill, matches }
+    const add = (bill, match) => {
+        if (!byBill.has(bill.bill_number)) byBill.set(bill.bill_number, { bill, matches: [] });
+        byBill.get(bill.bill_number).matches.push(match);
+    };
+    keywordMatches.forEach(m => add(m.bill, { type: 'keyword', name: m.keyword, fields: m.hits.map(h => h.field) }));
+    watchMatches.forEach(m => add(m.bill, { type: m.watch, name: m.name }));
+    if (byBill.size === 0) return;
+
+    const existing = new Map((await getSuggestions([...byBill.keys()])).map(s => [s.bill_number, s]));
+    await upsertSuggestions([...byBill.values()].map(({ bill, matches }) => {
+        const prev = existing.get(bill.bill_number);
+        const known = new Set((prev?.matches || []).map(m => `${m.type}::${m.name}`));
+        return {
+            bill_number: bill.bill_number,
+            // Every row needs the same keys for a bulk upsert, so missing fields are null
+            title: bill.title ?? null,
+            status: bill.status ?? null,
+            category: bill.category ?? null,
+            introduced_by: bill.introduced_by ?? null,
+            co_introducers: bill.co_introducers ?? null,
+            committees: bill.committees ?? null,
+            introduction_date: bill.introduction_date ?? null,
+            link: bill.link ?? null,
+            matches: [...(prev?.matches || []), ...matches.filter(m => !known.has(`${m.type}::${m.name}`))],
+            state: !prev || prev.state === 'tracked' ? 'new' : prev.state,
+            updated_at: now.toISOString()
+        };
+    }));
+}
 
-    if (keywords.length > 0) {
-        const existingIds = new Set(trackedItems.map(i => i.id));
-        // Load already-alerted bill+keyword combos to avoid duplicate alerts
-        const alertLog = await sbGet('/keyword_alert_log?select=bill_number,keyword');
-        const alreadyAlerted = new Set(alertLog.map(r => `${r.bill_number}::${r.keyword}`));
+/**
+ * Sends the alerts collected over the whole run.
+ * Subscribers (notification_subscriptions, or DAILY_REPORT_TO while that is
+ * empty) get the alert kinds they chose, narrowed by their filter. Keyword
+ * and watch matches aren't tracked yet, so filters don't apply to them; both
+ * go to keyword_alerts subscribers. 'immediate' subscribers get one email per
+ * alert kind; 'digest' subscribers get one combined email.
+ *
+ * Each recipient group and assignee is passed to markSent() once it has been
+ * handled, and groups already in `sent` are skipped, so a call that resumes
+ * after one that died partway through doesn't email anyone twice.
+ */
+async function sendAlerts({ statusChangeAlerts, hearingAlerts, keywordMatches: newMatches, watchMatches = [] }, results, { now, mailer, sent, markSent }) {
+    const subscriptions = await loadSubscriptions();
+    results.alertEmails ||= [];
+
+    for (const { to, filter, delivery, kinds } of groupRecipients(alertRecipientsFor(subscriptions, ALERT_TO))) {
+        const key = `${delivery}:${[...to].sort().join(',')}`;
+        if (sent.includes(key)) continue;
+        const alerts = {
+            statusChangeAlerts: kinds.includes('status_alerts') ? statusChangeAlerts.filter(a => matchesFilter(filter, a.item)) : [],
+            hearingAlerts: kinds.includes('hearing_alerts') ? hearingAlerts.filter(a => matchesFilter(filter, a.item)) : [],
+            keywordMatches: kinds.includes('keyword_alerts') ? newMatches : [],
+            watchMatches: kinds.includes('keyword_alerts') ? watchMatches : []
+        };
+        const emails = delivery === 'digest'
+            ? (Object.values(alerts).some(list => list.length > 0) ? [buildDigestEmail(alerts, now, filter)] : [])
+            : [
+                alerts.statusChangeAlerts.length > 0 && buildStatusAlertEmail(alerts.statusChangeAlerts, now),
+                alerts.hearingAlerts.length > 0 && buildHearingAlertEmail(alerts.hearingAlerts, now),
+                alerts.keywordMatches.length > 0 && buildKeywordAlertEmail(alerts.keywordMatches, now),
+                alerts.watchMatches.length > 0 && buildWatchAlertEmail(alerts.watchMatches, now)
+            ].filter(Boolean);
+        if (emails.length === 0) continue;
 
-        const newMatches = []; // { keyword, bill }
+        try {
+            const sent = [];
+            for (const { subject, html } of emails) sent.push(await mailer.send({ to, subject, html }));
+            results.alertEmails.push({
+                to, delivery, emails: emails.length, queued: sent.filter(r => r.status === 'pending').length,
+                statusChanges: alerts.statusChangeAlerts.length, hearings: alerts.hearingAlerts.length,
+                keywordMatches: alerts.keywordMatches.length, watchMatches: alerts.watchMatches.length
+            });
+        } catch (err) {
+            console.error(`[check-hearings] Alert to ${to.join(', ')} failed:`, err.message);
+            results.errors.push({ to, error: err.message });
+        }
+        await markSent(key);
+    }
 
-        for (const keyword of keywords) {
+    // Each assignee with an email on team_members also gets their own items,
+    // less any alert their own subscription (or the env-var list) already
+    // sends them — a subscriber whose filter leaves out a bill they are
+    // assigned still hears about it. Unassigned items, and assignees without
+    // an email, are covered by the subscriber emails only.
+
+    const byAssignee = {}; // assignee name -> { statusChangeAlerts, hearingAlerts }
+    const forAssignee = (item) => {
+        const name = item.assigned_to;
+        if (!name || name === 'Unassigned') return null;
+        return (byAssignee[name] ||= { statusChangeAlerts: [], hearingAlerts: [] });
+    };
+    statusChangeAlerts.forEach(a => forAssignee(a.item)?.statusChangeAlerts.push(a));
+    hearingAlerts.forEach(a => forAssignee(a.item)?.hearingAlerts.push(a));
+
+    if (Object.keys(byAssignee).length > 0) {
+        const emails = await getTeamMemberEmails();
+        results.assigneeAlerts ||= [];
+        for (const [name, mine] of Object.entries(byAssignee)) {
+            const key = `assignee:${name}`;
+            if (sent.includes(key)) continue;
+            const to = emails[name];
+            if (!to) {
+                console.log(`[check-hearings] No email for assignee "${name}" — subscriber emails only`);
+                continue;
+            }
+            const notSent = (kind) => (a) => !receivesItem(subscriptions, kind, ALERT_TO, to, a.item);
+            const alerts = {
+                statusChangeAlerts: mine.statusChangeAlerts.filter(notSent('status_alerts')),
+                hearingAlerts: mine.hearingAlerts.filter(notSent('hearing_alerts'))
+            };
+            if (alerts.statusChangeAlerts.length === 0 && alerts.hearingAlerts.length === 0) continue;
             try {
-                const searchResults = await limsPost('/SearchLegislation', {
-                    Keyword: keyword, CategoryId: 0,
-                    CouncilPeriodId: COUNCIL_PERIOD, RowLimit: 20, OffSet: 0
-                });
-
-                if (Array.isArray(searchResults)) {
-                    for (const bill of searchResults) {
-                        const billNum = bill.legislationNumber;
-                        if (!billNum) continue;
-                        const key = `${billNum}::${keyword}`;
-                        if (!existingIds.has(billNum) && !alreadyAlerted.has(key)) {
-                            newMatches.push({ keyword, bill });
-                            // Log so we don't alert again
-                            await sbInsert('keyword_alert_log', {
-                                bill_number: billNum,
-                                keyword: keyword,
-                                alerted_at: now.toISOString()
-                            });
-                        }
-                    }
+                if (alerts.statusChangeAlerts.length > 0) {
+                    const { subject, html } = buildStatusAlertEmail(alerts.statusChangeAlerts, now, name);
+                    await mailer.send({ to, subject, html });
+                }
+                if (alerts.hearingAlerts.length > 0) {
+                    const { subject, html } = buildHearingAlertEmail(alerts.hearingAlerts, now, name);
+                    await mailer.send({ to, subject, html });
                 }
+                results.assigneeAlerts.push({ assignee: name, statusChanges: alerts.statusChangeAlerts.length, hearings: alerts.hearingAlerts.length });
             } catch (err) {
-                console.error(`[check-hearings] Keyword search "${keyword}":`, err.message);
+                console.error(`[check-hearings] Alert to ${name} failed:`, err.message);
+                results.errors.push({ assignee: name, error: err.message });
             }
-            await delay(1000);
+            await markSent(key);
         }
+    }
+}
 
-        if (newMatches.length > 0) {
-            results.newKeywordMatches = newMatches.map(m => ({ keyword: m.keyword, bill: m.bill.legislationNumber, title: m.bill.title }));
+// ─── Cursor ───────────────────────────────────────────────────────────────────
+
+function newRun(runDate, trackedItems) {
+    const itemIds = trackedItems.filter(i => !i.is_manual_entry && i.bill_number).map(i => i.id);
+    return {
+        run_date: runDate,
+        item_ids: itemIds,
+        position: 0,
+        total: itemIds.length,
+        keywords_done: false,
+        completed: false,
+        alerts: { statusChangeAlerts: [], hearingAlerts: [], keywordMatches: [], watchMatches: [] },
+        results: { checked: 0, statusChanges: [], actions: [], newKeywordMatches: [], newWatchMatches: [], errors: [] },
+        sent: [],
+        started_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+}
 
-            // Group by keyword for readability
-            const byKeyword = {};
-            newMatches.forEach(({ keyword, bill }) => {
-                if (!byKeyword[keyword]) byKeyword[keyword] = [];
-                byKeyword[keyword].push(bill);
-            });
+/**
+ * Today's run, claimed for this call until `lockUntil`. An unfinished run from
+ * an earlier day is picked up first so its collected alerts still go out.
+ * Returns { run } or { status } when there is nothing for this call to do.
+ */
+async function claimRun({ reset, lockUntil }) {
+    const runDate = new Date().toISOString().slice(0, 10);
+    let cursor = await getLatestHearingCursor();
+
+    if (reset && cursor) {
+        await deleteHearingCursor(cursor.run_date);
+        console.log(`[check-hearings] Cursor for ${cursor.run_date} reset`);
+        cursor = null;
+    }
+
+    if (cursor?.completed && cursor.run_date === runDate) return { status: 'complete' };
+
+    if (!cursor || cursor.completed) {
+        cursor = newRun(runDate, await getTrackedItems({ select: 'id,bill_number,is_manual_entry' }));
+        await saveHearingCursor(cursor);
+        await deleteHearingCursorsBefore(new Date(Date.now() - CURSOR_KEEP_DAYS * 86400000).toISOString().slice(0, 10));
+        console.log(`[check-hearings] Started run ${runDate} with ${cursor.total} bills`);
+    } else if (cursor.run_date !== runDate) {
+        console.log(`[check-hearings] Resuming unfinished run from ${cursor.run_date}`);
+    }
+
+    const run = await claimHearingCursor(cursor.run_date, lockUntil);
+    return run ? { run } : { status: 'busy' };
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+async function handler(req, res) {
+    // A dry run checks LIMS and renders the alerts but writes and sends nothing,
+    // so the next real run still sees the same changes
+    const dryRun = isDryRun(req);
+    if (!(await authorizeCron(req, res, { dryRun }))) return;
+
+    const deadline = Date.now() + TIME_BUDGET_MS;
+    const now = new Date();
+
+    try {
 
-            const kwItemStyle = 'margin: 8px 0; padding: 10px 12px; border-radius: 6px; background: white; border: 1px solid #c7d2fe;';
-            const kwHtml = `
-            <!DOCTYPE html><html><head><meta charset="utf-8"></head>
-            <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 680px; margin: 0 auto; padding: 24px; background: #f9fafb;">
-                <div style="background: #4f46e5; color: white; padding: 16px 24px; border-radius: 10px 10px 0 0;">
-                    <h1 style="margin: 0; font-size: 18px;">🔍 DC Policy Tracker — New Keyword Matches</h1>
-                    <p style="margin: 4px 0 0; font-size: 12px; opacity: 0.85;">${now.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}</p>
-                </div>
-                <div style="background: #eef2ff; padding: 16px 24px; border: 1px solid #c7d2fe; border-top: none; border-radius: 0 0 10px 10px; margin-bottom: 16px;">
-                    <p style="margin: 0; font-size: 13px; color: #3730a3;">${newMatches.length} new bill${newMatches.length > 1 ? 's match' : ' matches'} your tracked keywords. These are not yet in your tracker.</p>
-                </div>
-                ${Object.entries(byKeyword).map(([kw, bills]) => `
-                <div style="margin-bottom: 20px;">
-                    <h3 style="margin: 0 0 8px; font-size: 13px; color: #4f46e5; text-transform: uppercase; letter-spacing: 0.05em;">Keyword: "${kw}"</h3>
-                    ${bills.map(bill => `
-                    <div style="${kwItemStyle}">
-                        <div style="font-size: 13px; font-weight: 600; color: #111827; margin-bottom: 4px;">
-                            <a href="https://lims.dccouncil.gov/Legislation/${bill.legislationNumber}" style="color: #4f46e5; text-decoration: none;">${bill.title || bill.legislationNumber}</a>
-                        </div>
-                        <div style="font-size: 11px; color: #6b7280;">
-                            ${bill.legislationNumber}
-                            ${bill.status ? ` · ${bill.status}` : ''}
-                            ${bill.introductionDate ? ` · Introduced ${new Date(bill.introductionDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}` : ''}
-                            ${bill.referredToCommittees && bill.referredToCommittees !== 'null' ? ` · ${bill.referredToCommittees}` : ''}
-                        </div>
-                    </div>`).join('')}
-                </div>`).join('')}
-                <div style="margin-top: 24px; text-align: center; font-size: 11px; color: #9ca3af;">
-                    <a href="https://dcpca-policy-tracker.vercel.app" style="color: #4f46e5; font-weight: 600;">Open Tracker to add these bills →</a>
-                </div>
-            </body></html>`;
-
-            await sendEmail(
-                `🔍 DC Policy Tracker — ${newMatches.length} New Keyword Match${newMatches.length > 1 ? 'es' : ''}`,
-                kwHtml
-            );
+    // Emails that failed on an earlier run go out first
+    const outbox = dryRun ? null : await retryOutbox();
+
+    // ── 1. Claim the run (a dry run keeps its own in memory) ─────────────────
+
+    let run;
+    if (dryRun) {
+        run = newRun(now.toISOString().slice(0, 10), await getTrackedItems({ select: 'id,bill_number,is_manual_entry' }));
+    } else {
+        const reset = req.query?.reset === 'true' || req.body?.reset === true;
+        const claim = await claimRun({ reset, lockUntil: new Date(deadline + LOCK_GRACE_MS).toISOString() });
+        if (!claim.run) {
+            const message = claim.status === 'busy'
+                ? 'Another invocation is working on this run.'
+                : "Today's run is finished. Call with ?reset=true to run it again.";
+            return res.status(200).json({ status: claim.status, message, outbox });
         }
+        run = claim.run;
     }
 
-    console.log(`[check-hearings] Done: ${results.checked} checked, ${results.statusChanges.length} status changes, ${results.newKeywordMatches.length} new keyword matches`);
-    return res.status(200).json(results);
+    const save = (patch) => (dryRun ? null : updateHearingCursor(run.run_date, { ...patch, updated_at: new Date().toISOString() }));
+
+    // ── 2. Check tracked bills a batch at a time until the time budget is spent
+
+    while (run.position < run.total && Date.now() < deadline) {
+        const ids = run.item_ids.slice(run.position, run.position + BATCH_SIZE);
+        const items = await getTrackedItems({ ids }); // bills untracked since the run started drop out here
+        const hearingRows = await getBillHearings(ids);
+        const checks = [];
+        await forEachConcurrent(items, { limit: CONCURRENCY, gapMs: REQUEST_GAP_MS }, async item => {
+            const check = await checkBill(item, run, { now, dryRun, hearings: hearingRows.filter(h => h.item_id === item.id) });
+            if (check) checks.push(check);
+        });
+        // Alerts first: a re-checked batch finds them again and addAlerts drops the repeats
+        addAlerts(run.alerts, checks);
+        await save({ alerts: run.alerts });
+        for (const check of checks) await check.write();
+        run.position += ids.length;
+        await save({ position: run.position, alerts: run.alerts, results: run.results });
+    }
+
+    // ── 3. Keywords over recently fetched bills, watch lists over new ones ───
+
+    if (run.position >= run.total && !run.keywords_done && Date.now() < deadline) {
+        const existingIds = new Set((await getTrackedItems({ select: 'id' })).map(i => i.id));
+        const dismissed = await getDismissedSuggestions();
+        const untracked = (bill) => !existingIds.has(bill.bill_number) && !dismissed.has(bill.bill_number);
+        const newBills = await findNewBills(untracked, now);
+        const keywords = await getKeywords();
+        const keywordBills = keywords.length > 0 ? (await getRecentlyCachedBillText(new Date(now.getTime() - KEYWORD_LOOKBACK_DAYS * 86400000))).filter(untracked) : [];
+        const newMatches = keywordBills.length > 0 ? await findKeywordMatches(keywords, keywordBills, run.results) : [];
+        const watchMatches = newBills.length > 0 ? await findWatchMatches(newBills) : [];
+        run.alerts.keywordMatches = newMatches;
+        run.alerts.watchMatches = watchMatches;
+        run.results.newKeywordMatches = newMatches.map(m => ({ keyword: m.keyword, bill: m.bill.bill_number, title: m.bill.title, fields: m.hits.map(h => h.field) }));
+        run.results.newWatchMatches = watchMatches.map(m => ({ watch: m.watch, name: m.name, bill: m.bill.bill_number, title: m.bill.title }));
+        run.keywords_done = true;
+        await save({ keywords_done: true, alerts: run.alerts, results: run.results });
+        // Log so we don't alert again
+        if (!dryRun && newMatches.length > 0) {
+            await logKeywordAlerts(newMatches.map(m => ({ bill_number: m.bill.bill_number, keyword: m.keyword, alerted_at: now.toISOString() })));
+        }
+        if (!dryRun && watchMatches.length > 0) {
+            await logWatchAlerts(watchMatches.map(m => ({ bill_number: m.bill.bill_number, watch_type: m.watch, watch_name: m.name, alerted_at: now.toISOString() })));
+        }
+        if (!dryRun) await saveSuggestions(newMatches, watchMatches, now);
+    }
+
+    const remaining = run.total - run.position;
+    const progress = { status: 'in_progress', run: run.run_date, position: run.position, total: run.total, remaining, checked: run.results.checked };
+
+    if (!run.keywords_done && !dryRun) {
+        await save({ locked_until: null });
+        console.log(`[check-hearings] ${run.position}/${run.total} — ${remaining} remaining, continuing on the next call`);
+        return res.status(200).json({ ...progress, outbox });
+    }
+
+    // ── 4. Send the alerts collected over the whole run, once ────────────────
+
+    const mailer = createMailer({ source: 'check-hearings', dryRun });
+    const results = run.results;
+    const sent = run.sent || [];
+    const markSent = (key) => {
+        sent.push(key);
+        return save({ sent, results });
+    };
+    await sendAlerts(run.alerts, results, { now, mailer, sent, markSent });
+    await save({ completed: true, completed_at: new Date().toISOString(), locked_until: null, results });
+
+    console.log(`[check-hearings] ${dryRun ? 'Dry run done' : 'Done'}: ${results.checked} checked, ${results.statusChanges.length} status changes, ${results.actions.length} bills with new actions, ${results.newKeywordMatches.length} new keyword matches, ${(results.newWatchMatches || []).length} new watch matches`);
+    return res.status(200).json({
+        ...progress,
+        status: remaining > 0 ? 'partial' : 'complete',
+        ...results,
+        outbox,
+        ...(dryRun ? { dryRun, previews: mailer.previews } : {})
+    });
+
+    } catch (err) {
+        console.error('[check-hearings] Fatal error:', err);
+        return res.status(500).json({ error: err.message, stack: err.stack });
+    }
 }
+
+export default recordCronRun('check-hearings', handler);
@@ -1,33 +1,52 @@
 /**
  * /api/check-password.js
  *
- * Validates the app password submitted from the frontend login screen.
- * Returns a signed session token the frontend stores in sessionStorage.
+ * Signs a staff member in. Validates the email + password submitted from the
+ * frontend login screen against team_members / team_member_logins and returns
+ * an HMAC-signed session token the frontend stores in sessionStorage and
+ * sends as `Authorization: Bearer <token>` on every API call.
+ *
+ * Response: { token, expires, user: { id, name, email, role } }
  *
  * Env vars required:
- *   APP_PASSWORD  — the password staff use to access the tracker
- *   CRON_SECRET   — reused as the signing key for the session token
+ *   SUPABASE_URL, SUPABASE_SERVICE_KEY
+ *   SESSION_SECRET — signing key for session tokens (see _auth.js)
  */
 
-const APP_PASSWORD = process.env.APP_PASSWORD;
-const SIGNING_KEY  = process.env.CRON_SECRET;
+import { createSessionToken, verifyPassword } from './_auth.js';
+import { selectOne, update } from './_db.js';
+
+const reject = async (res) => {
+    // Small delay to slow brute force attempts
+    await new Promise(r => setTimeout(r, 600));
+    return res.status(401).json({ error: 'Incorrect email or password' });
+};
 
 export default async function handler(req, res) {
     if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
-    if (!APP_PASSWORD) return res.status(500).json({ error: 'APP_PASSWORD not configured' });
+    if (!process.env.SESSION_SECRET) return res.status(500).json({ error: 'SESSION_SECRET not configured' });
 
-    const { password } = req.body || {};
-    if (!password || password !== APP_PASSWORD) {
-        // Small delay to slow brute force attempts
-        await new Promise(r => setTimeout(r, 600));
-        return res.status(401).json({ error: 'Incorrect password' });
-    }
+    const { email, password } = req.body || {};
+    if (!email || !password) return reject(res);
 
-    // Issue a simple time-stamped token the frontend can validate
-    // Format: base64(timestamp + ":" + hmac-ish signature)
-    const timestamp = Date.now();
-    const payload   = `${timestamp}:${SIGNING_KEY}`;
-    const token     = Buffer.from(payload).toString('base64');
+    try {
+        const member = await selectOne(
+            `/team_members?email=eq.${encodeURIComponent(String(email).trim().toLowerCase())}&active=eq.true&select=id,name,email`
+        );
+        if (!member) return reject(res);
 
-    return res.status(200).json({ token, expires: timestamp + 8 * 60 * 60 * 1000 }); // 8 hour session
+        const login = await selectOne(
+            `/team_member_logins?member_id=eq.${member.id}&select=password_hash,role,disabled,session_version`
+        );
+        if (!login || login.disabled || !verifyPassword(password, login.password_hash)) return reject(res);
+
+        await update('team_member_logins', { member_id: member.id }, { last_login_at: new Date().toISOString() });
+
+        const user = { id: member.id, name: member.name, email: member.email, role: login.role };
+        const { token, expires } = createSessionToken({ sub: member.id, name: member.name, ver: login.session_version || 0 });
+        return res.status(200).json({ token, expires, user });
+    } catch (err) {
+        console.error('[check-password] Error:', err);
+        return res.status(500).json({ error: 'Sign-in failed' });
+    }
 }
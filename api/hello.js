@@ -1,76 +1,160 @@
+/**
+ * /api/hello.js
+ *
+ * LIMS proxy for the browser. Adds our LIMS_API_KEY server-side, so it only
+ * forwards the endpoints the app actually uses (see ALLOWED_ENDPOINTS), only
+ * for signed-in callers, and at a bounded rate per person.
+ *
+ * Request: POST { endpoint, body? }   e.g. { endpoint: '/LegislationDetails/B26-0042' }
+ *          GET  ?endpoint=...&body=...
+ * The HTTP method sent to LIMS comes from the allowlist, not the caller.
+ *
+ * GET responses are cached in memory for a short time so repeated
+ * fetchLegislationDetails calls from the UI don't each hit LIMS. The cache and
+ * rate limiter are per function instance — good enough to absorb bursts from
+ * one tab, not a global quota.
+ *
+ * Requests go through the shared LIMS client (_lims.js), so they get the
+ * same timeouts and retry/backoff as the cron jobs.
+ *
+ * A LIMS error comes back as 502 with LIMS's own status in the JSON body
+ * ({ error, status, details, endpoint }); 401 only ever means the caller's
+ * session is invalid.
+ *
+ * Env vars required: LIMS_API_KEY, SESSION_SECRET (LIMS_API_BASE optional)
+ */
+
+import { requireSession } from './_auth.js';
+import { limsRequest } from './_lims.js';
+
+// ─── Allowlist ────────────────────────────────────────────────────────────────
+
+const ALLOWED_ENDPOINTS = [
+  { pattern: /^\/SearchLegislation$/,                                method: 'POST' },
+  { pattern: /^\/LegislationDetails\/[A-Za-z]{1,4}\d{1,3}-\d{1,5}$/, method: 'GET',  ttlMs: 60 * 1000 },
+  { pattern: /^\/CouncilPeriods$/,                                   method: 'GET',  ttlMs: 10 * 60 * 1000 }
+];
+
+const matchEndpoint = (endpoint) => ALLOWED_ENDPOINTS.find(e => e.pattern.test(endpoint)) || null;
+
+// ─── Rate limiting ────────────────────────────────────────────────────────────
+// Fixed one-minute window per session subject. System callers (CRON_SECRET,
+// e.g. build-bill-cache) are exempt — they pace themselves.
+
+const RATE_LIMIT_PER_MINUTE = 120;
+const _rateWindows = new Map(); // caller -> { windowStart, count }
+
+function takeRateToken(caller) {
+  const now = Date.now();
+  const window = _rateWindows.get(caller);
+  if (!window || now - window.windowStart >= 60 * 1000) {
+    _rateWindows.set(caller, { windowStart: now, count: 1 });
+    return { ok: true };
+  }
+  if (window.count >= RATE_LIMIT_PER_MINUTE) {
+    return { ok: false, retryAfter: Math.ceil((window.windowStart + 60 * 1000 - now) / 1000) };
+  }
+  window.count++;
+  return { ok: true };
+}
+
+// ─── Response cache ───────────────────────────────────────────────────────────
+
+const CACHE_MAX_ENTRIES = 500;
+const _cache = new Map(); // endpoint -> { data, expires }
+
+function cacheGet(key) {
+  const hit = _cache.get(key);
+  if (!hit) return null;
+  if (Date.now() >= hit.expires) {
+    _cache.delete(key);
+    return null;
+  }
+  return hit.data;
+}
+
+function cacheSet(key, data, ttlMs) {
+  // Map preserves insertion order, so the first key is the oldest
+  if (_cache.size >= CACHE_MAX_ENTRIES) _cache.delete(_cache.keys().next().value);
+  _cache.set(key, { data, expires: Date.now() + ttlMs });
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
 export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
   }
-  
-  let endpoint, method, bodyData;
-  
+
+  const session = await requireSession(req, res);
+  if (!session) return;
+
+  let endpoint, bodyData;
+
   if (req.method === 'POST') {
     endpoint = req.body?.endpoint;
-    method = req.body?.method || 'POST';
     bodyData = req.body?.body;
   } else {
     endpoint = req.query.endpoint;
-    method = req.query.method || 'GET';
     try {
       bodyData = req.query.body ? JSON.parse(req.query.body) : null;
     } catch (e) {
       bodyData = null;
     }
   }
-  
-  if (!endpoint) {
+
+  if (!endpoint || typeof endpoint !== 'string') {
     return res.status(400).json({ error: 'endpoint parameter required' });
   }
-  
-  const API_KEY = process.env.LIMS_API_KEY;
-  const url = `https://lims.dccouncil.gov/api/v2/PublicData${endpoint}`;
-  
-  console.log(`Proxy request: ${method} ${url}`);
-  
-  try {
-    const fetchOptions = {
-      method: method,
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${API_KEY}`
-      }
-    };
-    
-    // BulkData endpoint requires POST with empty body
-    if (endpoint.includes('/BulkData/')) {
-      fetchOptions.method = 'POST';
-      fetchOptions.body = JSON.stringify({});
-    } else if (bodyData && method === 'POST') {
-      fetchOptions.body = typeof bodyData === 'string' ? bodyData : JSON.stringify(bodyData);
+
+  const allowed = matchEndpoint(endpoint);
+  if (!allowed) {
+    console.warn(`[hello] Rejected endpoint from ${session.sub}: ${endpoint.slice(0, 200)}`);
+    return res.status(400).json({ error: 'Endpoint not allowed', endpoint });
+  }
+
+  if (!session.system) {
+    const rate = takeRateToken(session.sub);
+    if (!rate.ok) {
+      res.setHeader('Retry-After', String(rate.retryAfter));
+      return res.status(429).json({ error: 'Too many LIMS requests — please wait a moment', retryAfter: rate.retryAfter });
     }
-    
-    const response = await fetch(url, fetchOptions);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`LIMS API error for ${endpoint}:`, response.status, errorText);
-      return res.status(response.status).json({ 
-        error: 'LIMS API error', 
-        status: response.status,
-        details: errorText,
-        endpoint: endpoint
-      });
+  }
+
+  const method = allowed.method;
+  if (method === 'GET') {
+    const cached = cacheGet(endpoint);
+    if (cached) {
+      res.setHeader('X-Cache', 'HIT');
+      return res.status(200).json(cached);
     }
-    
-    const data = await response.json();
+  }
+
+  console.log(`Proxy request: ${method} ${endpoint}`);
+
+  try {
+    const data = await limsRequest(endpoint, { method, body: bodyData });
     console.log(`Success: ${method} ${endpoint} returned ${Array.isArray(data) ? data.length + ' items' : 'data'}`);
+    if (method === 'GET') {
+      cacheSet(endpoint, data, allowed.ttlMs);
+      res.setHeader('X-Cache', 'MISS');
+    }
     return res.status(200).json(data);
-    
+
   } catch (error) {
-    console.error('Proxy error for', endpoint, ':', error);
-    return res.status(500).json({ 
-      error: 'Proxy failed', 
+    console.error('Proxy error for', endpoint, ':', error.message);
+    // Always 502 here: a 401 from this route must only ever mean our own
+    // session is invalid (the browser signs out on it), not that LIMS said no
+    if (error.status) {
+      return res.status(502).json({
+        error: 'LIMS API error',
+        status: error.status,
+        details: error.message,
+        endpoint: endpoint
+      });
+    }
+    return res.status(502).json({
+      error: 'Proxy failed',
       details: error.message,
       endpoint: endpoint
     });
@@ -0,0 +1,166 @@
+/**
+ * /api/notifications.js
+ *
+ * Email notification preferences (notification_subscriptions). Any signed-in
+ * team member can read and change their own; admins can manage everyone's and
+ * add outside addresses such as a board mailing list.
+ *
+ *   GET                          → { subscription } for the caller; admins also get { subscriptions }
+ *   PUT  { ...preferences }      → save the caller's own subscription
+ *   PUT  { id, ... }             → update a subscription (admins, or its owner)
+ *   PUT  { member_id | email, … } → admins: save a team member's, or an outside address's
+ *   DELETE { id }                → remove a subscription (admins, or its owner)
+ *
+ * Preferences: daily_report, eod_report, weekly_report, status_alerts,
+ * hearing_alerts, keyword_alerts, hearing_reminders (booleans); priorities, action_statuses,
+ * assignees (arrays, empty = everything); delivery ('immediate' | 'digest');
+ * active.
+ *
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, SESSION_SECRET
+ */
+
+import { requireSession } from './_auth.js';
+import { selectOne, insert, update, remove, getNotificationSubscriptions, getNotificationSubscription } from './_db.js';
+import { SUBSCRIPTION_KINDS, DELIVERY_MODES } from './_subscriptions.js';
+
+const PRIORITIES      = ['high', 'medium', 'low'];
+const ACTION_STATUSES = ['action_needed', 'monitor_and_assess', 'action_completed'];
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+/** Validated column values from a request body, or { error } */
+function toPreferences(body) {
+    const prefs = {};
+    for (const kind of SUBSCRIPTION_KINDS) {
+        if (body[kind] !== undefined) prefs[kind] = !!body[kind];
+    }
+    for (const [key, allowed] of [['priorities', PRIORITIES], ['action_statuses', ACTION_STATUSES]]) {
+        if (body[key] === undefined) continue;
+        if (!Array.isArray(body[key]) || body[key].some(v => !allowed.includes(v))) {
+            return { error: `${key} must be a list of: ${allowed.join(', ')}` };
+        }
+        prefs[key] = [...new Set(body[key])];
+    }
+    if (body.assignees !== undefined) {
+        if (!Array.isArray(body.assignees)) return { error: 'assignees must be a list of team member names' };
+        prefs.assignees = [...new Set(body.assignees.map(a => String(a).trim()).filter(Boolean))];
+    }
+    if (body.delivery !== undefined) {
+        if (!DELIVERY_MODES.includes(body.delivery)) return { error: `delivery must be one of: ${DELIVERY_MODES.join(', ')}` };
+        prefs.delivery = body.delivery;
+    }
+    if (body.active !== undefined) prefs.active = !!body.active;
+    return { prefs };
+}
+
+async function findSubscription(id) {
+    const all = await getNotificationSubscriptions();
+    return all.find(s => s.id === id) || null;
+}
+
+/** Insert or update the row for one address; returns the saved row */
+async function save(existing, fields) {
+    const row = { ...fields, updated_at: new Date().toISOString() };
+    if (existing) {
+        await update('notification_subscriptions', { id: existing.id }, row);
+        return findSubscription(existing.id);
+    }
+    const [created] = await insert('notification_subscriptions', row, { returning: true });
+    return findSubscription(created.id);
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+export default async function handler(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    const isAdmin = session.system || session.role === 'admin';
+    const ownMemberId = session.system ? null : session.sub;
+
+    try {
+        if (req.method === 'GET') {
+            const all = await getNotificationSubscriptions();
+            return res.status(200).json({
+                subscription: all.find(s => ownMemberId && s.member_id === ownMemberId) || null,
+                ...(isAdmin ? { subscriptions: all } : {})
+            });
+        }
+
+        if (req.method === 'PUT') {
+            const body = req.body || {};
+            const { prefs, error } = toPreferences(body);
+            if (error) return res.status(400).json({ error });
+
+            let existing = null;
+            let identity = {}; // member_id / email / name for a new row
+
+            if (body.id) {
+                existing = await findSubscription(body.id);
+                if (!existing) return res.status(404).json({ error: 'Subscription not found' });
+                if (!isAdmin && existing.member_id !== ownMemberId) return res.status(403).json({ error: 'Forbidden' });
+                // Outside addresses can be renamed or re-pointed by admins; member rows follow team_members
+                if (isAdmin && !existing.member_id) {
+                    const email = body.email === undefined ? undefined : normalizeEmail(body.email);
+                    if (email !== undefined && !/^[^@\s]+@[^@\s]+$/.test(email || '')) return res.status(400).json({ error: 'Email is not valid' });
+                    if (email) identity.email = email;
+                    if (body.name !== undefined) identity.name = String(body.name || '').trim() || null;
+                }
+            } else {
+                const memberId = isAdmin && body.member_id ? body.member_id : (isAdmin && body.email ? null : ownMemberId);
+                if (memberId) {
+                    const member = await selectOne(`/team_members?id=eq.${encodeURIComponent(memberId)}&select=id,name,email`);
+                    if (!member) return res.status(404).json({ error: 'Team member not found' });
+                    if (!member.email) {
+                        return res.status(400).json({ error: memberId === ownMemberId
+                            ? 'Your team profile has no email address — ask an admin to add one'
+                            : `${member.name} has no email address — add one under Manage Team first` });
+                    }
+                    existing = await getNotificationSubscription({ member_id: memberId });
+                    identity = { member_id: memberId, email: member.email, name: member.name };
+                } else if (isAdmin && body.email) {
+                    const email = normalizeEmail(body.email);
+                    if (!/^[^@\s]+@[^@\s]+$/.test(email)) return res.status(400).json({ error: 'Email is not valid' });
+                    existing = await getNotificationSubscription({ email });
+                    identity = { email, name: String(body.name || '').trim() || null };
+                } else {
+                    return res.status(400).json({ error: 'member_id or email is required' });
+                }
+            }
+
+            let subscription;
+            try {
+                subscription = await save(existing, { ...identity, ...prefs });
+            } catch (err) {
+                if (err.status === 409) return res.status(409).json({ error: 'That email address already has a subscription' });
+                throw err;
+            }
+            console.log(`[notifications] ${session.name || session.sub} saved notifications for ${subscription.email}`);
+            return res.status(200).json({
+                subscription,
+                ...(isAdmin ? { subscriptions: await getNotificationSubscriptions() } : {})
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            const id = req.body?.id || req.query?.id;
+            if (!id) return res.status(400).json({ error: 'id is required' });
+            const existing = await findSubscription(id);
+            if (!existing) return res.status(404).json({ error: 'Subscription not found' });
+            if (!isAdmin && existing.member_id !== ownMemberId) return res.status(403).json({ error: 'Forbidden' });
+
+            await remove('notification_subscriptions', { id });
+            console.log(`[notifications] ${session.name || session.sub} removed notifications for ${existing.email}`);
+            return res.status(200).json({
+                deleted: true,
+                ...(isAdmin ? { subscriptions: await getNotificationSubscriptions() } : {})
+            });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (err) {
+        console.error('[notifications] Error:', err);
+        return res.status(500).json({ error: err.message });
+    }
+}
@@ -1,11 +1,9 @@
-export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+import { requireSession } from './_auth.js';
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+export default async function handler(req, res) {
+  // Same-origin only, like hello.js: no CORS headers on a session-protected route
+  const session = await requireSession(req, res);
+  if (!session) return;
 
   const { limit = 20 } = req.query;
   const apiKey = process.env.SCRAPINGBEE_API_KEY;
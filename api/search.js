@@ -0,0 +1,156 @@
+/**
+ * /api/search.js
+ *
+ * Ranked full-text search over lims_bill_cache, for the app's search panel.
+ *
+ *   GET ?q=…&period=26,25&category=…&status=…&committee_id=…&sponsor_id=…
+ *       &from=2025-01-01&to=2025-06-30&limit=25&offset=0  (signed in)
+ *     → { results, total, limit, offset, hasMore }
+ *
+ * q takes the same syntax as tracked keywords (quotes, AND / OR / NOT, -word —
+ * see _query.js) and is matched against the title, additional information and
+ * every text field of the cached LIMS details, best match first; without q
+ * the filtered bills come newest first. category and status match exactly;
+ * committee_id and sponsor_id are committees / council_members ids (sponsor
+ * includes co-introducers), while committee and sponsor match part of a name
+ * for free-text watches; from / to bound the introduction date.
+ *
+ * Results use the field names of LIMS SearchLegislation results
+ * (legislationNumber, introducers, referredToCommittees, …) plus
+ * councilPeriodId, rank, sponsors ([{ id, name, role }]), referredCommittees
+ * ([{ id, name }]), and titleHighlight / snippet: the title and the
+ * best passages of additional information as [{ text, hit }] segments, the
+ * shape highlightSnippet() returns.
+ *
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, SESSION_SECRET
+ */
+
+import { requireSession } from './_auth.js';
+import { searchBillCache } from './_db.js';
+import { parseQuery, toTsQuery } from './_query.js';
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT     = 100;
+
+// search_bill_cache() wraps each hit in these (see migration.sql)
+const HIT_START = '\u0002';
+const HIT_END   = '\u0003';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const isEntityId = (value) => /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(value);
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+/** [{ text, hit }] from a ts_headline() snippet */
+function segments(text) {
+    if (!text) return [];
+    const [before, ...hits] = text.split(HIT_START);
+    const out = before ? [{ text: before, hit: false }] : [];
+    for (const part of hits) {
+        const [hit, after] = part.split(HIT_END);
+        out.push({ text: hit, hit: true });
+        if (after) out.push({ text: after, hit: false });
+    }
+    return out;
+}
+
+/** search_bill_cache() arguments from the query string, or { error } */
+function searchArgs(query) {
+    const text = (key) => String(query[key] ?? '').trim() || null;
+    const args = {
+        query: null,
+        periods: null,
+        category_filter: text('category'),
+        status_filter: text('status'),
+        committee_filter: text('committee') && `%${escapeLike(text('committee'))}%`,
+        sponsor_filter: text('sponsor') && `%${escapeLike(text('sponsor'))}%`,
+        introduced_from: text('from'),
+        introduced_to: text('to'),
+        result_limit: DEFAULT_LIMIT,
+        result_offset: 0,
+        referred_committee_id: text('committee_id'),
+        sponsor_member_id: text('sponsor_id')
+    };
+
+    if (text('q')) {
+        try {
+            args.query = toTsQuery(parseQuery(text('q')));
+        } catch (err) {
+            return { error: err.message };
+        }
+        if (!args.query) return { error: `"${text('q')}" has no words to search for` };
+    }
+    if (text('period')) {
+        const periods = text('period').split(',').map(Number);
+        if (periods.some(p => !Number.isInteger(p) || p <= 0)) return { error: 'period must be a list of council period numbers' };
+        args.periods = periods;
+    }
+    for (const key of ['committee_id', 'sponsor_id']) {
+        if (text(key) && !isEntityId(text(key))) return { error: `${key} must be an id like brianne-k-nadeau` };
+    }
+    for (const key of ['from', 'to']) {
+        if (text(key) && !isDate(text(key))) return { error: `${key} must be a date like 2025-01-31` };
+    }
+    if (text('limit')) {
+        const limit = Number(text('limit'));
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+        args.result_limit = limit;
+    }
+    if (text('offset')) {
+        const offset = Number(text('offset'));
+        if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be 0 or more' };
+        args.result_offset = offset;
+    }
+    return { args };
+}
+
+function toResult(row) {
+    return {
+        legislationNumber: row.bill_number,
+        councilPeriodId: row.council_period_id,
+        title: row.title,
+        category: row.category,
+        status: row.status,
+        introducers: row.introduced_by,
+        coIntroducers: row.co_introducers,
+        referredToCommittees: row.committees,
+        introductionDate: row.introduction_date,
+        shortDescription: row.additional_information || row.title,
+        link: row.link,
+        rank: row.rank,
+        sponsors: row.sponsors || [],
+        referredCommittees: row.referred_committees || [],
+        titleHighlight: segments(row.title_snippet),
+        snippet: segments(row.snippet)
+    };
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const { args, error } = searchArgs(req.query || {});
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const rows = await searchBillCache(args);
+        const total = Number(rows[0]?.total_count || 0);
+        return res.status(200).json({
+            results: rows.map(toResult),
+            total,
+            limit: args.result_limit,
+            offset: args.result_offset,
+            hasMore: args.result_offset + rows.length < total
+        });
+    } catch (err) {
+        console.error('[search] Error:', err);
+        return res.status(500).json({ error: err.message });
+    }
+}
@@ -3,63 +3,65 @@
  *
  * Sends an end-of-day summary — only if there were updates today.
  * Runs Mon-Fri at 5pm ET (22:00 UTC).
+ *
+ * Recipients come from notification_subscriptions (eod_report), falling back
+ * to DAILY_REPORT_TO while none exist. A subscriber whose filter matches none
+ * of today's updates gets no email.
+ *
+ * ?dryRun=1 returns the rendered emails instead of sending (see send-daily-report.js).
  */
 
-import { sendEmail } from './_mailer.js';
+import { createMailer, retryOutbox } from './_mailer.js';
+import { authorizeCron, isDryRun } from './_auth.js';
+import { recordCronRun } from './_health.js';
+import { getTrackedItems, getStatusHistory, getActivity, getNotesMap } from './_db.js';
+import { loadSubscriptions, recipientsFor, groupRecipients, matchesFilter, describeFilter } from './_subscriptions.js';
+import { html, emailDocument, emailHeader, emailFooter, section, itemCard, billNumber, committeeField } from './_templates.js';
 
-const SUPABASE_URL         = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const DAILY_REPORT_TO      = process.env.DAILY_REPORT_TO;
-const CRON_SECRET          = process.env.CRON_SECRET;
+const DAILY_REPORT_TO = process.env.DAILY_REPORT_TO;
 
-async function supabaseGet(path) {
-    const res = await fetch(`${SUPABASE_URL}/rest/v1${path}`, {
-        headers: {
-            'apikey': SUPABASE_SERVICE_KEY,
-            'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`,
-            'Content-Type': 'application/json'
-        }
-    });
-    if (!res.ok) throw new Error(`Supabase error: ${res.status}`);
-    return res.json();
+// "changed by" line for a bill_status_history / activity_log row
+function changedBy(row, verb = 'Changed') {
+    if (row.is_system) return 'System';
+    const name = row.changed_by_name || row.actor_name;
+    return name ? `${verb} by ${name}` : '';
 }
 
+// Rows from before event_type existed are status changes or "Hearing Scheduled: …"
+const eventType = (h) => h.event_type || (h.change_label?.startsWith('Hearing Scheduled') ? 'hearing' : 'status');
+const isHearingEvent = (h) => eventType(h).startsWith('hearing');
+
+const EVENT_ROWS = {
+    hearing: { label: '📅 New Hearing', tone: 'amber' },
+    hearing_rescheduled: { label: '🔁 Hearing Rescheduled', tone: 'orange' },
+    hearing_cancelled: { label: '🚫 Hearing Cancelled', tone: 'red' },
+    hearing_location: { label: '📍 Location Changed', tone: 'amber' },
+    action: { label: '🏛️ Council Action', tone: 'indigo' },
+    status: { label: '🔔 Status Change', tone: 'red' },
+    title: { label: '🔔 Status Change', tone: 'red' }
+};
+
 function formatDate(iso) {
     if (!iso) return '';
     return new Date(iso).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
 }
 
-export default async function handler(req, res) {
-    const isVercelCron = req.headers['x-vercel-cron'] === '1';
-    const isManual = CRON_SECRET && req.headers['authorization'] === `Bearer ${CRON_SECRET}`;
-    if (!isVercelCron && !isManual) return res.status(401).json({ error: 'Unauthorized' });
-    if (!DAILY_REPORT_TO) {
-        return res.status(500).json({ error: 'Missing DAILY_REPORT_TO' });
-    }
-
-    try {
-
-    const now = new Date();
-    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
+// ─── Report ───────────────────────────────────────────────────────────────────
 
-    const todaysHistory = await supabaseGet(
-        `/bill_status_history?changed_at=gte.${encodeURIComponent(todayStart)}&order=changed_at.desc`
-    );
-
-    const newlyTracked = await supabaseGet(
-        `/tracked_items?tracked_at=gte.${encodeURIComponent(todayStart)}&order=tracked_at.desc`
-    );
-
-    if (todaysHistory.length === 0 && newlyTracked.length === 0) {
-        console.log('[send-eod-report] No updates today — skipping email');
-        return res.status(200).json({ sent: false, reason: 'no_updates' });
+/**
+ * Renders the report for one subscriber filter. Returns null when none of
+ * today's updates pass the filter, so that group gets no email.
+ */
+function buildEodReport({ allItems, todaysHistory, newlyTracked, trackedBy, notesMap, now, filter }) {
+    if (filter) {
+        allItems = allItems.filter(item => matchesFilter(filter, item));
+        const itemIds = new Set(allItems.map(i => i.id));
+        todaysHistory = todaysHistory.filter(h => itemIds.has(h.item_id));
+        newlyTracked = newlyTracked.filter(item => matchesFilter(filter, item));
+        if (todaysHistory.length === 0 && newlyTracked.length === 0) return null;
     }
 
     const changedItemIds = [...new Set(todaysHistory.map(h => h.item_id))];
-    const allItems = await supabaseGet('/tracked_items?select=*');
-    const notes = await supabaseGet('/item_notes?select=*');
-    const notesMap = {};
-    notes.forEach(n => { notesMap[n.item_id] = n.note_text; });
 
     const todayStartDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
 
@@ -73,53 +75,44 @@ export default async function handler(req, res) {
         .map(id => allItems.find(i => i.id === id))
         .filter(Boolean);
 
-    const itemStyle = 'margin: 12px 0; padding: 12px; border-radius: 6px; background: white; border: 1px solid #e5e7eb;';
+    const hearingRow = (item, opts) => item.next_hearing_date && new Date(item.next_hearing_date) >= todayStartDate && {
+        value: `${formatDate(item.next_hearing_date)}${item.hearing_location ? ' — ' + item.hearing_location : ''}`, tone: 'amber', ...opts
+    };
 
     const renderChangedItem = (item) => {
         const entries = historyByItem[item.id] || [];
-        const hasHearing = item.next_hearing_date && new Date(item.next_hearing_date) >= todayStartDate;
         const note = notesMap[item.id];
-        return `
-        <div style="${itemStyle}">
-            <div style="font-size: 14px; font-weight: 600; color: #111827; margin-bottom: 8px;">
-                ${item.link ? `<a href="${item.link}" style="color: #4f46e5; text-decoration: none;">${item.title}</a>` : item.title}
-            </div>
-            <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
-                <tr>
-                    <td style="padding: 2px 8px 2px 0; color: #6b7280; white-space: nowrap;">Bill</td>
-                    <td style="padding: 2px 0; color: #374151;">${item.bill_number || item.id}</td>
-                    <td style="padding: 2px 8px 2px 16px; color: #6b7280;">Status</td>
-                    <td style="padding: 2px 0; color: #374151;">${item.status || '—'}</td>
-                </tr>
-                <tr>
-                    <td style="padding: 2px 8px 2px 0; color: #6b7280;">${item.is_manual_entry ? 'Agency' : 'Committee'}</td>
-                    <td colspan="3" style="padding: 2px 0; color: #374151;">${item.is_manual_entry ? (item.agency || '—') : (item.committees && item.committees.length > 0 ? (Array.isArray(item.committees) ? item.committees.join(', ') : item.committees) : '—')}</td>
-                </tr>
-                ${entries.map(h => {
-                    const isHearing = h.change_label && h.change_label.startsWith('Hearing Scheduled');
-                    return `<tr>
-                        <td style="padding: 4px 8px 2px 0; color: ${isHearing ? '#d97706' : '#dc2626'}; font-weight: 600; white-space: nowrap; vertical-align: top;">
-                            ${isHearing ? '📅 New Hearing' : '🔔 Status Change'}
-                        </td>
-                        <td colspan="3" style="padding: 4px 0; color: ${isHearing ? '#d97706' : '#374151'}; ${isHearing ? 'font-weight: 600;' : ''}">
-                            ${isHearing ? h.change_label.replace('Hearing Scheduled: ', '') : `${h.old_status} &rarr; <strong>${h.new_status}</strong>`}
-                        </td>
-                    </tr>`;
-                }).join('')}
-                ${hasHearing ? `<tr><td style="padding: 4px 8px 2px 0; color: #d97706;">📅 Upcoming</td><td colspan="3" style="padding: 4px 0; color: #d97706;">${formatDate(item.next_hearing_date)}${item.hearing_location ? ' — ' + item.hearing_location : ''}</td></tr>` : ''}
-                ${note ? `<tr><td style="padding: 4px 8px 2px 0; color: #6b7280; vertical-align: top;">Note</td><td colspan="3" style="padding: 4px 0; color: #374151; font-style: italic;">${note}</td></tr>` : ''}
-            </table>
-        </div>`;
+        return itemCard({
+            title: item.title,
+            url: item.link,
+            rows: [
+                [{ label: 'Bill', value: billNumber(item) }, { label: 'Status', value: item.status || '—' }],
+                committeeField(item),
+                ...entries.map(h => {
+                    const type = eventType(h);
+                    const by = changedBy(h);
+                    const change = isHearingEvent(h) ? h.change_label.replace(/^[^:]*: /, '')
+                        : type === 'action' ? h.change_label
+                        : html`${h.old_status} &rarr; <strong>${h.new_status}</strong>`;
+                    return {
+                        ...(EVENT_ROWS[type] || EVENT_ROWS.status),
+                        value: html`${change}${by ? html`<span style="color: #9ca3af; font-weight: normal;"> &middot; ${by}</span>` : ''}`,
+                        strong: true
+                    };
+                }),
+                hearingRow(item, { label: '📅 Upcoming' }),
+                note && { label: 'Note', value: note, italic: true }
+            ]
+        });
     };
 
     const statusChanges = changedItems.filter(item =>
-        (historyByItem[item.id] || []).some(h => !h.change_label || !h.change_label.startsWith('Hearing Scheduled'))
+        (historyByItem[item.id] || []).some(h => !isHearingEvent(h))
     );
     const hearingChanges = changedItems.filter(item =>
-        (historyByItem[item.id] || []).some(h => h.change_label && h.change_label.startsWith('Hearing Scheduled'))
+        (historyByItem[item.id] || []).some(isHearingEvent)
     );
 
-    const allItems = await supabaseGet('/tracked_items?select=action_status,next_hearing_date,latest_activity_date,tracked_at,is_manual_entry');
     const actionNeeded = allItems.filter(i => i.action_status === 'action_needed');
     const monitorAndAssess = allItems.filter(i => i.action_status === 'monitor_and_assess');
     const withHearings = allItems.filter(i => i.next_hearing_date && new Date(i.next_hearing_date) >= todayStartDate);
@@ -131,110 +124,111 @@ export default async function handler(req, res) {
     });
     const updatesToday = changedItems.length + newlyTracked.length;
 
-    const itemStyleNew = 'margin: 12px 0; padding: 12px; border-radius: 6px; background: white; border: 1px solid #a5b4fc;';
     const renderNewItem = (item) => {
         const note = notesMap[item.id];
-        const hasHearing = item.next_hearing_date && new Date(item.next_hearing_date) >= todayStartDate;
-        return `
-        <div style="${itemStyleNew}">
-            <div style="font-size: 14px; font-weight: 600; color: #111827; margin-bottom: 8px;">
-                ${item.link ? `<a href="${item.link}" style="color: #4f46e5; text-decoration: none;">${item.title}</a>` : item.title}
-            </div>
-            <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
-                <tr>
-                    <td style="padding: 2px 8px 2px 0; color: #6b7280; white-space: nowrap;">Bill</td>
-                    <td style="padding: 2px 0; color: #374151;">${item.bill_number || item.id}</td>
-                    <td style="padding: 2px 8px 2px 16px; color: #6b7280;">Status</td>
-                    <td style="padding: 2px 0; color: #374151;">${item.status || '—'}</td>
-                </tr>
-                <tr>
-                    <td style="padding: 2px 8px 2px 0; color: #6b7280;">Category</td>
-                    <td style="padding: 2px 0; color: #374151;">${item.category || '—'}</td>
-                    <td style="padding: 2px 8px 2px 16px; color: #6b7280;">Priority</td>
-                    <td style="padding: 2px 0; color: #374151;">${item.priority || '—'}</td>
-                </tr>
-                <tr>
-                    <td style="padding: 2px 8px 2px 0; color: #6b7280;">${item.is_manual_entry ? 'Agency' : 'Committee'}</td>
-                    <td colspan="3" style="padding: 2px 0; color: #374151;">${item.is_manual_entry ? (item.agency || '—') : (item.committees && item.committees.length > 0 ? (Array.isArray(item.committees) ? item.committees.join(', ') : item.committees) : '—')}</td>
-                </tr>
-                ${item.introduced_by ? `<tr><td style="padding: 2px 8px 2px 0; color: #6b7280;">Sponsor</td><td colspan="3" style="padding: 2px 0; color: #374151;">${item.introduced_by}</td></tr>` : ''}
-                ${hasHearing ? `<tr><td style="padding: 4px 8px 2px 0; color: #d97706; font-weight: 600;">📅 Hearing</td><td colspan="3" style="padding: 4px 0; color: #d97706; font-weight: 600;">${formatDate(item.next_hearing_date)}</td></tr>` : ''}
-                ${note ? `<tr><td style="padding: 4px 8px 2px 0; color: #6b7280; vertical-align: top;">Note</td><td colspan="3" style="padding: 4px 0; color: #374151; font-style: italic;">${note}</td></tr>` : ''}
-            </table>
-        </div>`;
+        const by = trackedBy[item.id] ? changedBy(trackedBy[item.id], 'Tracked') : '';
+        return itemCard({
+            title: item.title,
+            url: item.link,
+            tone: 'indigo',
+            rows: [
+                [{ label: 'Bill', value: billNumber(item) }, { label: 'Status', value: item.status || '—' }],
+                [{ label: 'Category', value: item.category || '—' }, { label: 'Priority', value: item.priority || '—' }],
+                committeeField(item),
+                by && { label: 'Added', value: by },
+                item.introduced_by && { label: 'Sponsor', value: item.introduced_by },
+                hearingRow(item, { label: '📅 Hearing', strong: true }),
+                note && { label: 'Note', value: note, italic: true }
+            ]
+        });
     };
 
-    const html = `<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
-<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 700px; margin: 0 auto; padding: 24px; background: #f9fafb; color: #111827;">
-    <div style="background: #1e3a5f; color: white; padding: 20px 24px; border-radius: 10px 10px 0 0;">
-        <h1 style="margin: 0; font-size: 20px; font-weight: 700;">DC Policy Tracker</h1>
-        <p style="margin: 4px 0 0; font-size: 13px; opacity: 0.85;">End-of-Day Update &middot; ${now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
-    </div>
-    <div style="background: white; padding: 16px 24px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 10px 10px; margin-bottom: 24px;">
-        <table style="width: 100%; text-align: center; border-collapse: collapse;">
-            <tr>
-                <td style="padding: 8px; border-right: 1px solid #e5e7eb;">
-                    <div style="font-size: 28px; font-weight: 700; color: #854d0e;">${updatesToday}</div>
-                    <div style="font-size: 11px; color: #6b7280; text-transform: uppercase;">Updates Since Yesterday</div>
-                </td>
-                <td style="padding: 8px; border-right: 1px solid #e5e7eb;">
-                    <div style="font-size: 28px; font-weight: 700; color: #d97706;">${withHearings.length}</div>
-                    <div style="font-size: 11px; color: #6b7280; text-transform: uppercase;">Upcoming Hearings</div>
-                </td>
-                <td style="padding: 8px; border-right: 1px solid #e5e7eb;">
-                    <div style="font-size: 28px; font-weight: 700; color: #16a34a;">${recentlyUpdated.length}</div>
-                    <div style="font-size: 11px; color: #6b7280; text-transform: uppercase;">Updates Last 7 Days</div>
-                </td>
-                <td style="padding: 8px; border-right: 1px solid #e5e7eb;">
-                    <div style="font-size: 28px; font-weight: 700; color: #dc2626;">${actionNeeded.length}</div>
-                    <div style="font-size: 11px; color: #6b7280; text-transform: uppercase;">Action Needed</div>
-                </td>
-                <td style="padding: 8px;">
-                    <div style="font-size: 28px; font-weight: 700; color: #2563eb;">${monitorAndAssess.length}</div>
-                    <div style="font-size: 11px; color: #6b7280; text-transform: uppercase;">Monitor & Assess</div>
-                </td>
-            </tr>
-        </table>
-    </div>
-
-    ${statusChanges.length > 0 ? `
-    <div style="margin-bottom: 24px; padding: 16px; background: #fef2f2; border: 1px solid #fca5a5; border-radius: 8px;">
-        <h2 style="margin: 0 0 12px; font-size: 15px; color: #991b1b;">🔔 Status Changes (${statusChanges.length})</h2>
-        ${statusChanges.map(item => renderChangedItem(item)).join('')}
-    </div>` : ''}
-
-    ${hearingChanges.length > 0 ? `
-    <div style="margin-bottom: 24px; padding: 16px; background: #fffbeb; border: 1px solid #fcd34d; border-radius: 8px;">
-        <h2 style="margin: 0 0 12px; font-size: 15px; color: #92400e;">📅 New Hearings Scheduled (${hearingChanges.length})</h2>
-        ${hearingChanges.map(item => renderChangedItem(item)).join('')}
-    </div>` : ''}
-
-    ${newlyTracked.length > 0 ? `
-    <div style="margin-bottom: 24px; padding: 16px; background: #eef2ff; border: 1px solid #a5b4fc; border-radius: 8px;">
-        <h2 style="margin: 0 0 12px; font-size: 15px; color: #3730a3;">➕ Newly Tracked Today (${newlyTracked.length})</h2>
-        ${newlyTracked.map(item => renderNewItem(item)).join('')}
-    </div>` : ''}
-
-    <div style="margin-top: 24px; padding: 12px; text-align: center; font-size: 11px; color: #9ca3af;">
-        DC Policy Tracker &middot; <a href="https://dcpca-policy-tracker.vercel.app" style="color: #9ca3af;">Open Tracker</a>
-    </div>
-</body>
-</html>`;
-
-    await sendEmail({
-        to: DAILY_REPORT_TO,
-        subject: `📋 DC Policy EOD — ${statusChanges.length} status change${statusChanges.length !== 1 ? 's' : ''}, ${hearingChanges.length} new hearing${hearingChanges.length !== 1 ? 's' : ''}, ${newlyTracked.length} newly tracked · ${now.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
-    html
-    
-    });
+    const body = html`
+        ${emailHeader({
+            title: 'DC Policy Tracker',
+            subtitle: `End-of-Day Update · ${now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}`,
+            note: filter && `Filtered: ${describeFilter(filter)}`,
+            tone: 'navy',
+            stats: [
+                { label: 'Updates Today', value: updatesToday, tone: 'yellow' },
+                { label: 'Upcoming Hearings', value: withHearings.length, tone: 'amber' },
+                { label: 'Updates Last 7 Days', value: recentlyUpdated.length, tone: 'green' },
+                { label: 'Action Needed', value: actionNeeded.length, tone: 'red' },
+                { label: 'Monitor & Assess', value: monitorAndAssess.length, tone: 'blue' }
+            ]
+        })}
+        ${statusChanges.length > 0 && section({ title: `🔔 Status Changes & Council Actions (${statusChanges.length})`, tone: 'red', body: statusChanges.map(renderChangedItem) })}
+        ${hearingChanges.length > 0 && section({ title: `📅 Hearings Scheduled or Changed (${hearingChanges.length})`, tone: 'amber', body: hearingChanges.map(renderChangedItem) })}
+        ${newlyTracked.length > 0 && section({ title: `➕ Newly Tracked Today (${newlyTracked.length})`, tone: 'indigo', body: newlyTracked.map(renderNewItem) })}
+        ${emailFooter()}`;
+
+    return {
+        subject: `📋 DC Policy EOD — ${statusChanges.length} status change${statusChanges.length !== 1 ? 's' : ''}, ${hearingChanges.length} hearing update${hearingChanges.length !== 1 ? 's' : ''}, ${newlyTracked.length} newly tracked · ${now.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
+        html: emailDocument(body),
+        statusChanges: statusChanges.length,
+        hearingChanges: hearingChanges.length
+    };
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+async function handler(req, res) {
+    const dryRun = isDryRun(req);
+    if (!(await authorizeCron(req, res, { dryRun }))) return;
+    try {
+
+    // Emails that failed on an earlier run go out first (a dry run sends nothing)
+    const outbox = dryRun ? null : await retryOutbox();
+
+    const now = new Date();
+    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
+
+    const todaysHistory = await getStatusHistory({ since: todayStart });
 
-    console.log(`[send-eod-report] Sent — ${statusChanges.length} status changes, ${hearingChanges.length} new hearings`);
-    return res.status(200).json({ sent: true, statusChanges: statusChanges.length, hearingChanges: hearingChanges.length });
+    const newlyTracked = await getTrackedItems({ filter: `tracked_at=gte.${encodeURIComponent(todayStart)}` });
+
+    if (todaysHistory.length === 0 && newlyTracked.length === 0) {
+        console.log('[send-eod-report] No updates today — skipping email');
+        return res.status(200).json({ sent: false, reason: 'no_updates' });
+    }
+
+    // Who tracked each new item comes from the activity log
+    const trackedToday = await getActivity({ action: 'item_tracked', since: todayStart, select: 'item_id,actor_name,is_system' });
+    const trackedBy = {};
+    trackedToday.forEach(a => { if (a.item_id && !trackedBy[a.item_id]) trackedBy[a.item_id] = a; });
+
+    const allItems = await getTrackedItems();
+    const notesMap = await getNotesMap();
+
+    const subscriptions = await loadSubscriptions();
+    const recipients = recipientsFor(subscriptions, 'eod_report', DAILY_REPORT_TO);
+    if (recipients.length === 0) {
+        if (subscriptions.fromEnv) return res.status(500).json({ error: 'No notification subscriptions and DAILY_REPORT_TO is not set' });
+        console.log('[send-eod-report] Nobody is subscribed — skipping email');
+        return res.status(200).json({ sent: false, reason: 'no_subscribers' });
+    }
+
+    // One email per distinct filter; groups whose filter matches nothing today are skipped
+    const mailer = createMailer({ source: 'send-eod-report', dryRun });
+    const sent = [];
+    for (const { to, filter } of groupRecipients(recipients)) {
+        const report = buildEodReport({ allItems, todaysHistory, newlyTracked, trackedBy, notesMap, now, filter });
+        if (!report) continue;
+        const { status } = await mailer.send({ to, subject: report.subject, html: report.html });
+        sent.push({ to, status, filter: describeFilter(filter) || null, statusChanges: report.statusChanges, hearingChanges: report.hearingChanges });
+    }
+
+    if (sent.length === 0) {
+        console.log('[send-eod-report] No updates match any subscriber filter — skipping email');
+        return res.status(200).json({ sent: false, reason: 'no_matching_updates' });
+    }
+    console.log(`[send-eod-report] ${dryRun ? 'Dry run — would send' : 'Sent'} ${sent.length} email${sent.length !== 1 ? 's' : ''} — ${sent.map(s => `${s.to.join(', ')}: ${s.statusChanges} status changes, ${s.hearingChanges} hearing updates`).join('; ')}`);
+    return res.status(200).json({ sent: !dryRun, emails: sent, outbox, ...(dryRun ? { dryRun, previews: mailer.previews } : {}) });
 
     } catch (err) {
         console.error('[send-eod-report] Fatal error:', err);
         return res.status(500).json({ error: err.message, stack: err.stack });
     }
 }
+
+export default recordCronRun('send-eod-report', handler);
@@ -0,0 +1,278 @@
+/**
+ * /api/send-reminders.js
+ *
+ * Reminder emails ahead of each tracked hearing or markup and each manual
+ * entry's deadline. check-hearings alerts once, when a hearing first appears;
+ * this job reminds again as the date approaches. Runs daily at 8:40am ET
+ * (13:40 UTC), after the morning LIMS check.
+ *
+ * REMINDER_DAYS lists how many days ahead to remind (default "7,1", so a week
+ * before and the day before; 0 means the day itself). Each event gets one
+ * reminder per threshold, logged in reminder_log. Days are counted in ET,
+ * and a hearing LIMS lists with no time of day is shown as just its date.
+ *
+ *   - A reminder missed by an earlier run goes out late rather than not at all
+ *     (a 7-day reminder on day 5), but only the nearest threshold is sent.
+ *   - A hearing first seen inside a threshold's window gets no reminder for
+ *     it — the new-hearing alert was that reminder.
+ *   - Events are keyed by their date, so a rescheduled hearing or a changed
+ *     deadline is reminded about again.
+ *
+ * Hearings come from bill_hearings ('scheduled' rows, with the witness
+ * sign-up / testimony details check-hearings found on LIMS), falling back to
+ * tracked_items.next_hearing_date for bills not reconciled yet, like the
+ * calendar feed. Deadlines are tracked_items.deadline of manual entries.
+ *
+ * Recipients: hearing_reminders subscribers (DAILY_REPORT_TO while no
+ * subscriptions exist), narrowed by their filter; plus each assignee, as in
+ * check-hearings, less the reminders their own subscription (or the env list)
+ * already sends them.
+ * ?dryRun=1 renders the emails and returns them as `previews` without
+ * sending or logging anything.
+ *
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, CRON_SECRET,
+ * DAILY_REPORT_TO (fallback recipients), mail transport settings (_mailer.js)
+ * Optional: REMINDER_DAYS
+ */
+
+import { createMailer, retryOutbox } from './_mailer.js';
+import { authorizeCron, isDryRun } from './_auth.js';
+import { recordCronRun } from './_health.js';
+import { getTrackedItems, getHearingsSince, getSentReminderKeys, logReminders, getTeamMemberEmails } from './_db.js';
+import { loadSubscriptions, recipientsFor, groupRecipients, matchesFilter, describeFilter, receivesItem } from './_subscriptions.js';
+import {
+    html, emailDocument, emailHeader, emailFooter, section, itemCard, link, billNumber, TRACKER_URL
+} from './_templates.js';
+import { TIME_ZONE, etDay, hasTime } from './_time.js';
+
+const REMINDER_TO = process.env.DAILY_REPORT_TO;
+const DEFAULT_REMINDER_DAYS = [1, 7];
+const MAX_REMINDER_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** REMINDER_DAYS as ascending whole days, e.g. "7,1" → [1, 7] */
+function parseReminderDays(value) {
+    if (!value || !value.trim()) return DEFAULT_REMINDER_DAYS;
+    const days = value.split(',').map(v => v.trim()).filter(Boolean).map(Number);
+    const valid = days.filter(d => Number.isInteger(d) && d >= 0 && d <= MAX_REMINDER_DAYS);
+    if (valid.length < days.length) console.warn(`[reminders] Ignoring REMINDER_DAYS values that aren't whole days from 0 to ${MAX_REMINDER_DAYS}: "${value}"`);
+    return valid.length > 0 ? [...new Set(valid)].sort((a, b) => a - b) : DEFAULT_REMINDER_DAYS;
+}
+
+const REMINDER_DAYS = parseReminderDays(process.env.REMINDER_DAYS);
+
+// ─── Dates ────────────────────────────────────────────────────────────────────
+
+const daysBetween = (fromDay, toDay) => Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+
+function formatDateTime(iso) {
+    return new Date(iso).toLocaleString('en-US', { timeZone: TIME_ZONE, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' }) + ' ET';
+}
+
+// Deadlines are dates without a time; noon UTC keeps them on the same day in ET
+const formatDay = (day) => new Date(`${day}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: TIME_ZONE, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+/** When a hearing event starts, e.g. "Wed, Nov 4, 2026, 10:00 AM ET", or just the date when LIMS gave no time */
+export const formatHearingTime = (event) => (hasTime(event.date) ? formatDateTime(event.date) : formatDay(event.day));
+
+export const whenLabel = (daysUntil) => (daysUntil === 0 ? 'Today' : daysUntil === 1 ? 'Tomorrow' : `In ${daysUntil} days`);
+
+// ─── Events ───────────────────────────────────────────────────────────────────
+
+/**
+ * Every upcoming hearing and deadline of the tracked items:
+ * [{ key, kind: 'hearing' | 'deadline', item, day, … }]
+ */
+export function upcomingEvents(items, hearingRows, today) {
+    const itemsById = new Map(items.map(item => [item.id, item]));
+    const withHearingRows = new Set(hearingRows.map(h => h.item_id));
+    const events = [];
+
+    for (const h of hearingRows) {
+        const item = itemsById.get(h.item_id);
+        if (!item || h.status !== 'scheduled') continue;
+        const day = etDay(h.hearing_date);
+        events.push({
+            key: `hearing:${h.id}:${day}`, kind: 'hearing', item, day, date: h.hearing_date,
+            type: h.hearing_type || 'Hearing', committee: h.committee, location: h.location,
+            testimonyUrl: h.testimony_url, testimonyNotes: h.testimony_notes, firstSeenAt: h.first_seen_at
+        });
+    }
+
+    for (const item of items) {
+        if (item.is_manual_entry || !item.next_hearing_date || withHearingRows.has(item.id)) continue;
+        const day = etDay(item.next_hearing_date);
+        events.push({
+            key: `next-hearing:${item.id}:${day}`, kind: 'hearing', item, day, date: item.next_hearing_date,
+            type: item.hearing_type || 'Hearing', location: item.hearing_location, firstSeenAt: null
+        });
+    }
+
+    for (const item of items) {
+        if (!item.is_manual_entry || !item.deadline) continue;
+        const day = String(item.deadline).slice(0, 10);
+        events.push({ key: `deadline:${item.id}:${day}`, kind: 'deadline', item, day, firstSeenAt: item.tracked_at });
+    }
+
+    return events.filter(e => e.day >= today);
+}
+
+/** The events with a reminder due today: { ...event, days, daysUntil } */
+export function dueReminders(events, sentKeys, today) {
+    const due = [];
+    for (const event of events) {
+        const daysUntil = daysBetween(today, event.day);
+        const days = REMINDER_DAYS.find(d => d >= daysUntil);
+        if (days === undefined || sentKeys.has(`${event.key}::${days}`)) continue;
+        if (event.firstSeenAt && daysBetween(etDay(event.firstSeenAt), event.day) <= days) continue;
+        due.push({ ...event, days, daysUntil });
+    }
+    return due.sort((a, b) => a.day.localeCompare(b.day) || String(a.date || '').localeCompare(String(b.date || '')));
+}
+
+// ─── Email ────────────────────────────────────────────────────────────────────
+
+const plural = (n, word) => `${n} ${word}${n !== 1 ? 's' : ''}`;
+
+function hearingCard(r) {
+    const { item } = r;
+    return itemCard({
+        title: item.title,
+        url: item.link,
+        tone: 'amber',
+        rows: [
+            [{ label: 'Bill', value: billNumber(item) }, { label: 'When', value: whenLabel(r.daysUntil), tone: 'amber', strong: true }],
+            { label: '📅 Hearing', value: `${formatHearingTime(r)} — ${r.type}${r.location ? ` · ${r.location}` : ''}`, tone: 'amber', strong: true },
+            r.committee && { label: 'Committee', value: r.committee },
+            r.testimonyUrl && { label: '🎤 Testify', value: link(r.testimonyUrl, 'Witness sign-up →'), tone: 'indigo', strong: true },
+            r.testimonyNotes && { label: r.testimonyUrl ? '' : '🎤 Testify', value: r.testimonyNotes, tone: 'indigo' },
+            [{ label: 'Priority', value: item.priority || 'medium' }, { label: 'Assigned', value: item.assigned_to || 'Unassigned' }]
+        ]
+    });
+}
+
+function deadlineCard(r) {
+    const { item } = r;
+    return itemCard({
+        title: item.title,
+        url: item.link,
+        tone: 'red',
+        rows: [
+            [{ label: 'Agency', value: item.agency || '—' }, { label: 'When', value: whenLabel(r.daysUntil), tone: 'red', strong: true }],
+            { label: '⏳ Deadline', value: formatDay(r.day), tone: 'red', strong: true },
+            [{ label: 'Priority', value: item.priority || 'medium' }, { label: 'Assigned', value: item.assigned_to || 'Unassigned' }]
+        ]
+    });
+}
+
+function buildReminderEmail(reminders, now, { filter = null, assignee = null } = {}) {
+    const hearings = reminders.filter(r => r.kind === 'hearing');
+    const deadlines = reminders.filter(r => r.kind === 'deadline');
+    const counts = [hearings.length > 0 && plural(hearings.length, 'hearing'), deadlines.length > 0 && plural(deadlines.length, 'deadline')].filter(Boolean).join(' and ');
+    const body = html`
+        ${emailHeader({
+            title: '⏰ DC Policy Tracker — Upcoming Hearings & Deadlines',
+            subtitle: now.toLocaleDateString('en-US', { timeZone: TIME_ZONE, weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }),
+            note: filter && `Filtered: ${describeFilter(filter)}`,
+            tone: 'amber',
+            summary: `${counts} on ${assignee ? `items assigned to ${assignee}` : 'tracked items'} coming up.`
+        })}
+        ${hearings.length > 0 ? section({ title: `📅 Hearings & Markups (${hearings.length})`, tone: 'amber', body: hearings.map(hearingCard) }) : ''}
+        ${deadlines.length > 0 ? section({ title: `⏳ Deadlines (${deadlines.length})`, tone: 'red', body: deadlines.map(deadlineCard) }) : ''}
+        ${emailFooter(link(TRACKER_URL, 'Open the Tracker →', 'color: #b45309; font-weight: 600;'))}`;
+    const soonest = whenLabel(reminders[0].daysUntil).toLowerCase();
+    return {
+        subject: `⏰ DC Policy Tracker — ${counts} coming up${assignee ? ' on Your Items' : ''} (first ${soonest})`,
+        html: emailDocument(body, { width: 680 })
+    };
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+async function handler(req, res) {
+    const dryRun = isDryRun(req);
+    if (!(await authorizeCron(req, res, { dryRun }))) return;
+
+    try {
+    const outbox = dryRun ? null : await retryOutbox();
+    const now = new Date();
+    const today = etDay(now);
+
+    const items = await getTrackedItems();
+    const hearingRows = await getHearingsSince(Date.parse(`${today}T00:00:00Z`) - DAY_MS);
+    const events = upcomingEvents(items, hearingRows, today);
+    const sentKeys = await getSentReminderKeys(events.map(e => e.key));
+    const reminders = dueReminders(events, sentKeys, today);
+
+    if (reminders.length === 0) {
+        console.log(`[reminders] Nothing due (${events.length} upcoming events, reminding ${REMINDER_DAYS.join('/')} days ahead)`);
+        return res.status(200).json({ sent: false, reason: 'nothing_due', reminders: 0, outbox });
+    }
+
+    const mailer = createMailer({ source: 'send-reminders', dryRun });
+    const subscriptions = await loadSubscriptions();
+    const emails = [];
+    const errors = [];
+
+    for (const { to, filter } of groupRecipients(recipientsFor(subscriptions, 'hearing_reminders', REMINDER_TO))) {
+        const mine = reminders.filter(r => matchesFilter(filter, r.item));
+        if (mine.length === 0) continue;
+        try {
+            const { subject, html: body } = buildReminderEmail(mine, now, { filter });
+            const { status } = await mailer.send({ to, subject, html: body });
+            emails.push({ to, status, reminders: mine.length, filter: describeFilter(filter) || null });
+        } catch (err) {
+            console.error(`[reminders] Email to ${to.join(', ')} failed:`, err.message);
+            errors.push({ to, error: err.message });
+        }
+    }
+
+    // Each assignee with an email also gets their own items, less the ones a
+    // subscription of theirs (or the env-var list) already reminded them of
+    const byAssignee = {};
+    for (const r of reminders) {
+        const name = r.item.assigned_to;
+        if (name && name !== 'Unassigned') (byAssignee[name] ||= []).push(r);
+    }
+    const assigneeReminders = [];
+    if (Object.keys(byAssignee).length > 0) {
+        const memberEmails = await getTeamMemberEmails();
+        for (const [name, assigned] of Object.entries(byAssignee)) {
+            const to = memberEmails[name];
+            if (!to) continue;
+            const mine = assigned.filter(r => !receivesItem(subscriptions, 'hearing_reminders', REMINDER_TO, to, r.item));
+            if (mine.length === 0) continue;
+            try {
+                const { subject, html: body } = buildReminderEmail(mine, now, { assignee: name });
+                const { status } = await mailer.send({ to, subject, html: body });
+                assigneeReminders.push({ assignee: name, status, reminders: mine.length });
+            } catch (err) {
+                console.error(`[reminders] Email to ${name} failed:`, err.message);
+                errors.push({ assignee: name, error: err.message });
+            }
+        }
+    }
+
+    // Logged whether or not anyone's filter matched, so nothing is re-sent tomorrow
+    if (!dryRun) {
+        await logReminders(reminders.map(r => ({ event_key: r.key, days: r.days, item_id: r.item.id, sent_at: now.toISOString() })));
+    }
+
+    console.log(`[reminders] ${dryRun ? 'Dry run — would send' : 'Sent'} ${plural(reminders.length, 'reminder')} in ${plural(emails.length + assigneeReminders.length, 'email')}`);
+    return res.status(200).json({
+        sent: !dryRun,
+        reminders: reminders.map(r => ({ key: r.key, item: r.item.id, kind: r.kind, days: r.days, daysUntil: r.daysUntil })),
+        emails,
+        assigneeReminders,
+        errors,
+        outbox,
+        ...(dryRun ? { dryRun, previews: mailer.previews } : {})
+    });
+
+    } catch (err) {
+        console.error('[reminders] Fatal error:', err);
+        return res.status(500).json({ error: err.message, stack: err.stack });
+    }
+}
+
+export default recordCronRun('send-reminders', handler);
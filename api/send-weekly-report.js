@@ -4,32 +4,32 @@
  * Sends a clean weekly summary to a broader group.
  * Runs every Monday at 9am ET.
  * Less internal detail than the daily — no notes, no per-item priority.
+ * Recipients come from notification_subscriptions (weekly_report); each
+ * subscriber's filter narrows the bills in their copy.
+ *
+ * Supports ?dryRun=1 like the daily report: nothing is sent, the rendered
+ * emails come back as `previews`.
  *
  * Env vars required:
  *   SUPABASE_URL
  *   SUPABASE_SERVICE_KEY
- *   WEEKLY_REPORT_TO   — comma-separated list: "alice@org.com,bob@org.com"
+ *   WEEKLY_REPORT_TO   — fallback recipients while notification_subscriptions is empty,
+ *                        comma-separated: "alice@org.com,bob@org.com"
  *   CRON_SECRET
+ *   Mail transport settings — see _mailer.js (MAIL_TRANSPORT, MAIL_SENDER, …)
  */
 
-import { sendEmail } from './_mailer.js';
+import { createMailer, retryOutbox } from './_mailer.js';
+import { authorizeCron, isDryRun } from './_auth.js';
+import { recordCronRun } from './_health.js';
+import { getTrackedItems, getStatusHistory } from './_db.js';
+import { loadSubscriptions, recipientsFor, groupRecipients, matchesFilter, describeFilter } from './_subscriptions.js';
+import {
+    html, emailDocument, emailHeader, emailFooter, section, changeTable, dataTable,
+    link, billNumber, committeeField, lines, truncate, TRACKER_URL
+} from './_templates.js';
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
 const WEEKLY_REPORT_TO = process.env.WEEKLY_REPORT_TO;
-const CRON_SECRET = process.env.CRON_SECRET;
-
-async function supabaseGet(path) {
-    const res = await fetch(`${SUPABASE_URL}/rest/v1${path}`, {
-        headers: {
-            'apikey': SUPABASE_SERVICE_KEY,
-            'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`,
-            'Content-Type': 'application/json'
-        }
-    });
-    if (!res.ok) throw new Error(`Supabase error: ${res.status}`);
-    return res.json();
-}
 
 function formatDate(iso) {
     if (!iso) return '';
@@ -43,15 +43,15 @@ function formatChangeLabel(h) {
     return '(updated)';
 }
 
-export default async function handler(req, res) {
-    const isVercelCron = req.headers['x-vercel-cron'] === '1';
-    const isManual = CRON_SECRET && req.headers['authorization'] === `Bearer ${CRON_SECRET}`;
-    if (!isVercelCron && !isManual) return res.status(401).json({ error: 'Unauthorized' });
-    if (!WEEKLY_REPORT_TO) return res.status(500).json({ error: 'Missing WEEKLY_REPORT_TO' });
+// ─── Report ───────────────────────────────────────────────────────────────────
+
+/** Renders the report for one subscriber filter; `items` are already filtered */
+function buildWeeklyReport({ items, statusHistory, now, filter }) {
+    if (filter) {
+        const itemIds = new Set(items.map(i => i.id));
+        statusHistory = statusHistory.filter(h => itemIds.has(h.item_id));
+    }
 
-    const items = await supabaseGet('/tracked_items?select=*&order=tracked_at.desc');
-    const statusHistory = await supabaseGet('/bill_status_history?select=*&order=changed_at.desc');
-    const now = new Date();
     const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const thirtyDaysAgo = new Date(now); thirtyDaysAgo.setDate(now.getDate() - 30);
 
@@ -64,38 +64,13 @@ export default async function handler(req, res) {
     const weeklyNewlyTrackedIds = new Set(weeklyNewlyTracked.map(i => i.id));
     const changesSinceLastRun = weeklyRecentChanges.filter(h => !weeklyNewlyTrackedIds.has(h.item_id)).length + weeklyNewlyTracked.length;
 
-    const weeklyHighlightBlock = changesSinceLastRun > 0 ? (() => {
-        const recentItemIds = [...new Set(weeklyRecentChanges.map(h => h.item_id))].filter(id => !weeklyNewlyTrackedIds.has(id));
-        const changedItems = recentItemIds.map(id => items.find(i => i.id === id)).filter(Boolean);
-        const rows = [
-            ...weeklyNewlyTracked.map(item => {
-                const billLink = item.link
-                    ? `<a href="${item.link}" style="color:#4f46e5;text-decoration:none;">${item.bill_number || item.id}</a>`
-                    : (item.bill_number || item.id);
-                return `<tr style="border-bottom:1px solid #fde047;">
-                    <td style="padding:6px 8px 6px 0;color:#4f46e5;font-weight:500;white-space:nowrap;">${billLink}</td>
-                    <td style="padding:6px 8px;color:#374151;font-size:11px;">${item.title}</td>
-                    <td style="padding:6px 0;color:#16a34a;font-size:11px;white-space:nowrap;">➕ Newly tracked</td>
-                </tr>`;
-            }),
-            ...changedItems.map(item => {
-                const changes = weeklyRecentChanges.filter(h => h.item_id === item.id);
-                const billLink = item.link
-                    ? `<a href="${item.link}" style="color:#4f46e5;text-decoration:none;">${item.bill_number || item.id}</a>`
-                    : (item.bill_number || item.id);
-                const changeLabels = changes.map(h => formatChangeLabel(h)).join('<br>');
-                return `<tr style="border-bottom:1px solid #fde047;">
-                    <td style="padding:6px 8px 6px 0;color:#4f46e5;font-weight:500;white-space:nowrap;">${billLink}</td>
-                    <td style="padding:6px 8px;color:#374151;font-size:11px;">${item.title}</td>
-                    <td style="padding:6px 0;color:#854d0e;font-size:11px;white-space:nowrap;">${changeLabels}</td>
-                </tr>`;
-            })
-        ].join('');
-        return `<div style="margin-bottom:24px;padding:16px;background:#fefce8;border:1px solid #fde047;border-radius:8px;">
-            <h2 style="margin:0 0 12px;font-size:14px;font-weight:700;color:#854d0e;">⚡ ${changesSinceLastRun} update${changesSinceLastRun !== 1 ? 's' : ''} this week</h2>
-            <table style="width:100%;font-size:12px;border-collapse:collapse;">${rows}</table>
-        </div>`;
-    })() : '';
+    const recentItemIds = [...new Set(weeklyRecentChanges.map(h => h.item_id))].filter(id => !weeklyNewlyTrackedIds.has(id));
+    const highlightRows = [
+        ...weeklyNewlyTracked.map(item => ({ item, change: '➕ Newly tracked', tone: 'green' })),
+        ...recentItemIds.map(id => items.find(i => i.id === id)).filter(Boolean)
+            .map(item => ({ item, change: lines(weeklyRecentChanges.filter(h => h.item_id === item.id).map(formatChangeLabel)) }))
+    ];
+
     const actionNeeded = items.filter(i => i.action_status === 'action_needed');
     const monitorAndAssess = items.filter(i => i.action_status === 'monitor_and_assess');
     const withHearings = items
@@ -125,147 +100,125 @@ export default async function handler(req, res) {
     weekEnd.setDate(weekStart.getDate() + 6);
     const weekLabel = `${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${weekEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
 
-    const rowStyle = 'padding: 10px 12px; border-bottom: 1px solid #f3f4f6; font-size: 13px;';
-    const thStyle = 'padding: 8px 12px; background: #f9fafb; font-size: 11px; font-weight: 600; color: #6b7280; text-transform: uppercase; letter-spacing: 0.05em; text-align: left;';
-
-    const renderTable = (sectionItems, showHearing = true) => {
-        if (sectionItems.length === 0) return '<p style="font-size: 13px; color: #6b7280; padding: 8px 0;">None this week.</p>';
-        return `
-        <table style="width: 100%; border-collapse: collapse; border: 1px solid #e5e7eb; border-radius: 8px; overflow: hidden;">
-            <thead>
-                <tr>
-                    <th style="${thStyle}">Bill / Title</th>
-                    <th style="${thStyle}">Status</th>
-                    <th style="${thStyle}">Last Activity</th>
-                    <th style="${thStyle}">Committee / Agency</th>
-                    ${showHearing ? `<th style="${thStyle}">Hearing</th>` : ''}
-                </tr>
-            </thead>
-            <tbody>
-                ${sectionItems.map((item, idx) => {
-                    const hearing = item.next_hearing_date && new Date(item.next_hearing_date) >= todayStart;
-                    const activityStr = item.latest_activity_date && item.latest_activity_label
-                        ? `${item.latest_activity_label}<br><span style="color:#9ca3af">${formatDate(item.latest_activity_date)}</span>`
-                        : item.latest_activity_date ? formatDate(item.latest_activity_date) : '—';
-                    return `
-                    <tr style="background: ${idx % 2 === 0 ? 'white' : '#fafafa'}">
-                        <td style="${rowStyle}">
-                            ${item.link ? `<a href="${item.link}" style="color: #4f46e5; font-weight: 500; text-decoration: none;">${item.bill_number || item.id}</a>` : (item.bill_number || item.id)}
-                            <div style="font-size: 12px; color: #374151; margin-top: 2px;">${item.title}</div>
-                        </td>
-                        <td style="${rowStyle} color: #374151;">${item.status || '—'}</td>
-                        <td style="${rowStyle} color: #374151; font-size: 12px;">${activityStr}</td>
-                        <td style="${rowStyle} color: #374151;">${item.is_manual_entry ? (item.agency || '—') : (item.committees && item.committees.length > 0 ? (Array.isArray(item.committees) ? item.committees.join(', ') : item.committees) : '—')}</td>
-                        ${showHearing ? `<td style="${rowStyle} ${hearing ? 'color: #d97706; font-weight: 600;' : 'color: #9ca3af;'}">${hearing ? `📅 ${formatDate(item.next_hearing_date)}` : '—'}</td>` : ''}
-                    </tr>`;
-                }).join('')}
-            </tbody>
-        </table>`;
-    };
-
-    const html = `
-    <!DOCTYPE html>
-    <html>
-    <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
-    <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 750px; margin: 0 auto; padding: 24px; background: #f9fafb; color: #111827;">
-
-        <div style="background: #1e3a5f; color: white; padding: 20px 24px; border-radius: 10px; margin-bottom: 24px;">
-            <h1 style="margin: 0; font-size: 20px; font-weight: 700;">DC Policy Weekly Update</h1>
-            <p style="margin: 4px 0 0; font-size: 13px; opacity: 0.8;">Week of ${weekLabel}</p>
-        </div>
-
-        <div style="display: flex; gap: 12px; margin-bottom: 24px;">
-            ${[
-                ['Updates This Week', changesSinceLastRun, '#854d0e', '#fffbeb'],
-                ['Upcoming Hearings', withHearings.length, '#d97706', '#fffbeb'],
-                ['Updates Last 30 Days', recentlyUpdated.length, '#16a34a', '#f0fdf4'],
-                ['Action Needed', actionNeeded.length, '#dc2626', '#fef2f2'],
-                ['Monitor & Assess', monitorAndAssess.length, '#2563eb', '#eff6ff'],
-            ].map(([label, count, color, bg]) => `
-            <div style="flex: 1; padding: 16px; background: ${bg}; border-radius: 8px; text-align: center;">
-                <div style="font-size: 28px; font-weight: 700; color: ${color};">${count}</div>
-                <div style="font-size: 11px; color: #6b7280; margin-top: 2px;">${label}</div>
-            </div>`).join('')}
-        </div>
-
-        ${weeklyHighlightBlock}
+    const billCell = (item, extra = '') => html`
+        ${link(item.link, billNumber(item), 'color: #4f46e5; font-weight: 500; text-decoration: none;')}
+        <div style="font-size: 12px; color: #374151; margin-top: 2px;">${item.title}</div>${extra}`;
+
+    const renderTable = (sectionItems, showHearing = true) => dataTable({
+        columns: ['Bill / Title', 'Status', 'Last Activity', 'Committee / Agency', showHearing && 'Hearing'].filter(Boolean),
+        rows: sectionItems.map(item => {
+            const hearing = item.next_hearing_date && new Date(item.next_hearing_date) >= todayStart;
+            const activity = item.latest_activity_date && item.latest_activity_label
+                ? html`${item.latest_activity_label}<br><span style="color: #9ca3af;">${formatDate(item.latest_activity_date)}</span>`
+                : item.latest_activity_date ? formatDate(item.latest_activity_date) : '—';
+            return [
+                billCell(item),
+                item.status || '—',
+                { value: activity, style: 'font-size: 12px;' },
+                committeeField(item).value,
+                showHearing && (hearing
+                    ? { value: `📅 ${formatDate(item.next_hearing_date)}`, style: 'color: #d97706; font-weight: 600;' }
+                    : { value: '—', style: 'color: #9ca3af;' })
+            ].filter(cell => cell !== false);
+        })
+    });
 
-        ${withHearings.length > 0 ? `
-        <div style="margin-bottom: 24px;">
-            <h2 style="font-size: 15px; font-weight: 700; color: #92400e; margin: 0 0 12px; padding-bottom: 8px; border-bottom: 2px solid #fcd34d;">📅 Upcoming Hearings</h2>
-            ${renderTable(withHearings, true)}
-        </div>` : ''}
+    const recentTable = dataTable({
+        columns: ['Bill / Title', 'Status', 'Committee / Agency', 'Status Since', 'Latest Activity'],
+        stripe: '#f0fdf4',
+        rows: recentlyUpdated.map(item => {
+            const recentChanges = (historyMap[item.id] || []).filter(h => new Date(h.changed_at) >= thirtyDaysAgo);
+            const allHistory = (historyMap[item.id] || []).slice().sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+            const statusSinceEntry = allHistory.find(h => h.new_status === item.status);
+            const statusSince = statusSinceEntry
+                ? new Date(statusSinceEntry.changed_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+                : item.tracked_at
+                    ? new Date(item.tracked_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) + '*'
+                    : '—';
+            const summary = item.manual_summary
+                ? html`<div style="font-size: 11px; color: #6b7280; margin-top: 4px; font-style: italic;">${truncate(item.manual_summary, 200)}</div>`
+                : '';
+            return [
+                billCell(item, summary),
+                item.status || '—',
+                { value: committeeField(item).value, style: 'font-size: 12px;' },
+                { value: statusSince, style: 'font-size: 12px;' },
+                { value: html`
+                    ${item.latest_activity_label ? html`<span style="color: #166534; font-weight: 600;">${item.latest_activity_label}</span><br>` : ''}
+                    ${item.latest_activity_date ? html`<span style="color: #9ca3af;">${formatDate(item.latest_activity_date)}</span>` : '—'}
+                    ${recentChanges.length > 0 ? html`<br><span style="color: #6b7280; font-size: 11px;">${recentChanges.map(formatChangeLabel).join('; ')}</span>` : ''}`,
+                  style: 'font-size: 12px;' }
+            ];
+        })
+    });
 
-        ${recentlyUpdated.length > 0 ? `
-        <div style="margin-bottom: 24px;">
-            <h2 style="font-size: 15px; font-weight: 700; color: #166534; margin: 0 0 12px; padding-bottom: 8px; border-bottom: 2px solid #86efac;">🆕 Recent Updates — Last 30 Days (${recentlyUpdated.length})</h2>
-            <table style="width: 100%; border-collapse: collapse; border: 1px solid #e5e7eb; border-radius: 8px; overflow: hidden;">
-                <thead>
-                    <tr>
-                        <th style="${thStyle}">Bill / Title</th>
-                        <th style="${thStyle}">Status</th>
-                        <th style="${thStyle}">Committee / Agency</th>
-                        <th style="${thStyle}">Status Since</th>
-                        <th style="${thStyle}">Latest Activity</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${recentlyUpdated.map((item, idx) => {
-                        const recentChanges = (historyMap[item.id] || []).filter(h => new Date(h.changed_at) >= thirtyDaysAgo);
-                const allHistory = (historyMap[item.id] || []).slice().sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
-                const statusSinceEntry = allHistory.find(h => h.new_status === item.status);
-                const statusSince = statusSinceEntry
-                    ? new Date(statusSinceEntry.changed_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
-                    : item.tracked_at
-                        ? new Date(item.tracked_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) + '*'
-                        : '—';
-                        return `
-                        <tr style="background: ${idx % 2 === 0 ? 'white' : '#f0fdf4'}">
-                            <td style="${rowStyle}">
-                                ${item.link ? `<a href="${item.link}" style="color: #4f46e5; font-weight: 500; text-decoration: none;">${item.bill_number || item.id}</a>` : (item.bill_number || item.id)}
-                                <div style="font-size: 12px; color: #374151; margin-top: 2px;">${item.title}</div>
-                                ${item.manual_summary ? `<div style="font-size: 11px; color: #6b7280; margin-top: 4px; font-style: italic;">${item.manual_summary.substring(0, 200)}${item.manual_summary.length > 200 ? '…' : ''}</div>` : ''}
-                            </td>
-                            <td style="${rowStyle} color: #374151;">${item.status || '—'}</td>
-                            <td style="${rowStyle} color: #374151; font-size: 12px;">${item.is_manual_entry ? (item.agency || '—') : (item.committees && item.committees.length > 0 ? (Array.isArray(item.committees) ? item.committees.join(', ') : item.committees) : '—')}</td>
-                            <td style="${rowStyle} color: #374151; font-size: 12px;">${statusSince}</td>
-                            <td style="${rowStyle} color: #374151; font-size: 12px;">
-                                ${item.latest_activity_label ? `<span style="color:#166534;font-weight:600;">${item.latest_activity_label}</span><br>` : ''}
-                                ${item.latest_activity_date ? `<span style="color:#9ca3af">${formatDate(item.latest_activity_date)}</span>` : '—'}
-                                ${recentChanges.length > 0 ? `<br><span style="color:#6b7280;font-size:11px;">${recentChanges.map(h => formatChangeLabel(h)).join('; ')}</span>` : ''}
-                            </td>
-                        </tr>`;
-                    }).join('')}
-                </tbody>
-            </table>
-        </div>` : ''}
+    const body = html`
+        ${emailHeader({
+            title: 'DC Policy Weekly Update',
+            subtitle: `Week of ${weekLabel}`,
+            note: filter && `Filtered: ${describeFilter(filter)}`,
+            tone: 'navy',
+            stats: [
+                { label: 'Updates This Week', value: changesSinceLastRun, tone: 'yellow' },
+                { label: 'Upcoming Hearings', value: withHearings.length, tone: 'amber' },
+                { label: 'Updates Last 30 Days', value: recentlyUpdated.length, tone: 'green' },
+                { label: 'Action Needed', value: actionNeeded.length, tone: 'red' },
+                { label: 'Monitor & Assess', value: monitorAndAssess.length, tone: 'blue' }
+            ]
+        })}
+        ${changesSinceLastRun > 0 && section({
+            title: `⚡ ${changesSinceLastRun} update${changesSinceLastRun !== 1 ? 's' : ''} this week`,
+            tone: 'yellow',
+            body: changeTable(highlightRows)
+        })}
+        ${withHearings.length > 0 && section({ title: '📅 Upcoming Hearings', tone: 'amber', body: renderTable(withHearings, true) })}
+        ${recentlyUpdated.length > 0 && section({ title: `🆕 Recent Updates — Last 30 Days (${recentlyUpdated.length})`, tone: 'green', body: recentTable })}
+        ${actionNeeded.length > 0 && section({ title: 'Action Needed', tone: 'red', body: renderTable(actionNeeded) })}
+        ${monitorAndAssess.length > 0 && section({ title: 'Monitor & Assess', tone: 'blue', body: renderTable(monitorAndAssess) })}
+        ${emailFooter(html`This is an automated weekly summary from DC Policy Tracker.<br>
+            For full details including notes and history, ${link(TRACKER_URL, 'open the tracker')}.`)}`;
+
+    return {
+        subject: `DC Policy Tracker Week of ${weekLabel} · ${changesSinceLastRun} update${changesSinceLastRun !== 1 ? 's' : ''} this week · ${actionNeeded.length} action needed · ${withHearings.length} upcoming hearings`,
+        html: emailDocument(body, { width: 750 })
+    };
+}
 
-        ${actionNeeded.length > 0 ? `
-        <div style="margin-bottom: 24px;">
-            <h2 style="font-size: 15px; font-weight: 700; color: #991b1b; margin: 0 0 12px; padding-bottom: 8px; border-bottom: 2px solid #fca5a5;">Action Needed</h2>
-            ${renderTable(actionNeeded)}
-        </div>` : ''}
+// ─── Handler ──────────────────────────────────────────────────────────────────
 
-        ${monitorAndAssess.length > 0 ? `
-        <div style="margin-bottom: 24px;">
-            <h2 style="font-size: 15px; font-weight: 700; color: #1e40af; margin: 0 0 12px; padding-bottom: 8px; border-bottom: 2px solid #93c5fd;">Monitor & Assess</h2>
-            ${renderTable(monitorAndAssess)}
-        </div>` : ''}
+async function handler(req, res) {
+    const dryRun = isDryRun(req);
+    if (!(await authorizeCron(req, res, { dryRun }))) return;
 
-        <div style="margin-top: 32px; padding: 16px; background: #f3f4f6; border-radius: 8px; font-size: 12px; color: #6b7280; text-align: center;">
-            This is an automated weekly summary from DC Policy Tracker.<br>
-            For full details including notes and history, <a href="https://dcpca-policy-tracker.vercel.app" style="color: #4f46e5;">open the tracker</a>.
-        </div>
-    </body>
-    </html>`;
+    // Emails that failed on an earlier run go out first (a dry run sends nothing)
+    const outbox = dryRun ? null : await retryOutbox();
 
-  await sendEmail({
-    to: WEEKLY_REPORT_TO,
-    subject: `DC Policy Tracker Week of ${weekLabel} · ${changesSinceLastRun} update${changesSinceLastRun !== 1 ? 's' : ''} this week · ${actionNeeded.length} action needed · ${withHearings.length} upcoming hearings`,
-    html
-});
+    const items = await getTrackedItems();
+    const statusHistory = await getStatusHistory();
+    const now = new Date();
 
-    const toAddresses = WEEKLY_REPORT_TO.split(',').map(e => e.trim()).filter(Boolean);
-    console.log(`[weekly-report] Sent to ${toAddresses.join(', ')}`);
-    return res.status(200).json({ sent: true, to: toAddresses });
+    const subscriptions = await loadSubscriptions();
+    const recipients = recipientsFor(subscriptions, 'weekly_report', WEEKLY_REPORT_TO);
+    if (recipients.length === 0) {
+        if (subscriptions.fromEnv) return res.status(500).json({ error: 'No notification subscriptions and WEEKLY_REPORT_TO is not set' });
+        console.log('[weekly-report] Nobody is subscribed — skipping email');
+        return res.status(200).json({ sent: false, reason: 'no_subscribers' });
+    }
+
+    // One email per distinct filter; unfiltered subscribers share the full report
+    const mailer = createMailer({ source: 'send-weekly-report', dryRun });
+    const sent = [];
+    for (const { to, filter } of groupRecipients(recipients)) {
+        const { subject, html } = buildWeeklyReport({
+            items: items.filter(item => matchesFilter(filter, item)),
+            statusHistory, now, filter
+        });
+        const { status } = await mailer.send({ to, subject, html });
+        sent.push({ to, status, filter: describeFilter(filter) || null });
+    }
+
+    console.log(`[weekly-report] ${dryRun ? 'Dry run — would send' : 'Sent'} to ${sent.map(s => s.to.join(', ')).join('; ')}`);
+    return res.status(200).json({ sent: !dryRun, emails: sent, outbox, ...(dryRun ? { dryRun, previews: mailer.previews } : {}) });
 }
+
+export default recordCronRun('send-weekly-report', handler);
@@ -0,0 +1,67 @@
+/**
+ * /api/suggestions.js
+ *
+ * Records a triage decision on a bill_suggestions row (the app's 📥 Inbox)
+ * under the name of the person whose session made it. bill_suggestions is
+ * read-only for the anon key, so decided_by_id / decided_by_name always come
+ * from the verified session's team member, not the request.
+ *
+ *   POST { billNumber, state: 'tracked' | 'dismissed' }
+ *   POST { billNumber, state: 'snoozed', snoozedUntil }   → hidden until that time
+ *
+ * Responds with the updated row, or 404 when there is no suggestion for the bill.
+ *
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, SESSION_SECRET
+ */
+
+import { requireSession } from './_auth.js';
+import { selectOne, updateSuggestion } from './_db.js';
+
+const DECISIONS = ['tracked', 'dismissed', 'snoozed'];
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** The bill number and bill_suggestions columns a request body decides, or { error } */
+function toDecision(body, now) {
+    const { billNumber, state, snoozedUntil } = body || {};
+    if (typeof billNumber !== 'string' || !billNumber.trim() || billNumber.length > 64) return { error: 'billNumber is required' };
+    if (!DECISIONS.includes(state)) return { error: `state must be one of ${DECISIONS.join(', ')}` };
+    if (state !== 'snoozed') return { billNumber: billNumber.trim(), patch: { state, snoozed_until: null } };
+
+    const until = new Date(snoozedUntil);
+    if (!snoozedUntil || isNaN(until)) return { error: 'snoozedUntil must be a date' };
+    if (until <= now) return { error: 'snoozedUntil must be in the future' };
+    return { billNumber: billNumber.trim(), patch: { state, snoozed_until: until.toISOString() } };
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const session = await requireSession(req, res);
+    if (!session) return;
+    if (session.system) return res.status(400).json({ error: 'Decisions are recorded for a team member — sign in to make changes' });
+
+    const now = new Date();
+    const { billNumber, patch, error } = toDecision(req.body, now);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const member = await selectOne(`/team_members?id=eq.${encodeURIComponent(session.sub)}&select=id,name`);
+        if (!member) return res.status(403).json({ error: 'No team member for this session' });
+
+        const suggestion = await updateSuggestion(billNumber, {
+            ...patch,
+            decided_by_id: member.id,
+            decided_by_name: member.name,
+            decided_at: now.toISOString(),
+            updated_at: now.toISOString()
+        });
+        if (!suggestion) return res.status(404).json({ error: `No suggestion for ${billNumber}` });
+        return res.status(200).json({ suggestion });
+    } catch (err) {
+        console.error('[suggestions] Could not record decision:', err);
+        return res.status(500).json({ error: err.message });
+    }
+}
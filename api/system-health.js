@@ -0,0 +1,132 @@
+/**
+ * /api/system-health.js
+ *
+ * Health of the scheduled jobs, from the runs recorded in cron_runs.
+ *
+ *   GET (signed in)        → { jobs, runs, billCache } for the app's System Health
+ *                            panel: each job's state and last run, the latest runs,
+ *                            and how fresh lims_bill_cache is (cacheFreshness)
+ *   Vercel Cron / CRON_SECRET → emails every admin about jobs that have been
+ *                            stale for over a day, and prunes old cron_runs rows
+ *
+ * The cron call runs daily at 10am ET (14:00 UTC), so an admin hears about a
+ * stale job once a day until it runs again. ?dryRun=1 (admins) returns the
+ * email instead of sending it.
+ *
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, SESSION_SECRET, CRON_SECRET
+ */
+
+import { createMailer } from './_mailer.js';
+import { authorizeCron, requireSession, isCronCaller, isDryRun } from './_auth.js';
+import { getLatestCronRun, getFirstCronRun, getRecentCronRuns, pruneCronRuns, getAdminEmails, getBillCacheFreshness } from './_db.js';
+import { CRON_JOBS, jobHealth, recordCronRun } from './_health.js';
+import { cacheFreshness } from './_cache.js';
+import { html, emailDocument, emailHeader, emailFooter, section, itemCard, link, TRACKER_URL } from './_templates.js';
+
+const RECENT_RUNS = 50;
+const KEEP_RUNS_DAYS = 90;
+
+function formatTime(iso) {
+    if (!iso) return 'never';
+    return new Date(iso).toLocaleString('en-US', { timeZone: 'America/New_York', weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) + ' ET';
+}
+
+async function loadJobHealth(now) {
+    const first = await getFirstCronRun();
+    return Promise.all(CRON_JOBS.map(async (job) => jobHealth(job, {
+        lastRun: await getLatestCronRun(job.job),
+        lastSuccess: await getLatestCronRun(job.job, { status: 'success' }),
+        loggingSince: first?.started_at
+    }, now)));
+}
+
+// ─── Stale-job email ──────────────────────────────────────────────────────────
+
+function buildStaleEmail(stale, now) {
+    const body = html`
+        ${emailHeader({
+            title: 'DC Policy Tracker',
+            subtitle: `System Health · ${now.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}`,
+            tone: 'red',
+            summary: `${stale.length} scheduled job${stale.length !== 1 ? 's have' : ' has'} not run successfully for over a day`
+        })}
+        ${section({
+            title: `⚠️ Stale Jobs (${stale.length})`,
+            tone: 'red',
+            body: stale.map(h => itemCard({
+                title: `${h.label} (${h.job})`,
+                tone: 'red',
+                rows: [
+                    { label: 'Missed since', value: formatTime(h.staleSince), tone: 'red', strong: true },
+                    [{ label: 'Last success', value: formatTime(h.lastSuccessAt) }, { label: 'Schedule (UTC)', value: h.schedule }],
+                    h.lastRun && { label: 'Last run', value: `${formatTime(h.lastRun.started_at)} — ${h.lastRun.status}` },
+                    h.problem && { label: 'Problem', value: h.missedRunAt ? `${h.problem} (${formatTime(h.missedRunAt)})` : h.problem }
+                ]
+            }))
+        })}
+        ${emailFooter(link(TRACKER_URL, 'Open System Health in the Tracker →', 'color: #b91c1c; font-weight: 600;'))}`;
+    return {
+        subject: `⚠️ DC Policy Tracker — ${stale.map(h => h.job).join(', ')} stale`,
+        html: emailDocument(body)
+    };
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+async function handler(req, res) {
+    const now = new Date();
+    const dryRun = isDryRun(req);
+
+    // The app's panel: any signed-in team member may look
+    if (!isCronCaller(req) && !dryRun) {
+        const session = await requireSession(req, res);
+        if (!session) return;
+        try {
+            const jobs = await loadJobHealth(now);
+            const runs = await getRecentCronRuns(RECENT_RUNS);
+            const billCache = cacheFreshness(await getBillCacheFreshness(), now);
+            return res.status(200).json({ jobs, runs, billCache, checkedAt: now.toISOString() });
+        } catch (err) {
+            console.error('[system-health] Could not load cron runs:', err);
+            return res.status(500).json({ error: err.message });
+        }
+    }
+
+    if (!(await authorizeCron(req, res, { dryRun }))) return;
+    try {
+
+    const jobs = await loadJobHealth(now);
+    const stale = jobs.filter(h => h.staleSince && h.job !== 'system-health');
+
+    if (!dryRun) await pruneCronRuns(now.getTime() - KEEP_RUNS_DAYS * 24 * 60 * 60 * 1000);
+
+    if (stale.length === 0) {
+        console.log('[system-health] Every job has run on schedule');
+        return res.status(200).json({ sent: false, reason: 'healthy', stale: [] });
+    }
+
+    const admins = await getAdminEmails();
+    if (admins.length === 0) {
+        console.warn(`[system-health] Stale: ${stale.map(h => h.job).join(', ')} — but no admin has an email address`);
+        return res.status(200).json({ sent: false, reason: 'no_admins', stale: stale.map(h => h.job) });
+    }
+
+    const mailer = createMailer({ source: 'system-health', dryRun });
+    const { subject, html: body } = buildStaleEmail(stale, now);
+    const { status } = await mailer.send({ to: admins, subject, html: body });
+
+    console.log(`[system-health] ${dryRun ? 'Dry run — would email' : 'Emailed'} ${admins.join(', ')} about ${stale.map(h => h.job).join(', ')}`);
+    return res.status(200).json({
+        sent: !dryRun,
+        stale: stale.map(h => h.job),
+        emails: [{ to: admins, status }],
+        ...(dryRun ? { dryRun, previews: mailer.previews } : {})
+    });
+
+    } catch (err) {
+        console.error('[system-health] Fatal error:', err);
+        return res.status(500).json({ error: err.message, stack: err.stack });
+    }
+}
+
+export default recordCronRun('system-health', handler);
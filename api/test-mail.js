@@ -3,12 +3,13 @@ import { sendEmail } from "./_mailer.js";
 
 export default async function handler(req, res) {
   try {
-    await sendEmail({
+    const result = await sendEmail({
       to: process.env.MAIL_SENDER, // send to yourself
-      subject: "Graph API test",
-      html: "<p>If you're reading this, Microsoft Graph is working ✓</p>",
+      subject: "Mail transport test",
+      html: "<p>If you're reading this, the mail transport is working ✓</p>",
+      source: "test-mail",
     });
-    res.status(200).json({ ok: true });
+    res.status(200).json({ ok: result.status === "sent", ...result });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -0,0 +1,142 @@
+/**
+ * /api/users.js
+ *
+ * Staff account administration. Admin sessions only — CRON_SECRET is also
+ * accepted so the first admin can be created from PowerShell.
+ *
+ *   GET                                       → list team members with login info
+ *   POST  { name, email, password, role }     → add a person and their login
+ *   PATCH { id, name?, email?, password?, role?, disabled?, active? }
+ *                                             → update a person; a new password or
+ *                                               disabling the login ends their sessions
+ *
+ * Bootstrap the first admin:
+ *   Invoke-WebRequest -Uri "https://YOUR-APP.vercel.app/api/users" -Method POST -Headers @{ "Authorization" = "Bearer YOUR_CRON_SECRET" } -ContentType "application/json" -Body '{"name":"Jane Doe","email":"jane@example.org","password":"...","role":"admin"}' -UseBasicParsing
+ *
+ * Env vars required: SUPABASE_URL, SUPABASE_SERVICE_KEY, SESSION_SECRET
+ */
+
+import { requireSession, hashPassword, forgetLogin } from './_auth.js';
+import { select, selectOne, insert, update, remove } from './_db.js';
+
+const ROLES = ['admin', 'member'];
+const MIN_PASSWORD_LENGTH = 10;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+function validationError({ email, password, role }, { creating }) {
+    if (creating && !email) return 'Email is required';
+    if (email !== undefined && email !== null && !/^[^@\s]+@[^@\s]+$/.test(email)) return 'Email is not valid';
+    if ((creating || password !== undefined) && String(password || '').length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (role !== undefined && !ROLES.includes(role)) return `Role must be one of: ${ROLES.join(', ')}`;
+    return null;
+}
+
+function toUser(member) {
+    const login = Array.isArray(member.team_member_logins) ? member.team_member_logins[0] : member.team_member_logins;
+    return {
+        id: member.id,
+        name: member.name,
+        email: member.email || null,
+        active: member.active !== false,
+        role: login?.role || null,
+        hasLogin: !!login?.password_hash,
+        disabled: !!login?.disabled,
+        lastLoginAt: login?.last_login_at || null
+    };
+}
+
+async function listUsers() {
+    const members = await select(
+        '/team_members?select=id,name,email,active,team_member_logins(role,disabled,last_login_at,password_hash)&order=name.asc'
+    );
+    return members.map(toUser);
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+export default async function handler(req, res) {
+    const session = await requireSession(req, res, { role: 'admin' });
+    if (!session) return;
+
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({ users: await listUsers() });
+        }
+
+        if (req.method === 'POST') {
+            const { name, password, role = 'member' } = req.body || {};
+            const email = normalizeEmail(req.body?.email);
+            if (!name || !String(name).trim()) return res.status(400).json({ error: 'Name is required' });
+            const invalid = validationError({ email, password, role }, { creating: true });
+            if (invalid) return res.status(400).json({ error: invalid });
+
+            const [member] = await insert('team_members', { name: String(name).trim(), email, active: true }, { returning: true });
+            try {
+                await insert('team_member_logins', {
+                    member_id: member.id,
+                    password_hash: hashPassword(password),
+                    role,
+                    disabled: false,
+                    session_version: 0
+                });
+            } catch (err) {
+                // No member without a login — and the email stays free for a retry
+                await remove('team_members', { id: member.id });
+                throw err;
+            }
+            console.log(`[users] ${session.name || session.sub} added ${member.name} (${role})`);
+            return res.status(201).json({ user: toUser({ ...member, team_member_logins: [{ role, password_hash: true }] }) });
+        }
+
+        if (req.method === 'PATCH') {
+            const { id, name, password, role, disabled, active } = req.body || {};
+            const email = req.body?.email === undefined ? undefined : normalizeEmail(req.body.email);
+            if (!id) return res.status(400).json({ error: 'id is required' });
+            const invalid = validationError({ email, password, role }, { creating: false });
+            if (invalid) return res.status(400).json({ error: invalid });
+
+            // Admins can't lock themselves out
+            if (id === session.sub && (disabled === true || active === false || (role && role !== 'admin'))) {
+                return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+            }
+
+            const memberPatch = {};
+            if (name !== undefined) memberPatch.name = String(name).trim();
+            if (email !== undefined) memberPatch.email = email;
+            if (active !== undefined) memberPatch.active = !!active;
+            if (Object.keys(memberPatch).length > 0) await update('team_members', { id }, memberPatch);
+
+            const existing = await selectOne(`/team_member_logins?member_id=eq.${encodeURIComponent(id)}&select=*`);
+            const loginPatch = {};
+            if (role !== undefined) loginPatch.role = role;
+            if (disabled !== undefined) loginPatch.disabled = !!disabled;
+            if (active === false) loginPatch.disabled = true; // removing someone from the team also ends their access
+            if (password !== undefined) loginPatch.password_hash = hashPassword(password);
+            if (loginPatch.password_hash || loginPatch.disabled) {
+                loginPatch.session_version = (existing?.session_version || 0) + 1;
+            }
+
+            if (Object.keys(loginPatch).length > 0) {
+                if (existing) {
+                    await update('team_member_logins', { member_id: id }, loginPatch);
+                } else {
+                    await insert('team_member_logins', { member_id: id, role: 'member', disabled: false, session_version: 0, ...loginPatch });
+                }
+                forgetLogin(id);
+            }
+
+            console.log(`[users] ${session.name || session.sub} updated ${id}: ${Object.keys({ ...memberPatch, ...loginPatch }).filter(k => k !== 'password_hash').join(', ')}${password !== undefined ? ', password' : ''}`);
+            return res.status(200).json({ users: await listUsers() });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (err) {
+        console.error('[users] Error:', err);
+        return res.status(500).json({ error: err.message });
+    }
+}
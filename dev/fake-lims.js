@@ -0,0 +1,132 @@
+/**
+ * dev/fake-lims.js
+ *
+ * Local stand-in for the LIMS PublicData API, served from JSON fixtures in
+ * dev/fixtures/lims. Lets the cron jobs and the /api/hello proxy run without
+ * touching lims.dccouncil.gov.
+ *
+ *   npm run fake-lims
+ *   LIMS_API_BASE=http://localhost:4010/api/v2/PublicData npm run job -- check-hearings
+ *
+ * Endpoints (same paths and shapes as LIMS):
+ *   GET  /api/v2/PublicData/CouncilPeriods
+ *   GET  /api/v2/PublicData/LegislationDetails/:number   → 404 if no fixture
+ *   POST /api/v2/PublicData/SearchLegislation            → built from the
+ *        LegislationDetails fixtures; honours Keyword, CouncilPeriodId, RowLimit, OffSet
+ *
+ * Fixture strings like "{{today+7}}" or "{{today-2T14:00}}" are replaced with
+ * dates relative to now, so hearings stay in the future.
+ *
+ * Env vars (all optional):
+ *   FAKE_LIMS_PORT        — default 4010
+ *   FAKE_LIMS_FAIL_RATE   — 0..1, fraction of requests answered with 503 (exercises retries)
+ *   FAKE_LIMS_LATENCY_MS  — added delay per request (exercises timeouts)
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES   = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'lims');
+const PORT       = Number(process.env.FAKE_LIMS_PORT || 4010);
+const FAIL_RATE  = Number(process.env.FAKE_LIMS_FAIL_RATE || 0);
+const LATENCY_MS = Number(process.env.FAKE_LIMS_LATENCY_MS || 0);
+const PREFIX     = '/api/v2/PublicData';
+
+// ─── Fixtures ─────────────────────────────────────────────────────────────────
+
+function relativeDates(text) {
+    return text.replace(/\{\{today([+-]\d+)?(?:T(\d{2}:\d{2}))?\}\}/g, (_, offset, time) => {
+        const d = new Date();
+        d.setDate(d.getDate() + Number(offset || 0));
+        const ymd = [d.getFullYear(), String(d.getMonth() + 1).padStart(2, '0'), String(d.getDate()).padStart(2, '0')].join('-');
+        return `${ymd}T${time || '00:00'}:00`;
+    });
+}
+
+function readFixture(...parts) {
+    const file = path.join(FIXTURES, ...parts);
+    if (!file.startsWith(FIXTURES) || !fs.existsSync(file)) return null;
+    return JSON.parse(relativeDates(fs.readFileSync(file, 'utf8')));
+}
+
+function allLegislation() {
+    const dir = path.join(FIXTURES, 'LegislationDetails');
+    return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => readFixture('LegislationDetails', f));
+}
+
+// Search results are a summary of the details record, like LIMS returns
+function toSearchResult(d) {
+    return {
+        legislationNumber: d.legislationNumber,
+        title: d.title,
+        category: d.category,
+        status: d.status,
+        introducers: d.introducers,
+        coIntroducers: d.coIntroducers,
+        referredToCommittees: (d.committeesReferredTo || []).join('; ') || null,
+        introductionDate: d.introductionDate,
+        shortDescription: d.additionalInformation || d.title
+    };
+}
+
+function search({ Keyword = '', CouncilPeriodId, RowLimit = 100, OffSet = 0 } = {}) {
+    const keyword = String(Keyword).trim().toLowerCase();
+    return allLegislation()
+        .filter(d => !CouncilPeriodId || new RegExp(`^[A-Z]+${CouncilPeriodId}-`).test(d.legislationNumber))
+        .filter(d => !keyword || [d.title, d.additionalInformation].some(v => v && v.toLowerCase().includes(keyword)))
+        .sort((a, b) => new Date(b.introductionDate) - new Date(a.introductionDate))
+        .slice(OffSet, OffSet + Math.min(RowLimit, 100))
+        .map(toSearchResult);
+}
+
+// ─── Server ───────────────────────────────────────────────────────────────────
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try { resolve(data ? JSON.parse(data) : {}); } catch { resolve({}); }
+        });
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(`[fake-lims] ${req.method} ${url.pathname}`);
+
+    if (LATENCY_MS) await new Promise(r => setTimeout(r, LATENCY_MS));
+    if (FAIL_RATE && Math.random() < FAIL_RATE) return send(res, 503, { error: 'Injected failure' });
+
+    if (!url.pathname.startsWith(PREFIX)) return send(res, 404, { error: 'Not found' });
+    const route = url.pathname.slice(PREFIX.length);
+
+    if (req.method === 'GET' && route === '/CouncilPeriods') {
+        return send(res, 200, readFixture('CouncilPeriods.json'));
+    }
+
+    const detailsMatch = route.match(/^\/LegislationDetails\/([A-Za-z0-9-]+)$/);
+    if (req.method === 'GET' && detailsMatch) {
+        const details = readFixture('LegislationDetails', `${detailsMatch[1].toUpperCase()}.json`);
+        return details ? send(res, 200, details) : send(res, 404, { error: `No fixture for ${detailsMatch[1]}` });
+    }
+
+    if (req.method === 'POST' && route === '/SearchLegislation') {
+        return send(res, 200, search(await readBody(req)));
+    }
+
+    return send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+    console.log(`[fake-lims] Serving ${FIXTURES} at http://localhost:${PORT}${PREFIX}`);
+});
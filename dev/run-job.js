@@ -0,0 +1,61 @@
+/**
+ * dev/run-job.js
+ *
+ * Runs one /api handler locally, the way Vercel Cron would call it, and
+ * prints the JSON response. LIMS_API_BASE defaults to the fake LIMS server
+ * (dev/fake-lims.js) so nothing reaches lims.dccouncil.gov; Supabase still
+ * comes from SUPABASE_URL / SUPABASE_SERVICE_KEY (use a local Supabase or a
+ * scratch project). Email uses the file transport unless MAIL_TRANSPORT is
+ * set, so reports and alerts are written to dev/outbox as .eml files.
+ *
+ *   npm run job -- check-hearings
+ *   npm run job -- build-bill-cache reset=true
+ *
+ * Extra key=value arguments become req.query and req.body.
+ */
+
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const [job, ...args] = process.argv.slice(2);
+if (!job || !/^[a-z0-9-]+$/.test(job)) {
+    console.error('Usage: node dev/run-job.js <api-file-name> [key=value ...]');
+    process.exit(1);
+}
+
+// Must be set before the handler module loads — they read env at import time
+process.env.LIMS_API_BASE ||= 'http://localhost:4010/api/v2/PublicData';
+process.env.LIMS_API_KEY  ||= 'fake-lims-key';
+process.env.MAIL_TRANSPORT ||= 'file'; // emails land in dev/outbox/*.eml instead of anyone's inbox
+
+const params = Object.fromEntries(args.map(a => {
+    const [key, ...rest] = a.split('=');
+    const value = rest.join('=');
+    return [key, value === 'true' ? true : value === 'false' ? false : value];
+}));
+
+const req = {
+    method: 'POST',
+    headers: { 'x-vercel-cron': '1' },
+    query: Object.fromEntries(Object.entries(params).map(([k, v]) => [k, String(v)])),
+    body: params
+};
+
+const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(key, value) { this.headers[key] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+    end() { return this; }
+};
+
+const apiDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'api');
+const { default: handler } = await import(pathToFileURL(path.join(apiDir, `${job}.js`)).href);
+
+const started = Date.now();
+await handler(req, res);
+console.log(`[run-job] ${job} → ${res.statusCode} in ${Date.now() - started}ms`);
+console.log(JSON.stringify(res.body, null, 2));
+process.exitCode = res.statusCode >= 400 ? 1 : 0;
@@ -41,7 +41,9 @@ CREATE TABLE IF NOT EXISTS tracked_items (
   latest_activity_label   text,
   activity_count          integer DEFAULT 0,
   deadline                date,
-  activity_timeline       jsonb
+  activity_timeline       jsonb,
+  hearing_checked_at      timestamptz,
+  lims_snapshot           jsonb                  -- last LIMS details seen by check-hearings (api/_snapshot.js)
 );
 
 CREATE INDEX IF NOT EXISTS idx_tracked_items_tracked_at    ON tracked_items(tracked_at DESC);
@@ -62,25 +64,258 @@ CREATE UNIQUE INDEX IF NOT EXISTS idx_item_notes_item_id ON item_notes(item_id);
 -- ─── Status history ───────────────────────────────────────────────────────────
 
 CREATE TABLE IF NOT EXISTS bill_status_history (
-  id           uuid DEFAULT gen_random_uuid() PRIMARY KEY,
-  item_id      text NOT NULL,
-  old_status   text,
-  new_status   text,
-  change_label text,
-  changed_at   timestamptz DEFAULT now()
+  id              uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  item_id         text NOT NULL,
+  old_status      text,
+  new_status      text,
+  change_label    text,
+  changed_at      timestamptz DEFAULT now(),
+  changed_by_id   uuid,                          -- team member who made the change (null for system)
+  changed_by_name text,
+  is_system       boolean NOT NULL DEFAULT false, -- true for cron-detected LIMS changes
+  event_type      text                            -- status / title / hearing / action; null on older rows
 );
 
 CREATE INDEX IF NOT EXISTS idx_bill_status_history_item_id    ON bill_status_history(item_id);
 CREATE INDEX IF NOT EXISTS idx_bill_status_history_changed_at ON bill_status_history(changed_at DESC);
 
+-- ─── Activity log ─────────────────────────────────────────────────────────────
+-- Every tracker change made in the app. actor_name is copied at write time so
+-- the log still reads correctly after someone is renamed or removed.
+
+CREATE TABLE IF NOT EXISTS activity_log (
+  id         uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  action     text NOT NULL,
+  item_id    text,
+  item_title text,
+  details    jsonb DEFAULT '{}'::jsonb,
+  actor_id   uuid,
+  actor_name text,
+  is_system  boolean NOT NULL DEFAULT false,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_log_created_at ON activity_log(created_at DESC);
+
 -- ─── Team members ─────────────────────────────────────────────────────────────
 
 CREATE TABLE IF NOT EXISTS team_members (
   id     uuid DEFAULT gen_random_uuid() PRIMARY KEY,
   name   text NOT NULL UNIQUE,
+  email  text,
   active boolean DEFAULT true
 );
 
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS email text;
+
+-- Emails double as login names; store them lowercased so lookups are exact.
+-- Two rows whose emails differ only by case or spaces (A@x.org / a@x.org)
+-- would break the unique index below, so stop first and name them: give each
+-- person one address (or clear the duplicate row's email) and re-run.
+DO $$
+DECLARE
+  duplicates text;
+BEGIN
+  SELECT string_agg(email, ', ') INTO duplicates
+    FROM (SELECT lower(trim(email)) AS email FROM team_members
+           WHERE email IS NOT NULL GROUP BY 1 HAVING count(*) > 1) d;
+  IF duplicates IS NOT NULL THEN
+    RAISE EXCEPTION 'team_members has more than one row for: % — keep one email per person, then re-run migration.sql', duplicates;
+  END IF;
+END $$;
+
+UPDATE team_members SET email = lower(trim(email)) WHERE email IS NOT NULL AND email <> lower(trim(email));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_members_email ON team_members(email) WHERE email IS NOT NULL;
+
+-- Per-person sign-in credentials. Kept out of team_members because the browser
+-- can read and update that table; this one is service-role only.
+-- session_version is bumped on password reset / disable to end existing sessions.
+CREATE TABLE IF NOT EXISTS team_member_logins (
+  member_id       uuid PRIMARY KEY REFERENCES team_members(id) ON DELETE CASCADE,
+  password_hash   text,
+  role            text NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+  disabled        boolean NOT NULL DEFAULT false,
+  session_version integer NOT NULL DEFAULT 0,
+  last_login_at   timestamptz,
+  created_at      timestamptz DEFAULT now()
+);
+
+-- ─── Change attribution ───────────────────────────────────────────────────────
+-- Who made each change: a team member for edits in the app, is_system for cron jobs.
+
+ALTER TABLE bill_status_history ADD COLUMN IF NOT EXISTS changed_by_id   uuid;
+ALTER TABLE bill_status_history ADD COLUMN IF NOT EXISTS changed_by_name text;
+ALTER TABLE activity_log        ADD COLUMN IF NOT EXISTS actor_id        uuid;
+ALTER TABLE activity_log        ADD COLUMN IF NOT EXISTS actor_name      text;
+ALTER TABLE activity_log        ADD COLUMN IF NOT EXISTS is_system       boolean NOT NULL DEFAULT false;
+
+-- Added together with a one-time backfill of the rows written before attribution
+-- existed (only "Tracker status changed" entries came from the app), so a re-run
+-- leaves later rows alone
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                  WHERE table_schema = 'public' AND table_name = 'bill_status_history' AND column_name = 'is_system') THEN
+    ALTER TABLE bill_status_history ADD COLUMN is_system boolean NOT NULL DEFAULT false;
+    UPDATE bill_status_history SET is_system = true
+     WHERE change_label IS NULL OR change_label NOT LIKE 'Tracker status changed%';
+  END IF;
+END $$;
+
+-- ─── LIMS snapshots ───────────────────────────────────────────────────────────
+-- check-hearings diffs each bill's LIMS details against the last snapshot and
+-- records every new council action, vote or review step as its own event.
+
+ALTER TABLE tracked_items       ADD COLUMN IF NOT EXISTS hearing_checked_at timestamptz;
+ALTER TABLE tracked_items       ADD COLUMN IF NOT EXISTS lims_snapshot      jsonb;
+ALTER TABLE bill_status_history ADD COLUMN IF NOT EXISTS event_type         text;
+
+-- ─── Bill hearings ────────────────────────────────────────────────────────────
+-- Each upcoming committee hearing or markup LIMS lists for a tracked bill, keyed
+-- by type and the ET day it was first listed for (hearing_key, e.g.
+-- 'public hearing::2026-11-04'). check-hearings compares these rows with LIMS to
+-- report hearings that were scheduled, rescheduled, cancelled or moved.
+-- hearing_date is the real instant: LIMS's "10:00" is 10:00 in Washington.
+-- status: 'scheduled' | 'held' | 'cancelled'
+
+CREATE TABLE IF NOT EXISTS bill_hearings (
+  id            uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  item_id       text NOT NULL REFERENCES tracked_items(id) ON DELETE CASCADE,
+  hearing_key   text NOT NULL,
+  hearing_type  text,
+  committee     text,
+  hearing_date  timestamptz NOT NULL,
+  location      text,
+  testimony_url   text,                        -- witness sign-up link, when LIMS lists one
+  testimony_notes text,                        -- how to testify, when LIMS lists it as text
+  status        text NOT NULL DEFAULT 'scheduled',
+  first_seen_at timestamptz DEFAULT now(),
+  updated_at    timestamptz DEFAULT now()
+);
+
+ALTER TABLE bill_hearings ADD COLUMN IF NOT EXISTS testimony_url   text;
+ALTER TABLE bill_hearings ADD COLUMN IF NOT EXISTS testimony_notes text;
+-- The calendar feed's SEQUENCE: check-hearings adds 1 whenever the hearing's
+-- date, location, status or sign-up details change
+ALTER TABLE bill_hearings ADD COLUMN IF NOT EXISTS revision        integer NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_bill_hearings_item_id ON bill_hearings(item_id, hearing_key);
+
+-- Rows written before hearing_key held a day read LIMS's ET wall-clock time as
+-- UTC and were keyed by type and an always-empty committee. Moves them to the
+-- real instant and the new key; rows already converted are left alone.
+UPDATE bill_hearings
+   SET hearing_date = (hearing_date AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York',
+       hearing_key  = lower(coalesce(hearing_type, '') || '::' ||
+                            to_char(hearing_date AT TIME ZONE 'UTC', 'YYYY-MM-DD'))
+ WHERE hearing_key !~ '::\d{4}-\d{2}-\d{2}$';
+
+-- The calendar feed's SEQUENCE for a bill's next_hearing_date event. The app
+-- and check-hearings both write next_hearing_date, so the revision is counted
+-- here rather than by either of them.
+ALTER TABLE tracked_items ADD COLUMN IF NOT EXISTS next_hearing_revision integer NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_next_hearing_revision() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF NEW.next_hearing_date IS DISTINCT FROM OLD.next_hearing_date
+     OR NEW.hearing_type IS DISTINCT FROM OLD.hearing_type
+     OR NEW.hearing_location IS DISTINCT FROM OLD.hearing_location THEN
+    NEW.next_hearing_revision := OLD.next_hearing_revision + 1;
+  END IF;
+  RETURN NEW;
+END $$;
+
+DROP TRIGGER IF EXISTS tracked_items_next_hearing_revision ON tracked_items;
+CREATE TRIGGER tracked_items_next_hearing_revision
+  BEFORE UPDATE ON tracked_items
+  FOR EACH ROW EXECUTE FUNCTION bump_next_hearing_revision();
+
+-- ─── Notification subscriptions ───────────────────────────────────────────────
+-- Who receives which emails. One row per address: team members manage their own
+-- row in the app; admins can also add outside addresses (member_id null).
+-- Empty filter arrays mean "everything". delivery applies to the alert emails:
+-- 'immediate' sends each alert type separately, 'digest' combines them into one
+-- email per daily check. While this table is empty the cron jobs fall back to
+-- DAILY_REPORT_TO / WEEKLY_REPORT_TO.
+
+CREATE TABLE IF NOT EXISTS notification_subscriptions (
+  id              uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  member_id       uuid REFERENCES team_members(id) ON DELETE CASCADE,
+  email           text NOT NULL,
+  name            text,
+  daily_report    boolean NOT NULL DEFAULT false,
+  eod_report      boolean NOT NULL DEFAULT false,
+  weekly_report   boolean NOT NULL DEFAULT false,
+  status_alerts   boolean NOT NULL DEFAULT false,
+  hearing_alerts  boolean NOT NULL DEFAULT false,
+  keyword_alerts  boolean NOT NULL DEFAULT false,
+  hearing_reminders boolean NOT NULL DEFAULT false,
+  priorities      text[]  NOT NULL DEFAULT '{}',   -- high / medium / low
+  action_statuses text[]  NOT NULL DEFAULT '{}',   -- action_needed / monitor_and_assess / action_completed
+  assignees       text[]  NOT NULL DEFAULT '{}',   -- team member names, or 'Unassigned'
+  delivery        text    NOT NULL DEFAULT 'immediate' CHECK (delivery IN ('immediate', 'digest')),
+  active          boolean NOT NULL DEFAULT true,
+  created_at      timestamptz DEFAULT now(),
+  updated_at      timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_subscriptions_email  ON notification_subscriptions(email);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_subscriptions_member ON notification_subscriptions(member_id) WHERE member_id IS NOT NULL;
+
+ALTER TABLE notification_subscriptions ADD COLUMN IF NOT EXISTS hearing_reminders boolean NOT NULL DEFAULT false;
+
+-- ─── Email outbox ─────────────────────────────────────────────────────────────
+-- Every email the app sends, whatever the transport (see api/_mailer.js).
+-- A failed send stays 'pending' with next_attempt_at set and is retried by the
+-- next cron job that sends mail; after 5 attempts it is marked 'failed'.
+-- 'sending' rows are claimed by a run; ones stuck longer than 10 minutes are retried.
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id              uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  to_addresses    text[] NOT NULL,
+  subject         text NOT NULL,
+  html            text NOT NULL,
+  source          text,                          -- job that queued it, e.g. 'send-daily-report'
+  status          text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts        integer NOT NULL DEFAULT 0,
+  last_error      text,
+  transport       text,                          -- graph / smtp / file, for the last attempt
+  created_at      timestamptz DEFAULT now(),
+  last_attempt_at timestamptz,
+  next_attempt_at timestamptz DEFAULT now(),
+  sent_at         timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status_next ON email_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created_at  ON email_outbox(created_at DESC);
+
+-- ─── Cron runs ────────────────────────────────────────────────────────────────
+-- One row per call of a scheduled job from Vercel Cron or with CRON_SECRET
+-- (see api/_health.js). Inserted as 'running' and finished with the outcome; a
+-- row still 'running' after 15 minutes was killed mid-run. system-health reads
+-- these for the app's panel and the stale-job email, and prunes rows after 90 days.
+
+CREATE TABLE IF NOT EXISTS cron_runs (
+  id          uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  job         text NOT NULL,                     -- e.g. 'check-hearings'
+  trigger     text NOT NULL DEFAULT 'cron' CHECK (trigger IN ('cron', 'manual')),
+  status      text NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'success', 'failed')),
+  started_at  timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz,
+  duration_ms integer,
+  http_status integer,
+  outcome     text,                              -- the response's status or reason, e.g. 'complete', 'no_updates'
+  counts      jsonb NOT NULL DEFAULT '{}',       -- numbers from the response, e.g. { "checked": 40 }
+  emails      jsonb NOT NULL DEFAULT '[]',       -- [{ to, status, … }] for each email sent
+  emails_sent integer NOT NULL DEFAULT 0,
+  errors      jsonb NOT NULL DEFAULT '[]',       -- per-item errors the job reported but carried on from
+  error       text                               -- why a failed run failed
+);
+
+CREATE INDEX IF NOT EXISTS idx_cron_runs_job_started ON cron_runs(job, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_cron_runs_started     ON cron_runs(started_at DESC);
+
 -- ─── Search alert tables ──────────────────────────────────────────────────────
 
 CREATE TABLE IF NOT EXISTS tracked_keywords (
@@ -117,6 +352,57 @@ CREATE TABLE IF NOT EXISTS keyword_alert_log (
 
 CREATE UNIQUE INDEX IF NOT EXISTS idx_keyword_alert_log_unique ON keyword_alert_log(bill_number, keyword);
 
+-- Same for committee/sponsor watch alerts. watch_type: 'committee' | 'sponsor'
+CREATE TABLE IF NOT EXISTS watch_alert_log (
+  id          uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  bill_number text NOT NULL,
+  watch_type  text NOT NULL,
+  watch_name  text NOT NULL,
+  alerted_at  timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_watch_alert_log_unique ON watch_alert_log(bill_number, watch_type, watch_name);
+
+-- One row per reminder send-reminders has sent: event_key names the hearing or
+-- deadline and its date (e.g. 'hearing:<bill_hearings.id>:2026-11-04'), days the
+-- threshold from REMINDER_DAYS. A new date is a new key, so it is reminded again.
+CREATE TABLE IF NOT EXISTS reminder_log (
+  id          uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  event_key   text NOT NULL,
+  days        integer NOT NULL,
+  item_id     text,
+  sent_at     timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminder_log_unique ON reminder_log(event_key, days);
+
+-- Triage inbox: one row per untracked bill a keyword, committee or sponsor
+-- watch matched. check-hearings adds rows and appends to `matches`
+-- ([{ type: 'keyword' | 'committee' | 'sponsor', name, fields }]); the app
+-- records the decision. state: 'new' | 'snoozed' | 'tracked' | 'dismissed'.
+-- Dismissed bills are never suggested or alerted on again.
+CREATE TABLE IF NOT EXISTS bill_suggestions (
+  bill_number       text PRIMARY KEY,
+  title             text,
+  status            text,
+  category          text,
+  introduced_by     text,
+  co_introducers    text,
+  committees        text,
+  introduction_date timestamptz,
+  link              text,
+  matches           jsonb NOT NULL DEFAULT '[]',
+  state             text NOT NULL DEFAULT 'new',
+  snoozed_until     timestamptz,
+  decided_by_id     uuid,
+  decided_by_name   text,
+  decided_at        timestamptz,
+  suggested_at      timestamptz DEFAULT now(),
+  updated_at        timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_suggestions_state ON bill_suggestions(state);
+
 -- ─── LIMS bill cache (for sponsor/committee search) ───────────────────────────
 
 CREATE TABLE IF NOT EXISTS lims_bill_cache (
@@ -132,7 +418,8 @@ CREATE TABLE IF NOT EXISTS lims_bill_cache (
   additional_information text,
   link                   text,
   raw_details            jsonb,
-  cached_at              timestamptz DEFAULT now()
+  cached_at              timestamptz DEFAULT now(),
+  first_cached_at        timestamptz DEFAULT now()
 );
 
 CREATE INDEX IF NOT EXISTS idx_lims_bill_cache_period         ON lims_bill_cache(council_period_id);
@@ -140,10 +427,168 @@ CREATE INDEX IF NOT EXISTS idx_lims_bill_cache_introduced_by  ON lims_bill_cache
 CREATE INDEX IF NOT EXISTS idx_lims_bill_cache_co_introducers ON lims_bill_cache(co_introducers);
 CREATE INDEX IF NOT EXISTS idx_lims_bill_cache_cached_at      ON lims_bill_cache(cached_at DESC);
 
--- Tracks progress of incremental cache build
+-- When a bill first entered the cache; build-bill-cache never writes it, so a
+-- re-cache keeps the original. check-hearings reads it to find new bills for
+-- committee/sponsor watch alerts. Existing rows take their cached_at.
+ALTER TABLE lims_bill_cache ADD COLUMN IF NOT EXISTS first_cached_at timestamptz;
+UPDATE lims_bill_cache SET first_cached_at = cached_at WHERE first_cached_at IS NULL;
+ALTER TABLE lims_bill_cache ALTER COLUMN first_cached_at SET DEFAULT now();
+CREATE INDEX IF NOT EXISTS idx_lims_bill_cache_first_cached_at ON lims_bill_cache(first_cached_at DESC);
+
+-- Rolling refresh (api/_cache.js): once a period is built, build-bill-cache
+-- re-fetches the rows furthest past refresh_after, which is set from
+-- last_activity_at each time a bill is cached. Existing rows (null) go first.
+ALTER TABLE lims_bill_cache ADD COLUMN IF NOT EXISTS last_activity_at timestamptz;
+ALTER TABLE lims_bill_cache ADD COLUMN IF NOT EXISTS refresh_after    timestamptz;
+CREATE INDEX IF NOT EXISTS idx_lims_bill_cache_refresh_after ON lims_bill_cache(refresh_after ASC NULLS FIRST);
+
+-- ─── Councilmembers and committees ───────────────────────────────────────────
+-- One row per councilmember and committee named in cached legislation, and
+-- which bills each (co-)introduced or was referred. build-bill-cache fills
+-- them from raw_details whenever it caches a bill (billEntities() in
+-- api/_cache.js). id is the name normalized — lowercase, no titles like
+-- "Councilmember", no punctuation — e.g. 'brianne-k-nadeau'; name is the
+-- latest spelling LIMS used.
+CREATE TABLE IF NOT EXISTS council_members (
+  id            text PRIMARY KEY,
+  name          text NOT NULL,
+  first_seen_at timestamptz DEFAULT now(),
+  last_seen_at  timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS committees (
+  id            text PRIMARY KEY,
+  name          text NOT NULL,
+  first_seen_at timestamptz DEFAULT now(),
+  last_seen_at  timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS bill_sponsors (
+  bill_number text NOT NULL REFERENCES lims_bill_cache(bill_number) ON DELETE CASCADE,
+  member_id   text NOT NULL REFERENCES council_members(id) ON DELETE CASCADE,
+  role        text NOT NULL CHECK (role IN ('introducer', 'co_introducer')),
+  PRIMARY KEY (bill_number, member_id, role)
+);
+
+CREATE TABLE IF NOT EXISTS bill_committees (
+  bill_number  text NOT NULL REFERENCES lims_bill_cache(bill_number) ON DELETE CASCADE,
+  committee_id text NOT NULL REFERENCES committees(id) ON DELETE CASCADE,
+  PRIMARY KEY (bill_number, committee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_sponsors_member      ON bill_sponsors(member_id);
+CREATE INDEX IF NOT EXISTS idx_bill_committees_committee ON bill_committees(committee_id);
+
+-- When the rows above were last written for a bill. Rows cached before these
+-- tables existed (null) are filled from raw_details by build-bill-cache.
+ALTER TABLE lims_bill_cache ADD COLUMN IF NOT EXISTS entities_at timestamptz;
+CREATE INDEX IF NOT EXISTS idx_lims_bill_cache_entities_at ON lims_bill_cache(bill_number) WHERE entities_at IS NULL;
+
+-- Watches pick a councilmember or committee; a watch without one (added as
+-- free text before these tables existed) still matches its name as a substring.
+ALTER TABLE tracked_committees ADD COLUMN IF NOT EXISTS committee_id text REFERENCES committees(id) ON DELETE SET NULL;
+ALTER TABLE tracked_sponsors   ADD COLUMN IF NOT EXISTS member_id    text REFERENCES council_members(id) ON DELETE SET NULL;
+
+-- Full-text search (/api/search). search_vector weights the title (A) over
+-- additional_information (B) and every string in raw_details — actions,
+-- committees, members, hearing details (C). Postgres keeps it up to date.
+ALTER TABLE lims_bill_cache ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(additional_information, '')), 'B') ||
+  setweight(jsonb_to_tsvector('english', coalesce(raw_details, '{}'::jsonb), '["string"]'), 'C')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_lims_bill_cache_search ON lims_bill_cache USING gin(search_vector);
+
+-- One page of cached bills matching a to_tsquery() query (null = no text
+-- search) and the filters, best match first (newest first without a query).
+-- total_count is the number of matches before paging. Snippets mark each hit
+-- with chr(2) … chr(3); /api/search turns them into highlighted segments.
+-- committee_filter and sponsor_filter are ILIKE patterns;
+-- referred_committee_id and sponsor_member_id match committees / council_members
+-- ids. Each row lists its sponsors and referred_committees as [{ id, name, … }].
+DROP FUNCTION IF EXISTS search_bill_cache(text, integer[], text, text, text, text, date, date, integer, integer);
+CREATE OR REPLACE FUNCTION search_bill_cache(
+  query            text      DEFAULT NULL,
+  periods          integer[] DEFAULT NULL,
+  category_filter  text      DEFAULT NULL,
+  status_filter    text      DEFAULT NULL,
+  committee_filter text      DEFAULT NULL,
+  sponsor_filter   text      DEFAULT NULL,
+  introduced_from  date      DEFAULT NULL,
+  introduced_to    date      DEFAULT NULL,
+  result_limit     integer   DEFAULT 25,
+  result_offset    integer   DEFAULT 0,
+  referred_committee_id text DEFAULT NULL,
+  sponsor_member_id     text DEFAULT NULL
+)
+RETURNS TABLE (
+  bill_number            text,
+  council_period_id      integer,
+  title                  text,
+  category               text,
+  status                 text,
+  introduced_by          text,
+  co_introducers         text,
+  committees             text,
+  introduction_date      timestamptz,
+  additional_information text,
+  link                   text,
+  rank                   real,
+  title_snippet          text,
+  snippet                text,
+  sponsors               jsonb,
+  referred_committees    jsonb,
+  total_count            bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT CASE WHEN coalesce(query, '') = '' THEN NULL ELSE to_tsquery('english', query) END AS tsq
+  ),
+  page AS (
+    SELECT c.*,
+           CASE WHEN q.tsq IS NULL THEN 0 ELSE ts_rank_cd(c.search_vector, q.tsq) END AS rank,
+           count(*) OVER () AS total_count
+    FROM lims_bill_cache c, q
+    WHERE (q.tsq IS NULL OR c.search_vector @@ q.tsq)
+      AND (periods IS NULL OR c.council_period_id = ANY (periods))
+      AND (category_filter IS NULL OR c.category = category_filter)
+      AND (status_filter IS NULL OR c.status = status_filter)
+      AND (committee_filter IS NULL OR c.committees ILIKE committee_filter)
+      AND (sponsor_filter IS NULL OR c.introduced_by ILIKE sponsor_filter OR c.co_introducers ILIKE sponsor_filter)
+      AND (introduced_from IS NULL OR c.introduction_date >= introduced_from)
+      AND (introduced_to IS NULL OR c.introduction_date < introduced_to + 1)
+      AND (referred_committee_id IS NULL OR EXISTS (
+            SELECT 1 FROM bill_committees bc WHERE bc.bill_number = c.bill_number AND bc.committee_id = referred_committee_id))
+      AND (sponsor_member_id IS NULL OR EXISTS (
+            SELECT 1 FROM bill_sponsors bs WHERE bs.bill_number = c.bill_number AND bs.member_id = sponsor_member_id))
+    ORDER BY rank DESC, c.introduction_date DESC NULLS LAST, c.bill_number
+    LIMIT result_limit OFFSET result_offset
+  )
+  SELECT p.bill_number, p.council_period_id, p.title, p.category, p.status,
+         p.introduced_by, p.co_introducers, p.committees, p.introduction_date,
+         p.additional_information, p.link, p.rank,
+         CASE WHEN q.tsq IS NULL THEN p.title
+              ELSE ts_headline('english', coalesce(p.title, ''), q.tsq,
+                               'HighlightAll=true, StartSel=' || chr(2) || ', StopSel=' || chr(3)) END,
+         CASE WHEN q.tsq IS NULL OR coalesce(p.additional_information, '') = '' THEN p.additional_information
+              ELSE ts_headline('english', p.additional_information, q.tsq,
+                               'MaxFragments=2, MaxWords=30, MinWords=12, FragmentDelimiter=" … ", StartSel=' || chr(2) || ', StopSel=' || chr(3)) END,
+         (SELECT coalesce(jsonb_agg(jsonb_build_object('id', m.id, 'name', m.name, 'role', bs.role) ORDER BY bs.role DESC, m.name), '[]'::jsonb)
+            FROM bill_sponsors bs JOIN council_members m ON m.id = bs.member_id WHERE bs.bill_number = p.bill_number),
+         (SELECT coalesce(jsonb_agg(jsonb_build_object('id', cm.id, 'name', cm.name) ORDER BY cm.name), '[]'::jsonb)
+            FROM bill_committees bc JOIN committees cm ON cm.id = bc.committee_id WHERE bc.bill_number = p.bill_number),
+         p.total_count
+  FROM page p, q
+  ORDER BY p.rank DESC, p.introduction_date DESC NULLS LAST, p.bill_number;
+$$;
+
+-- Tracks progress of a council period's discovery run (see build-bill-cache).
+-- prefixes holds each legislation prefix's { next, misses, found }; position
+-- counts the numbers probed so far and total the bills found.
 CREATE TABLE IF NOT EXISTS lims_cache_cursor (
   council_period_id integer PRIMARY KEY,
-  bill_numbers      jsonb NOT NULL DEFAULT '[]',
+  prefixes          jsonb NOT NULL DEFAULT '{}',
   position          integer NOT NULL DEFAULT 0,
   total             integer NOT NULL DEFAULT 0,
   completed         boolean NOT NULL DEFAULT false,
@@ -151,6 +596,34 @@ CREATE TABLE IF NOT EXISTS lims_cache_cursor (
   updated_at        timestamptz DEFAULT now()
 );
 
+-- Existing deployments: the fixed list of guessed bill numbers is replaced by
+-- per-prefix discovery; a cursor without prefixes starts a new run.
+ALTER TABLE lims_cache_cursor ADD COLUMN IF NOT EXISTS prefixes jsonb NOT NULL DEFAULT '{}';
+ALTER TABLE lims_cache_cursor DROP COLUMN IF EXISTS bill_numbers;
+
+-- Progress of one day's check-hearings run, which can span several cron calls.
+-- alerts/results collect what earlier calls found; alerts are sent once, by the
+-- call that finishes, and sent lists the recipient groups already emailed so a
+-- call that dies partway through sending doesn't email them twice.
+-- locked_until keeps two calls from working on it at once.
+CREATE TABLE IF NOT EXISTS hearing_check_cursor (
+  run_date      date PRIMARY KEY,
+  item_ids      jsonb NOT NULL DEFAULT '[]',
+  position      integer NOT NULL DEFAULT 0,
+  total         integer NOT NULL DEFAULT 0,
+  keywords_done boolean NOT NULL DEFAULT false,
+  completed     boolean NOT NULL DEFAULT false,
+  alerts        jsonb NOT NULL DEFAULT '{}',
+  results       jsonb NOT NULL DEFAULT '{}',
+  sent          jsonb NOT NULL DEFAULT '[]',
+  locked_until  timestamptz,
+  started_at    timestamptz,
+  updated_at    timestamptz DEFAULT now(),
+  completed_at  timestamptz
+);
+
+ALTER TABLE hearing_check_cursor ADD COLUMN IF NOT EXISTS sent jsonb NOT NULL DEFAULT '[]';
+
 -- ─── Default agency list ──────────────────────────────────────────────────────
 
 INSERT INTO tracked_agencies (agency_name) VALUES
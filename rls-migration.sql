@@ -5,8 +5,13 @@
 -- What this does:
 --   - Enables RLS on every table the app uses
 --   - Grants the anon key (used in the browser) exactly the operations each table needs
---   - Server-side-only tables (lims_cache_cursor, keyword_alert_log) get no anon access
---   - lims_bill_cache is read-only from the browser
+--   - Server-side-only tables (lims_cache_cursor, hearing_check_cursor, bill_hearings,
+--     keyword_alert_log, watch_alert_log, team_member_logins, notification_subscriptions,
+--     email_outbox, cron_runs, reminder_log) get no anon access
+--   - lims_bill_cache, council_members, committees, bill_sponsors and bill_committees
+--     are read-only from the browser
+--   - activity_log and bill_status_history are read-only from the browser too; the
+--     app records changes through /api/activity, which stamps who made them
 --   - The service role key (used in API functions) bypasses RLS and retains full access
 
 -- ─── tracked_items ────────────────────────────────────────────────────────────
@@ -45,8 +50,8 @@ DROP POLICY IF EXISTS "anon can read bill_status_history"   ON bill_status_histo
 DROP POLICY IF EXISTS "anon can insert bill_status_history" ON bill_status_history;
 
 CREATE POLICY "anon can read bill_status_history"   ON bill_status_history FOR SELECT TO anon USING (true);
-CREATE POLICY "anon can insert bill_status_history" ON bill_status_history FOR INSERT TO anon WITH CHECK (true);
--- No update or delete — history is immutable from the browser
+-- No insert, update or delete — the app's tracker status changes go through
+-- /api/activity, which records the signed-in person as changed_by
 
 -- ─── team_members ─────────────────────────────────────────────────────────────
 
@@ -56,8 +61,18 @@ DROP POLICY IF EXISTS "anon can read team_members"   ON team_members;
 DROP POLICY IF EXISTS "anon can update team_members" ON team_members;
 
 CREATE POLICY "anon can read team_members"   ON team_members FOR SELECT TO anon USING (true);
-CREATE POLICY "anon can update team_members" ON team_members FOR UPDATE TO anon USING (true) WITH CHECK (true);
--- Insert/delete managed via Supabase dashboard or service_role only
+-- Insert/update/delete go through /api/users (admin sessions only)
+
+-- ─── team_member_logins ───────────────────────────────────────────────────────
+-- Server-side only — password hashes and roles are managed through /api/users
+
+ALTER TABLE team_member_logins ENABLE ROW LEVEL SECURITY;
+
+-- ─── notification_subscriptions ───────────────────────────────────────────────
+-- Server-side only — read and changed through /api/notifications, which limits
+-- members to their own row
+
+ALTER TABLE notification_subscriptions ENABLE ROW LEVEL SECURITY;
 
 -- ─── tracked_keywords ─────────────────────────────────────────────────────────
 
@@ -95,6 +110,17 @@ CREATE POLICY "anon can read tracked_sponsors"   ON tracked_sponsors FOR SELECT
 CREATE POLICY "anon can insert tracked_sponsors" ON tracked_sponsors FOR INSERT TO anon WITH CHECK (true);
 CREATE POLICY "anon can delete tracked_sponsors" ON tracked_sponsors FOR DELETE TO anon USING (true);
 
+-- ─── bill_suggestions ─────────────────────────────────────────────────────────
+-- Rows are added by check-hearings. Read-only here: decisions go through
+-- /api/suggestions, which records who decided from the verified session.
+
+ALTER TABLE bill_suggestions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "anon can read bill_suggestions"   ON bill_suggestions;
+DROP POLICY IF EXISTS "anon can update bill_suggestions" ON bill_suggestions;
+
+CREATE POLICY "anon can read bill_suggestions"   ON bill_suggestions FOR SELECT TO anon USING (true);
+
 -- ─── tracked_agencies ─────────────────────────────────────────────────────────
 
 ALTER TABLE tracked_agencies ENABLE ROW LEVEL SECURITY;
@@ -116,6 +142,24 @@ DROP POLICY IF EXISTS "anon can read lims_bill_cache" ON lims_bill_cache;
 
 CREATE POLICY "anon can read lims_bill_cache" ON lims_bill_cache FOR SELECT TO anon USING (true);
 
+-- ─── council_members / committees / bill_sponsors / bill_committees ───────────
+-- Read-only from the browser (the watch pickers); written by build-bill-cache
+
+ALTER TABLE council_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE committees      ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bill_sponsors   ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bill_committees ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "anon can read council_members" ON council_members;
+DROP POLICY IF EXISTS "anon can read committees"      ON committees;
+DROP POLICY IF EXISTS "anon can read bill_sponsors"   ON bill_sponsors;
+DROP POLICY IF EXISTS "anon can read bill_committees" ON bill_committees;
+
+CREATE POLICY "anon can read council_members" ON council_members FOR SELECT TO anon USING (true);
+CREATE POLICY "anon can read committees"      ON committees      FOR SELECT TO anon USING (true);
+CREATE POLICY "anon can read bill_sponsors"   ON bill_sponsors   FOR SELECT TO anon USING (true);
+CREATE POLICY "anon can read bill_committees" ON bill_committees FOR SELECT TO anon USING (true);
+
 -- ─── activity_log ─────────────────────────────────────────────────────────────
 
 ALTER TABLE activity_log ENABLE ROW LEVEL SECURITY;
@@ -124,14 +168,44 @@ DROP POLICY IF EXISTS "anon can read activity_log"   ON activity_log;
 DROP POLICY IF EXISTS "anon can insert activity_log" ON activity_log;
 
 CREATE POLICY "anon can read activity_log"   ON activity_log FOR SELECT TO anon USING (true);
-CREATE POLICY "anon can insert activity_log" ON activity_log FOR INSERT TO anon WITH CHECK (true);
+-- Written only by /api/activity, which stamps actor_id / actor_name from the session
 
 -- ─── keyword_alert_log ────────────────────────────────────────────────────────
 -- Server-side only — no anon access
 
 ALTER TABLE keyword_alert_log ENABLE ROW LEVEL SECURITY;
 
+-- ─── watch_alert_log ──────────────────────────────────────────────────────────
+-- Server-side only — no anon access
+
+ALTER TABLE watch_alert_log ENABLE ROW LEVEL SECURITY;
+
+-- ─── reminder_log ─────────────────────────────────────────────────────────────
+-- Server-side only — no anon access
+
+ALTER TABLE reminder_log ENABLE ROW LEVEL SECURITY;
+
 -- ─── lims_cache_cursor ────────────────────────────────────────────────────────
 -- Server-side only — no anon access
 
 ALTER TABLE lims_cache_cursor ENABLE ROW LEVEL SECURITY;
+
+-- ─── hearing_check_cursor ─────────────────────────────────────────────────────
+-- Server-side only — no anon access
+
+ALTER TABLE hearing_check_cursor ENABLE ROW LEVEL SECURITY;
+
+-- ─── bill_hearings ────────────────────────────────────────────────────────────
+-- Server-side only — maintained by check-hearings
+
+ALTER TABLE bill_hearings ENABLE ROW LEVEL SECURITY;
+
+-- ─── email_outbox ─────────────────────────────────────────────────────────────
+-- Server-side only — written by api/_mailer.js
+
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+
+-- ─── cron_runs ────────────────────────────────────────────────────────────────
+-- Server-side only — written by the cron jobs, read through /api/system-health
+
+ALTER TABLE cron_runs ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,62 @@
+// Cron schedules and job health (_health.js). Times are UTC, as in
+// vercel.json. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { CRON_JOBS, previousRunTime, nextRunTime, jobHealth } from '../api/_health.js';
+
+const iso = (date) => date?.toISOString() ?? null;
+
+test('CRON_JOBS mirrors vercel.json', () => {
+    const { crons } = JSON.parse(readFileSync(new URL('../vercel.json', import.meta.url), 'utf8'));
+    assert.deepEqual(
+        CRON_JOBS.map(({ job, schedule }) => ({ path: `/api/${job}`, schedule })),
+        crons.map(({ path, schedule }) => ({ path, schedule }))
+    );
+});
+
+test('steps over a range, and a weekday range', () => {
+    const schedule = '0-25/5 13 * * 1-5';
+    // Monday 13:12 → the 13:10 call; the next is 13:15
+    assert.equal(iso(previousRunTime(schedule, '2026-10-19T13:12:00Z')), '2026-10-19T13:10:00.000Z');
+    assert.equal(iso(nextRunTime(schedule, '2026-10-19T13:12:00Z')), '2026-10-19T13:15:00.000Z');
+    // After the last call on Friday the next is Monday's first
+    assert.equal(iso(nextRunTime(schedule, '2026-10-23T13:25:00Z')), '2026-10-26T13:00:00.000Z');
+    assert.equal(iso(previousRunTime(schedule, '2026-10-25T09:00:00Z')), '2026-10-23T13:25:00.000Z');
+});
+
+test('a step over *, an hour range and lists', () => {
+    assert.equal(iso(nextRunTime('*/10 5-6 * * *', '2026-10-19T06:55:00Z')), '2026-10-20T05:00:00.000Z');
+    assert.equal(iso(previousRunTime('*/10 5-6 * * *', '2026-10-19T06:55:00Z')), '2026-10-19T06:50:00.000Z');
+    assert.equal(iso(nextRunTime('15,45 9 * * *', '2026-10-19T09:15:00Z')), '2026-10-19T09:45:00.000Z');
+});
+
+test('previousRunTime includes `at` itself; nextRunTime starts after it', () => {
+    assert.equal(iso(previousRunTime('0 14 * * *', '2026-10-19T14:00:00Z')), '2026-10-19T14:00:00.000Z');
+    assert.equal(iso(nextRunTime('0 14 * * *', '2026-10-19T14:00:00Z')), '2026-10-20T14:00:00.000Z');
+});
+
+test('a schedule that never comes round within a week gives null', () => {
+    assert.equal(nextRunTime('0 0 30 2 *', '2026-10-19T00:00:00Z'), null);
+});
+
+test('jobHealth: on time, late, failed and stale', () => {
+    const job = CRON_JOBS.find(j => j.job === 'system-health'); // 0 14 * * *
+    const run = (started_at, status = 'success') => ({ started_at, status });
+    const now = '2026-10-19T15:00:00Z';
+
+    assert.equal(jobHealth(job, { lastRun: run('2026-10-19T14:00:05Z'), lastSuccess: run('2026-10-19T14:00:05Z') }, now).state, 'ok');
+
+    const late = jobHealth(job, { lastRun: run('2026-10-18T14:00:05Z'), lastSuccess: run('2026-10-18T14:00:05Z') }, now);
+    assert.equal(late.state, 'late');
+    assert.equal(late.missedRunAt, '2026-10-19T14:00:00.000Z');
+    assert.equal(late.staleSince, null);
+
+    const failed = jobHealth(job, { lastRun: { ...run('2026-10-19T14:00:05Z', 'failed'), error: 'boom' }, lastSuccess: run('2026-10-17T14:00:05Z') }, now);
+    assert.equal(failed.state, 'failed');
+    assert.equal(failed.problem, 'boom');
+    assert.equal(failed.staleSince, '2026-10-18T14:00:00.000Z');
+
+    assert.equal(jobHealth(job, { lastRun: null, lastSuccess: null, loggingSince: null }, now).state, 'never');
+});
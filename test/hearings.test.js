@@ -0,0 +1,71 @@
+// reconcileHearings(): a bill's stored hearings against what LIMS lists now
+// (_hearings.js). Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { limsHearings, reconcileHearings, hearingChangeLabel } from '../api/_hearings.js';
+
+const now = new Date('2026-10-19T13:00:00Z');
+
+// What LIMS lists for a bill, from [hearingDate, hearingType, location] entries
+const listed = (...hearings) => limsHearings({
+    committeeHearing: hearings.map(([hearingDate, hearingType = 'Public Hearing', location = 'Room 500']) => ({ hearingDate, hearingType, location }))
+});
+
+// bill_hearings rows as the inserts of an earlier reconcile left them
+function stored(...hearings) {
+    return reconcileHearings([], listed(...hearings), { now }).inserts.map((row, i) => ({ id: `h${i + 1}`, revision: 0, ...row }));
+}
+
+const changes = ({ events }) => events.map(e => e.change);
+
+test('new upcoming hearings are scheduled, past ones are not stored', () => {
+    const result = reconcileHearings([], listed(['2026-11-04T10:00:00'], ['2026-09-01T10:00:00']), { now });
+    assert.deepEqual(changes(result), ['scheduled']);
+    assert.equal(result.inserts.length, 1);
+    assert.equal(result.inserts[0].hearing_key, 'public hearing::2026-11-04');
+    assert.equal(result.inserts[0].hearing_date, '2026-11-04T15:00:00.000Z');
+});
+
+test('a hearing already reported through next_hearing_date is stored quietly on the first reconcile', () => {
+    const result = reconcileHearings([], listed(['2026-11-04T10:00:00']), { now, knownDate: '2026-11-04' });
+    assert.deepEqual(changes(result), []);
+    assert.equal(result.inserts.length, 1);
+});
+
+test('an unchanged hearing produces nothing', () => {
+    const result = reconcileHearings(stored(['2026-11-04T10:00:00']), listed(['2026-11-04T10:00:00']), { now });
+    assert.deepEqual(result, { events: [], inserts: [], updates: [] });
+});
+
+test('a moved hearing is rescheduled and keeps its row', () => {
+    const rows = stored(['2026-11-04T10:00:00']);
+    const result = reconcileHearings(rows, listed(['2026-11-06T14:00:00']), { now });
+    assert.deepEqual(changes(result), ['rescheduled']);
+    assert.equal(result.inserts.length, 0);
+    assert.equal(result.updates[0].id, 'h1');
+    assert.equal(result.updates[0].patch.hearing_date, '2026-11-06T19:00:00.000Z');
+    assert.equal(result.updates[0].patch.revision, 1);
+    assert.equal(hearingChangeLabel(result.events[0]), 'Hearing Rescheduled: Public Hearing moved from Nov 4, 2026 to Nov 6, 2026');
+});
+
+test('a new location is reported on the same row', () => {
+    const result = reconcileHearings(stored(['2026-11-04T10:00:00']), listed(['2026-11-04T10:00:00', 'Public Hearing', 'Room 412']), { now });
+    assert.deepEqual(changes(result), ['location_changed']);
+    assert.equal(result.updates[0].patch.location, 'Room 412');
+});
+
+test('a hearing LIMS no longer lists is cancelled; one whose date has passed is held', () => {
+    const rows = stored(['2026-11-04T10:00:00'], ['2026-10-20T10:00:00', 'Roundtable']);
+    const later = new Date('2026-10-21T12:00:00Z');
+    const result = reconcileHearings(rows, [], { now: later });
+    assert.deepEqual(changes(result), ['cancelled']);
+    assert.deepEqual(result.updates.map(u => [u.id, u.patch.status]), [['h1', 'held'], ['h2', 'cancelled']]);
+});
+
+test('with two moved hearings of one type nothing is guessed', () => {
+    const rows = stored(['2026-11-04T10:00:00'], ['2026-11-05T10:00:00']);
+    const result = reconcileHearings(rows, listed(['2026-11-10T10:00:00'], ['2026-11-12T10:00:00']), { now });
+    assert.deepEqual(changes(result).sort(), ['cancelled', 'cancelled', 'scheduled', 'scheduled']);
+    assert.equal(result.inserts.length, 2);
+});
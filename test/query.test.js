@@ -0,0 +1,69 @@
+// Keyword query parsing, matching and the Postgres form of a query (_query.js).
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, matchQuery, highlightSnippet, toTsQuery } from '../api/_query.js';
+
+const term = (text, phrase = false) => ({ op: 'term', text, phrase });
+
+test('adjacent words are ANDed and AND binds tighter than OR', () => {
+    assert.deepEqual(parseQuery('health insurance'), { op: 'and', children: [term('health'), term('insurance')] });
+    assert.deepEqual(parseQuery('medicaid OR medicare AND dental'), {
+        op: 'or', children: [term('medicaid'), { op: 'and', children: [term('medicare'), term('dental')] }]
+    });
+    assert.deepEqual(parseQuery('(housing OR rent) AND eviction'), {
+        op: 'and', children: [{ op: 'or', children: [term('housing'), term('rent')] }, term('eviction')]
+    });
+});
+
+test('phrases and exclusions', () => {
+    assert.deepEqual(parseQuery('health -"health  insurance exchange"'), {
+        op: 'and', children: [term('health'), { op: 'not', child: term('health insurance exchange', true) }]
+    });
+    assert.deepEqual(parseQuery('health NOT dental'), { op: 'and', children: [term('health'), { op: 'not', child: term('dental') }] });
+});
+
+test('lowercase operators are ordinary words', () => {
+    assert.deepEqual(parseQuery('health and safety'), { op: 'and', children: [term('health'), term('and'), term('safety')] });
+});
+
+test('a malformed query throws', () => {
+    assert.throws(() => parseQuery(''), /Empty query/);
+    assert.throws(() => parseQuery('"paid leave'), /Missing closing quote/);
+    assert.throws(() => parseQuery('(housing OR rent'), /Missing closing parenthesis/);
+    assert.throws(() => parseQuery('health OR'), /ends with an operator/);
+    assert.throws(() => parseQuery('-dental'), /only excludes/);
+});
+
+test('matchQuery reports where each term was found, across fields', () => {
+    const fields = { title: 'Healthcare Workforce Act', additional_information: 'Expands paid family leave.' };
+    assert.deepEqual(matchQuery(parseQuery('health "paid   family"'), fields), [
+        { field: 'title', ranges: [[0, 6]] },
+        { field: 'additional_information', ranges: [[8, 19]] }
+    ]);
+    assert.equal(matchQuery(parseQuery('health -workforce'), fields), null);
+    assert.equal(matchQuery(parseQuery('dental'), fields), null);
+});
+
+test('excluded terms are not highlighted', () => {
+    const fields = { title: 'Health and Dental Coverage Act' };
+    assert.deepEqual(matchQuery(parseQuery('health OR NOT dental'), fields), [{ field: 'title', ranges: [[0, 6]] }]);
+});
+
+test('highlightSnippet marks the hits', () => {
+    const text = 'Health and Dental Coverage Act';
+    assert.deepEqual(highlightSnippet(text, [[11, 17]]), [
+        { text: 'Health and ', hit: false },
+        { text: 'Dental', hit: true },
+        { text: ' Coverage Act', hit: false }
+    ]);
+});
+
+test('toTsQuery: bare words are prefixes, phrases and other words are exact', () => {
+    assert.equal(toTsQuery(parseQuery('health -"insurance exchange"')), "('health':* & !('insurance' <-> 'exchange'))");
+    assert.equal(toTsQuery(parseQuery('(housing OR rent) AND eviction')), "(('housing':* | 'rent':*) & 'eviction':*)");
+    assert.equal(toTsQuery(parseQuery('e-mail')), "('e' <-> 'mail')");
+    assert.equal(toTsQuery(parseQuery("o'brien")), "('o' <-> 'brien')");
+    assert.throws(() => toTsQuery(parseQuery('health ++')), /no letters or digits/);
+});
@@ -0,0 +1,59 @@
+// Reminder days and times for LIMS hearing dates, which are ET wall-clock
+// times without an offset. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { limsHearings } from '../api/_hearings.js';
+import { parseLimsDate } from '../api/_time.js';
+import { upcomingEvents, dueReminders, formatHearingTime, whenLabel } from '../api/send-reminders.js';
+
+const item = { id: 'B26-0001', bill_number: 'B26-0001', title: 'Example Amendment Act of 2026' };
+
+// A bill_hearings row as check-hearings stores it from a LIMS hearing entry
+function storedHearing(hearingDate) {
+    const [hearing] = limsHearings({ committeeHearing: [{ hearingDate, hearingType: 'Public Hearing' }] });
+    return {
+        id: 'h1', item_id: item.id, status: 'scheduled', hearing_key: hearing.key, hearing_type: hearing.type,
+        hearing_date: hearing.date, location: null, first_seen_at: '2026-10-01T12:00:00Z'
+    };
+}
+
+function reminderOn(today, hearingRows, items = [item]) {
+    const [reminder] = dueReminders(upcomingEvents(items, hearingRows, today), new Set(), today);
+    return reminder;
+}
+
+test('a timed LIMS hearing keeps its ET time and day', () => {
+    const row = storedHearing('2026-11-04T10:00:00');
+    assert.equal(row.hearing_date, '2026-11-04T15:00:00.000Z');
+
+    const reminder = reminderOn('2026-11-03', [row]);
+    assert.equal(reminder.day, '2026-11-04');
+    assert.equal(reminder.key, 'hearing:h1:2026-11-04');
+    assert.equal(whenLabel(reminder.daysUntil), 'Tomorrow');
+    assert.equal(formatHearingTime(reminder), 'Wed, Nov 4, 2026, 10:00 AM ET');
+});
+
+test('a LIMS hearing at midnight is a date with no time, on that day', () => {
+    const row = storedHearing('2026-11-04T00:00:00');
+
+    assert.equal(reminderOn('2026-11-03', [row]).day, '2026-11-04');
+    const reminder = reminderOn('2026-11-04', [row]);
+    assert.equal(whenLabel(reminder.daysUntil), 'Today');
+    assert.equal(formatHearingTime(reminder), 'Wed, Nov 4, 2026');
+});
+
+test('a date-only next_hearing_date is reminded on its calendar day', () => {
+    const tracked = { ...item, next_hearing_date: parseLimsDate('2026-11-04').toISOString(), hearing_type: 'Public Roundtable' };
+
+    const reminder = reminderOn('2026-11-03', [], [tracked]);
+    assert.equal(reminder.key, 'next-hearing:B26-0001:2026-11-04');
+    assert.equal(whenLabel(reminder.daysUntil), 'Tomorrow');
+    assert.equal(formatHearingTime(reminder), 'Wed, Nov 4, 2026');
+});
+
+test('ET offsets follow daylight saving time', () => {
+    assert.equal(parseLimsDate('2026-07-01T14:30:00').toISOString(), '2026-07-01T18:30:00.000Z');
+    assert.equal(parseLimsDate('2026-11-04T14:30:00').toISOString(), '2026-11-04T19:30:00.000Z');
+    assert.equal(parseLimsDate('2026-11-04T10:00:00Z').toISOString(), '2026-11-04T10:00:00.000Z');
+});
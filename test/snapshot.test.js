@@ -0,0 +1,52 @@
+// diffSnapshots(): what happened to a bill between two LIMS checks
+// (_snapshot.js). Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { limsSnapshot, diffSnapshots } from '../api/_snapshot.js';
+
+const introduced = { actionDate: '2026-01-06T00:00:00', action: 'Introduced' };
+const firstReading = { actionDate: '2026-03-03T00:00:00', action: 'First Reading' };
+
+const snapshot = (details) => limsSnapshot({ status: 'Under Council Review', ...details });
+
+test('a first check has nothing to compare against', () => {
+    assert.deepEqual(diffSnapshots(null, snapshot({ actions: [introduced] })), []);
+});
+
+test('only entries the new snapshot adds are reported, oldest first', () => {
+    const prev = snapshot({ actions: [introduced] });
+    const next = snapshot({
+        actions: [firstReading, introduced],
+        committeeMarkup: [{ committeeActionDate: '2026-02-10T00:00:00', reportFiledDate: null }],
+        mayoralReview: { transmittedDate: '2026-03-10T00:00:00' }
+    });
+    assert.deepEqual(diffSnapshots(prev, next), [
+        { key: 'committee:markup:2026-02-10T00:00:00', kind: 'committee', label: 'Committee Markup', date: '2026-02-10T00:00:00' },
+        { key: 'action:2026-03-03T00:00:00:First Reading', kind: 'action', label: 'First Reading', date: '2026-03-03T00:00:00' },
+        { key: 'mayor:transmittedDate:2026-03-10T00:00:00', kind: 'mayor', label: 'Transmitted to Mayor', date: '2026-03-10T00:00:00' }
+    ]);
+});
+
+test('a reordered or unchanged snapshot reports nothing', () => {
+    const prev = snapshot({ actions: [introduced, firstReading] });
+    assert.deepEqual(diffSnapshots(prev, snapshot({ actions: [firstReading, introduced] })), []);
+});
+
+test('a vote on an action already listed is its own event', () => {
+    const prev = snapshot({ actions: [firstReading] });
+    const next = snapshot({ actions: [{ ...firstReading, voteDetails: { voteResult: 'Approved' } }] });
+    assert.deepEqual(diffSnapshots(prev, next).map(e => [e.kind, e.label]), [['vote', 'First Reading — Approved']]);
+});
+
+test('a new action that already has its vote is reported once, as the vote', () => {
+    const prev = snapshot({ actions: [introduced] });
+    const next = snapshot({ actions: [introduced, { ...firstReading, voteDetails: { voteResult: 'Approved' } }] });
+    assert.deepEqual(diffSnapshots(prev, next).map(e => [e.kind, e.label]), [['vote', 'First Reading — Approved']]);
+});
+
+test('a re-referral names the committee', () => {
+    const prev = snapshot({});
+    const next = snapshot({ committeeReReferral: [{ reReferralDate: '2026-04-01T00:00:00', committeeName: ['Committee on Health'] }] });
+    assert.deepEqual(diffSnapshots(prev, next).map(e => e.label), ['Re-referred to Committee on Health']);
+});